@@ -0,0 +1,100 @@
+/**
+ * Evaluate the query-type classifier on the bundled labeled query set
+ *
+ * Reports, for the learned model (k-fold cross-validation, so every query is
+ * predicted by a model that never saw it) and for the keyword rules:
+ * - overall accuracy
+ * - per-type precision / recall
+ * - the most frequent confusions
+ *
+ * Usage: npm run evaluate:classifier [-- --folds 5]
+ */
+
+const queryClassifier = require('../services/query-classifier.service');
+const smartRoutingService = require('../services/smart-routing.service');
+
+const foldsArg = process.argv.indexOf('--folds');
+const FOLDS = foldsArg !== -1 ? parseInt(process.argv[foldsArg + 1], 10) : 5;
+
+// Helper function to assign examples to folds, stratified by type
+function assignFolds(examples, folds) {
+  const counters = {};
+  return examples.map(example => {
+    counters[example.type] = (counters[example.type] || 0) + 1;
+    return counters[example.type] % folds;
+  });
+}
+
+// Helper function to summarize predictions
+function report(name, examples, predictions) {
+  const types = [...new Set(examples.map(example => example.type))].sort();
+  const correct = predictions.filter((prediction, i) => prediction === examples[i].type).length;
+
+  console.log(`\n=== ${name} ===`);
+  console.log(`Accuracy: ${(correct / examples.length * 100).toFixed(1)}% (${correct}/${examples.length})`);
+
+  console.log('\nType         Precision  Recall');
+  for (const type of types) {
+    const predicted = predictions.filter(prediction => prediction === type).length;
+    const actual = examples.filter(example => example.type === type).length;
+    const hits = predictions.filter((prediction, i) => prediction === type && examples[i].type === type).length;
+    const precision = predicted > 0 ? (hits / predicted * 100).toFixed(0) + '%' : '-';
+    const recall = actual > 0 ? (hits / actual * 100).toFixed(0) + '%' : '-';
+    console.log(`${type.padEnd(12)} ${precision.padStart(9)}  ${recall.padStart(6)}`);
+  }
+
+  const confusions = {};
+  predictions.forEach((prediction, i) => {
+    if (prediction !== examples[i].type) {
+      const key = `${examples[i].type} -> ${prediction}`;
+      confusions[key] = (confusions[key] || 0) + 1;
+    }
+  });
+  const top = Object.entries(confusions).sort(([, a], [, b]) => b - a).slice(0, 5);
+  if (top.length > 0) {
+    console.log('\nMost common confusions:');
+    top.forEach(([pair, count]) => console.log(`  ${pair}: ${count}`));
+  }
+
+  return correct / examples.length;
+}
+
+function main() {
+  const examples = queryClassifier.loadExamples();
+  console.log(`Loaded ${examples.length} labeled queries`);
+
+  // Learned model, cross-validated
+  const folds = assignFolds(examples, FOLDS);
+  const modelPredictions = new Array(examples.length);
+  let fallbacks = 0;
+  const hybridPredictions = new Array(examples.length);
+
+  for (let fold = 0; fold < FOLDS; fold++) {
+    const model = queryClassifier.train(examples.filter((example, i) => folds[i] !== fold));
+    examples.forEach((example, i) => {
+      if (folds[i] !== fold) return;
+      const result = queryClassifier.classify(example.query, model);
+      modelPredictions[i] = result.type;
+      if (result.confident) {
+        hybridPredictions[i] = result.type;
+      } else {
+        fallbacks++;
+        hybridPredictions[i] = smartRoutingService.analyzeQueryWithKeywords(example.query).queryType;
+      }
+    });
+  }
+
+  const modelAccuracy = report(`Learned model (${FOLDS}-fold cross-validation)`, examples, modelPredictions);
+  const hybridAccuracy = report(`Model with keyword fallback (${fallbacks} fallbacks)`, examples, hybridPredictions);
+
+  // Keyword rules need no training
+  const keywordPredictions = examples.map(example => smartRoutingService.analyzeQueryWithKeywords(example.query).queryType);
+  const keywordAccuracy = report('Keyword rules', examples, keywordPredictions);
+
+  console.log('\n=== Summary ===');
+  console.log(`Learned model:         ${(modelAccuracy * 100).toFixed(1)}%`);
+  console.log(`Model + keyword rules: ${(hybridAccuracy * 100).toFixed(1)}%`);
+  console.log(`Keyword rules:         ${(keywordAccuracy * 100).toFixed(1)}%`);
+}
+
+main();
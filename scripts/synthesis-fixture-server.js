@@ -0,0 +1,65 @@
+/**
+ * Local fixture server for the synthesis evidence source
+ *
+ * Serves resources/fixtures/synthesis-evidence.json through the same
+ * Epistemonikos-style API synthesis-evidence.service.js calls, so synthesis
+ * routing can be exercised without credentials or network access.
+ *
+ * Usage:
+ *   npm run fixtures:synthesis [-- --port 4599]
+ *   SYNTHESIS_EVIDENCE_URL=http://localhost:4599 npm start
+ *
+ * A document matches when every query term appears in its title or abstract.
+ */
+
+const path = require('path');
+const express = require('express');
+
+const fixtures = require(path.join(__dirname, '..', 'resources', 'fixtures', 'synthesis-evidence.json'));
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg !== -1 ? parseInt(process.argv[portArg + 1], 10) : (process.env.SYNTHESIS_FIXTURE_PORT || 4599);
+const BASE_URL = `http://localhost:${PORT}`;
+const DEFAULT_PAGE_SIZE = 10;
+
+const app = express();
+
+// Helper function to attach a fixture-local URL to a document
+function withUrl(document) {
+  return { ...document, url: document.url || `${BASE_URL}/documents/${document.id}` };
+}
+
+app.get('/documents/search', (req, res) => {
+  const terms = String(req.query.q || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+  const page = Math.max(parseInt(req.query.p, 10) || 1, 1);
+  const perPage = Math.max(parseInt(req.query.per_page, 10) || DEFAULT_PAGE_SIZE, 1);
+  const yearFrom = parseInt(req.query.year_from, 10) || null;
+  const yearTo = parseInt(req.query.year_to, 10) || null;
+
+  const matches = fixtures.results.filter(document => {
+    const text = `${document.title} ${document.abstract}`.toLowerCase();
+    if (yearFrom && document.year < yearFrom) return false;
+    if (yearTo && document.year > yearTo) return false;
+    return terms.every(term => text.includes(term));
+  });
+
+  const pages = Math.max(Math.ceil(matches.length / perPage), 1);
+  console.log(`Fixture search "${req.query.q}" page ${page}: ${matches.length} matches`);
+
+  res.json({
+    search_info: { total_results: matches.length, page, pages },
+    results: matches.slice((page - 1) * perPage, page * perPage).map(withUrl)
+  });
+});
+
+app.get('/documents/:id', (req, res) => {
+  const document = fixtures.results.find(candidate => candidate.id === req.params.id);
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+  res.json({ document: withUrl(document) });
+});
+
+app.listen(PORT, () => {
+  console.log(`Synthesis evidence fixture server on ${BASE_URL} (${fixtures.results.length} documents)`);
+});
@@ -10,12 +10,29 @@ require('dotenv').config();
 const cacheService = require('./services/cache.service');
 const crossrefService = require('./services/crossref.service');
 const unpaywallService = require('./services/unpaywall.service');
-const openalexService = require('./services/openalex.service');
-const clinicaltrialsService = require('./services/clinicaltrials.service');
 const smartRoutingService = require('./services/smart-routing.service');
+const dateWindowService = require('./services/date-window.service');
+const alertStore = require('./services/alert-store.service');
+const alertScheduler = require('./services/alert-scheduler.service');
+const notificationService = require('./services/notification.service');
+const researchJobService = require('./services/research-job.service');
+const citationService = require('./services/citation.service');
+const articleNormalizer = require('./services/article-normalizer.service');
+const evidenceGrading = require('./services/evidence-grading.service');
+const rankingService = require('./services/ranking.service');
+const recordLinkage = require('./services/record-linkage.service');
+const searchCursor = require('./services/search-cursor.service');
+const sourceRegistry = require('./services/source-registry.service');
+const { retryWithBackoff } = require('./services/retry.service');
+const semanticScholarService = require('./services/semantic-scholar.service');
+const guidelineService = require('./services/guideline.service');
+const drugDataService = require('./services/drug-data.service');
+const interactionKbService = require('./services/interaction-kb.service');
+const faersService = require('./services/faers.service');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
 
 // Initialize Anthropic client
 const anthropic = new Anthropic({
@@ -34,37 +51,6 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
-// Retry utility with exponential backoff
-const retryWithBackoff = async (fn, maxRetries = 3, initialDelay = 1000) => {
-  let lastError;
-
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-
-      // Don't retry on client errors (4xx) except 429 (rate limit)
-      if (error.response?.status >= 400 && error.response?.status < 500 && error.response?.status !== 429) {
-        throw error;
-      }
-
-      // If this was the last attempt, throw the error
-      if (attempt === maxRetries - 1) {
-        throw error;
-      }
-
-      // Calculate delay with exponential backoff
-      const delay = initialDelay * Math.pow(2, attempt);
-      console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms delay`);
-
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
-
-  throw lastError;
-};
-
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Medical Evidence API is running' });
@@ -89,19 +75,42 @@ app.post('/api/cache/clear', (req, res) => {
 // Search PubMed endpoint
 app.post('/api/search-pubmed', async (req, res) => {
   try {
-    const { query, filters } = req.body;
+    const { query, filters, cursor } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Query parameter is required' });
     }
 
-    // Try cache first
-    const cachedResults = await cacheService.cacheSearch(query, filters, async () => {
+    const overrideError = smartRoutingService.validateOverrides(filters || {});
+    if (overrideError) {
+      return res.status(400).json({ error: overrideError });
+    }
+
+    let pageState = null;
+    if (cursor) {
+      pageState = searchCursor.decode(cursor, query, filters);
+      if (!pageState) {
+        return res.status(400).json({ error: 'Invalid or expired cursor for this query' });
+      }
+    }
+
+    // Try cache first (each page is cached separately)
+    const page = await cacheService.cacheSearch(query, cursor ? { ...filters, cursor } : filters, async () => {
       // If cache miss, perform multi-source search with smart routing
-      return await performSearch(query, filters);
+      return await performSearchPage(query, filters, pageState);
     });
 
-    return res.json({ articles: cachedResults });
+    const nextCursor = searchCursor.encode(page.nextState, query, filters);
+
+    return res.json({
+      articles: page.articles,
+      pagination: {
+        nextCursor,
+        hasMore: nextCursor !== null,
+        sources: page.sources
+      },
+      routing: page.routing
+    });
 
   } catch (error) {
     console.error('PubMed search error:', error.message);
@@ -129,243 +138,195 @@ app.post('/api/search-pubmed', async (req, res) => {
   }
 });
 
-// Extracted search function for caching
-async function performPubMedSearch(query, filters) {
+// Explain how a query would be routed, without searching
+// Optional: sources=pubmed,openalex to preview a source override
+app.get('/api/routing/explain', (req, res) => {
   try {
+    const query = req.query.q;
 
-    console.log('Original query:', query, '(length:', query.length, 'chars)');
-
-    // Truncate very long queries to avoid URL length issues with PubMed GET requests
-    // PubMed URLs have a ~2000 character limit, and we need room for filters too
-    let searchQuery = query;
-    const MAX_QUERY_LENGTH = 300;
-
-    if (searchQuery.length > MAX_QUERY_LENGTH) {
-      console.warn('Query too long, truncating from', searchQuery.length, 'to', MAX_QUERY_LENGTH, 'chars');
-      // Try to truncate at a word boundary
-      searchQuery = searchQuery.substring(0, MAX_QUERY_LENGTH);
-      const lastSpace = searchQuery.lastIndexOf(' ');
-      if (lastSpace > MAX_QUERY_LENGTH * 0.8) { // Only trim to word if we're not losing too much
-        searchQuery = searchQuery.substring(0, lastSpace);
-      }
-      searchQuery = searchQuery.trim();
-      console.log('Truncated query:', searchQuery);
+    if (!query) {
+      return res.status(400).json({ error: 'q parameter is required' });
     }
 
-    console.log('Searching PubMed with filters:', filters);
-
-    // Use query as-is - PubMed's ranking algorithm is already good
-    // We'll do relevance scoring on the client side
-    let searchTerm = searchQuery;
-
-    // Add date range filter
-    if (filters?.dateRange && filters.dateRange !== 'all') {
-      const dateFilters = {
-        '1year': '1',
-        '5years': '5',
-        '10years': '10'
-      };
-      if (dateFilters[filters.dateRange]) {
-        searchTerm += ` AND ("last ${dateFilters[filters.dateRange]} years"[PDat])`;
-      }
+    const filters = {};
+    if (req.query.sources) {
+      filters.sources = String(req.query.sources).split(',').map(source => source.trim()).filter(Boolean);
     }
 
-    // Add study type filter
-    if (filters?.studyType && filters.studyType !== 'all') {
-      const studyTypeFilters = {
-        'rct': 'Randomized Controlled Trial[ptyp]',
-        'meta': 'Meta-Analysis[ptyp]',
-        'review': 'Review[ptyp] OR Systematic Review[ptyp]',
-        'clinical': 'Clinical Trial[ptyp]',
-        'guideline': 'Guideline[ptyp] OR Practice Guideline[ptyp]'
-      };
-      if (studyTypeFilters[filters.studyType]) {
-        searchTerm += ` AND ${studyTypeFilters[filters.studyType]}`;
-      }
+    const overrideError = smartRoutingService.validateOverrides(filters);
+    if (overrideError) {
+      return res.status(400).json({ error: overrideError });
     }
 
-    console.log('Final search term:', searchTerm);
+    const routingPlan = smartRoutingService.route(query, filters);
 
-    // Step 1: Search for article IDs with retry
-    const searchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi`;
-    const searchParams = {
-      db: 'pubmed',
-      term: searchTerm,
-      retmax: 20,
-      retmode: 'json',
-      sort: 'relevance',
-      api_key: process.env.NCBI_API_KEY // Increases rate limit from 3 to 10 req/sec
-    };
-
-    const searchResponse = await retryWithBackoff(
-      () => axios.get(searchUrl, { params: searchParams }),
-      3,
-      1000
-    );
-    const ids = searchResponse.data.esearchresult?.idlist || [];
-
-    if (ids.length === 0) {
-      return res.json({ articles: [] });
-    }
-
-    console.log('Found article IDs:', ids);
+    res.json({
+      query,
+      routing: describeRouting(routingPlan),
+      recommendation: smartRoutingService.getRecommendation(query),
+      supportedSources: smartRoutingService.supportedSources
+    });
+  } catch (error) {
+    console.error('Routing explain error:', error);
+    res.status(500).json({
+      error: 'Failed to explain routing',
+      details: error.message
+    });
+  }
+});
 
-    // Step 2: Fetch article details with retry
-    const summaryUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi`;
-    const summaryParams = {
-      db: 'pubmed',
-      id: ids.join(','),
-      retmode: 'json',
-      api_key: process.env.NCBI_API_KEY
-    };
+// List registered search source providers
+app.get('/api/sources', (req, res) => {
+  const routable = new Set(smartRoutingService.supportedSources);
+  res.json({
+    sources: sourceRegistry.list().map(provider => ({ ...provider, routable: routable.has(provider.name) }))
+  });
+});
 
-    const summaryResponse = await retryWithBackoff(
-      () => axios.get(summaryUrl, { params: summaryParams }),
-      3,
-      1000
-    );
-    const summaryData = summaryResponse.data.result;
-
-    // Step 3: Fetch abstracts using efetch with retry and fallback
-    const fetchUrl = `https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi`;
-    const fetchParams = {
-      db: 'pubmed',
-      id: ids.join(','),
-      retmode: 'xml',
-      rettype: 'abstract',
-      api_key: process.env.NCBI_API_KEY
-    };
+// Check that every search source is reachable
+app.get('/api/sources/health', async (req, res) => {
+  try {
+    const sources = await sourceRegistry.health();
+    const down = Object.values(sources).filter(source => source.status !== 'ok').length;
+    res.json({ status: down === 0 ? 'ok' : 'degraded', sources });
+  } catch (error) {
+    console.error('Source health check error:', error);
+    res.status(500).json({
+      error: 'Failed to check sources',
+      details: error.message
+    });
+  }
+});
 
-    let abstractsMap = {};
-    try {
-      const fetchResponse = await retryWithBackoff(
-        () => axios.get(fetchUrl, { params: fetchParams }),
-        2,
-        1000
-      );
-      const xmlData = fetchResponse.data;
-
-      // Parse XML to extract abstracts (simple regex approach)
-      ids.forEach(id => {
-        const pmidRegex = new RegExp(`<PMID[^>]*>${id}</PMID>[\\s\\S]*?<Abstract>([\\s\\S]*?)</Abstract>`, 'i');
-        const match = xmlData.match(pmidRegex);
-
-        if (match) {
-          // Extract text from AbstractText tags
-          const abstractTextRegex = /<AbstractText[^>]*>([\s\S]*?)<\/AbstractText>/gi;
-          let abstractParts = [];
-          let textMatch;
-
-          while ((textMatch = abstractTextRegex.exec(match[1])) !== null) {
-            // Remove any remaining XML tags and decode ALL HTML entities
-            const cleanText = textMatch[1]
-              .replace(/<[^>]+>/g, '')
-              .replace(/&lt;/g, '<')
-              .replace(/&gt;/g, '>')
-              .replace(/&amp;/g, '&')
-              .replace(/&quot;/g, '"')
-              .replace(/&apos;/g, "'")
-              .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec)) // Numeric entities
-              .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))) // Hex entities
-              .trim();
-            if (cleanText) {
-              abstractParts.push(cleanText);
-            }
-          }
+// Fetch a single record from one source as a canonical record
+// (the ID may contain slashes, as DOIs do)
+app.get('/api/sources/:source/records/:id(*)', async (req, res) => {
+  try {
+    const { source, id } = req.params;
 
-          if (abstractParts.length > 0) {
-            abstractsMap[id] = abstractParts.join(' ');
-          }
-        }
-      });
-    } catch (err) {
-      console.warn('Failed to fetch abstracts:', err.message);
-      // Continue without abstracts if fetch fails
+    if (!sourceRegistry.has(source)) {
+      return res.status(404).json({ error: `Unknown source: ${source}` });
     }
 
-    // Helper function to extract publication year
-    const extractYear = (pubdate) => {
-      if (!pubdate) return null;
-      const yearMatch = pubdate.match(/\d{4}/);
-      return yearMatch ? parseInt(yearMatch[0]) : null;
-    };
-
-    // Helper function to determine study type from publication types
-    const getStudyType = (pubTypeList) => {
-      if (!pubTypeList || pubTypeList.length === 0) return null;
-
-      const types = pubTypeList.map(t => t.toLowerCase());
+    const article = await sourceRegistry.getById(source, id);
+    if (!article) {
+      return res.status(404).json({ error: `Record ${id} not found in ${source}` });
+    }
 
-      if (types.some(t => t.includes('meta-analysis'))) return 'Meta-Analysis';
-      if (types.some(t => t.includes('systematic review'))) return 'Systematic Review';
-      if (types.some(t => t.includes('randomized controlled trial'))) return 'RCT';
-      if (types.some(t => t.includes('clinical trial'))) return 'Clinical Trial';
-      if (types.some(t => t.includes('review'))) return 'Review';
-      if (types.some(t => t.includes('guideline') || t.includes('practice guideline'))) return 'Guideline';
-      if (types.some(t => t.includes('case reports'))) return 'Case Report';
-      if (types.some(t => t.includes('observational study'))) return 'Observational Study';
+    res.json({ article });
+  } catch (error) {
+    console.error('Source record lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch record',
+      details: error.message
+    });
+  }
+});
 
-      return 'Research Article';
-    };
+// Citation graph for one paper from Semantic Scholar
+// ?pmid= or ?doi=, direction: references | citations | both (default), limit, offset
+app.get('/api/citation-graph', async (req, res) => {
+  try {
+    const { pmid, doi } = req.query;
+    const direction = req.query.direction || 'both';
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const paperId = semanticScholarService.getPaperId({ pmid, doi });
+    if (!paperId) {
+      return res.status(400).json({ error: 'pmid or doi parameter is required' });
+    }
+    if (!['references', 'citations', 'both'].includes(direction)) {
+      return res.status(400).json({ error: 'direction must be references, citations or both' });
+    }
 
-    // Helper function to determine if article is recent (within 1 year)
-    const isRecent = (year) => {
-      if (!year) return false;
-      const currentYear = new Date().getFullYear();
-      return (currentYear - year) <= 1;
-    };
+    const paper = await semanticScholarService.getPaper(paperId);
+    if (!paper) {
+      return res.status(404).json({ error: `Paper ${paperId} not found in Semantic Scholar` });
+    }
 
-    // Parse articles
-    const articles = ids.map(id => {
-      const article = summaryData[id];
-      if (!article) return null;
+    const [references, citations] = await Promise.all([
+      direction !== 'citations' ? semanticScholarService.getReferences(paperId, { limit, offset }) : null,
+      direction !== 'references' ? semanticScholarService.getCitations(paperId, { limit, offset }) : null
+    ]);
 
-      const pubYear = extractYear(article.pubdate);
-      const studyType = getStudyType(article.pubtype);
+    res.json({ paper, references, citations });
+  } catch (error) {
+    console.error('Citation graph error:', error.message);
+    res.status(error.response?.status === 429 ? 429 : 500).json({
+      error: 'Failed to fetch citation graph',
+      details: error.message
+    });
+  }
+});
 
-      return {
-        pmid: id,
-        title: article.title || 'No title available',
-        authors: article.authors?.slice(0, 3).map(a => a.name).join(', ') || 'Unknown authors',
-        allAuthors: article.authors?.map(a => a.name).join(', ') || 'Unknown authors',
-        journal: article.fulljournalname || article.source || 'Unknown journal',
-        pubdate: article.pubdate || 'Unknown date',
-        url: `https://pubmed.ncbi.nlm.nih.gov/${id}/`,
-        // New metadata fields
-        studyType: studyType,
-        publicationYear: pubYear,
-        isRecent: isRecent(pubYear),
-        publicationTypes: article.pubtype || [],
-        abstract: abstractsMap[id] || null,
-        doi: article.elocationid || null
-      };
-    }).filter(Boolean);
+// Helper function to guard admin endpoints
+// Requests must send ADMIN_TOKEN in the X-Admin-Token header; without ADMIN_TOKEN
+// the endpoints are disabled
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin endpoints are disabled', details: 'Set ADMIN_TOKEN to enable them' });
+  }
+  if (req.get('x-admin-token') !== adminToken) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
 
-    console.log('Returning', articles.length, 'articles');
+// Get the active routing rules and their load status
+app.get('/api/admin/routing-rules', requireAdmin, (req, res) => {
+  try {
+    res.json(smartRoutingService.getActiveRules());
+  } catch (error) {
+    console.error('Routing rules error:', error);
+    res.status(500).json({
+      error: 'Failed to get routing rules',
+      details: error.message
+    });
+  }
+});
 
-    // Step 4: Enrich articles with CrossRef metadata and Unpaywall full-text links
-    console.log('Enriching articles with CrossRef and Unpaywall...');
-    let enrichedArticles = await crossrefService.enrichArticles(articles);
-    enrichedArticles = await unpaywallService.checkMultipleArticles(enrichedArticles);
+// Reload the routing rules file now (it is also reloaded automatically on change)
+app.post('/api/admin/routing-rules/reload', requireAdmin, (req, res) => {
+  try {
+    const result = smartRoutingService.reloadRules();
 
-    console.log('Final enriched articles count:', enrichedArticles.length);
-    return enrichedArticles;
+    if (!result.loaded) {
+      return res.status(422).json({
+        error: 'Routing rules are invalid; the previous rules are still active',
+        errors: result.errors
+      });
+    }
 
+    res.json({ result: result.unchanged ? 'unchanged' : 'reloaded', ...smartRoutingService.getActiveRules() });
   } catch (error) {
-    console.error('PubMed search error:', error.message);
-    throw error; // Re-throw to be caught by outer try-catch
+    console.error('Routing rules reload error:', error);
+    res.status(500).json({
+      error: 'Failed to reload routing rules',
+      details: error.message
+    });
   }
-}
+});
 
 // Search Europe PMC endpoint
 app.post('/api/search-europepmc', async (req, res) => {
   try {
-    const { query, filters } = req.body;
+    const { query, filters, cursor } = req.body;
 
     if (!query) {
       return res.status(400).json({ error: 'Query parameter is required' });
     }
 
+    let position = { offset: 0, cursorMark: '*' };
+    if (cursor) {
+      const pageState = searchCursor.decode(cursor, query, filters);
+      if (!pageState?.europepmc) {
+        return res.status(400).json({ error: 'Invalid or expired cursor for this query' });
+      }
+      position = pageState.europepmc;
+    }
+
     console.log('Searching Europe PMC with query:', query);
 
     // Improve query construction - wrap main query in title/abstract search
@@ -376,15 +337,9 @@ app.post('/api/search-europepmc', async (req, res) => {
     let filterParams = '';
 
     // Add date range filter
-    if (filters?.dateRange && filters.dateRange !== 'all') {
-      const currentYear = new Date().getFullYear();
-      const yearsAgo = {
-        '1year': 1,
-        '5years': 5,
-        '10years': 10
-      };
-      const startYear = currentYear - (yearsAgo[filters.dateRange] || 0);
-      filterParams += ` AND (FIRST_PDATE:[${startYear} TO ${currentYear}])`;
+    const dateClause = dateWindowService.toEuropePMCTerm(dateWindowService.resolve(filters));
+    if (dateClause) {
+      filterParams += ` AND ${dateClause}`;
     }
 
     // Add study type filter
@@ -406,10 +361,12 @@ app.post('/api/search-europepmc', async (req, res) => {
 
     // Search Europe PMC
     const searchUrl = 'https://www.ebi.ac.uk/europepmc/webservices/rest/search';
+    const pageSize = 20;
     const searchParams = {
       query: finalQuery,
       format: 'json',
-      pageSize: 20,
+      pageSize,
+      cursorMark: position.cursorMark,
       resultType: 'core',
       sort: 'relevance'
     };
@@ -421,82 +378,32 @@ app.post('/api/search-europepmc', async (req, res) => {
     );
 
     const results = response.data.resultList?.result || [];
+    const total = response.data.hitCount ?? null;
+
+    // Europe PMC returns the same cursorMark once the results are exhausted
+    const nextCursorMark = response.data.nextCursorMark;
+    const nextCursor = results.length === pageSize && nextCursorMark && nextCursorMark !== position.cursorMark
+      ? searchCursor.encode({ europepmc: { offset: position.offset + results.length, cursorMark: nextCursorMark } }, query, filters)
+      : null;
+
+    const pagination = {
+      nextCursor,
+      hasMore: nextCursor !== null,
+      sources: { europepmc: { total, returned: results.length, offset: position.offset } }
+    };
 
     if (results.length === 0) {
-      return res.json({ articles: [] });
+      return res.json({ articles: [], pagination });
     }
 
     console.log('Found', results.length, 'articles from Europe PMC');
 
-    // Helper function to extract year
-    const extractYear = (dateStr) => {
-      if (!dateStr) return null;
-      const yearMatch = dateStr.match(/\d{4}/);
-      return yearMatch ? parseInt(yearMatch[0]) : null;
-    };
-
-    // Helper function to determine if article is recent
-    const isRecent = (year) => {
-      if (!year) return false;
-      const currentYear = new Date().getFullYear();
-      return (currentYear - year) <= 1;
-    };
-
-    // Helper function to map Europe PMC pub types to our categories
-    const getStudyType = (pubTypeList) => {
-      if (!pubTypeList || pubTypeList.length === 0) return null;
-
-      const types = pubTypeList.map(t => t.toLowerCase());
-
-      if (types.some(t => t.includes('meta-analysis'))) return 'Meta-Analysis';
-      if (types.some(t => t.includes('systematic review'))) return 'Systematic Review';
-      if (types.some(t => t.includes('randomized controlled trial'))) return 'RCT';
-      if (types.some(t => t.includes('clinical trial'))) return 'Clinical Trial';
-      if (types.some(t => t.includes('review'))) return 'Review';
-      if (types.some(t => t.includes('guideline'))) return 'Guideline';
-
-      return 'Research Article';
-    };
-
-    // Parse articles
-    const articles = results.map(article => {
-      const pubYear = extractYear(article.firstPublicationDate || article.pubYear);
-      const studyType = getStudyType(article.pubTypeList?.pubType || []);
-
-      // Build URL based on source
-      let url = '';
-      if (article.pmid) {
-        url = `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`;
-      } else if (article.pmcid) {
-        url = `https://europepmc.org/article/PMC/${article.pmcid.replace('PMC', '')}`;
-      } else if (article.doi) {
-        url = `https://doi.org/${article.doi}`;
-      } else {
-        url = `https://europepmc.org/article/${article.source}/${article.id}`;
-      }
-
-      return {
-        pmid: article.pmid || article.id,
-        title: article.title || 'No title available',
-        authors: article.authorString || article.authorList?.author?.slice(0, 3).map(a => `${a.firstName || ''} ${a.lastName || ''}`.trim()).join(', ') || 'Unknown authors',
-        allAuthors: article.authorString || 'Unknown authors',
-        journal: article.journalTitle || article.journalInfo?.journal?.title || 'Unknown journal',
-        pubdate: article.firstPublicationDate || article.pubYear || 'Unknown date',
-        url: url,
-        studyType: studyType,
-        publicationYear: pubYear,
-        isRecent: isRecent(pubYear),
-        publicationTypes: article.pubTypeList?.pubType || [],
-        abstract: article.abstractText || null,
-        doi: article.doi || null,
-        source: 'Europe PMC',
-        hasFullText: article.isOpenAccess === 'Y' || article.inEPMC === 'Y'
-      };
-    }).filter(Boolean);
+    // Parse articles into canonical evidence records
+    const articles = articleNormalizer.normalizeMany('europepmc', results);
 
     console.log('Returning', articles.length, 'articles from Europe PMC');
 
-    res.json({ articles });
+    res.json({ articles, pagination });
 
   } catch (error) {
     console.error('Europe PMC search error:', error.message);
@@ -527,46 +434,50 @@ app.post('/api/search-europepmc', async (req, res) => {
   }
 });
 
-// Claude API endpoint with conversation history support
-app.post('/api/generate-response', async (req, res) => {
-  try {
-    const { query, articles, conversationHistory } = req.body;
-
-    if (!query || !articles) {
-      return res.status(400).json({ error: 'Query and articles are required' });
-    }
-
-    console.log('Generating response for query:', query);
-    console.log('Conversation history length:', conversationHistory?.length || 0);
-
-    // Format articles for the prompt - include abstracts for better context
-    // Limit to top 15 articles to avoid 413 Payload Too Large errors
-    const articlesToSend = articles.slice(0, 15);
-
-    const articlesContext = articlesToSend.map((a, i) => {
-      let context = `[${i + 1}] ${a.title}\n   Authors: ${a.authors}\n   Journal: ${a.journal}, ${a.pubdate}\n   PMID: ${a.pmid}`;
-      if (a.studyType) {
-        context += `\n   Study Type: ${a.studyType}`;
-      }
-      // Add citation count if available (from CrossRef enrichment)
-      if (a.citationCount && a.citationCount > 0) {
-        context += `\n   Citations: ${a.citationCount}`;
+// Build the Claude system prompt and messages for /api/generate-response
+function buildGenerationRequest(query, articles, conversationHistory) {
+  // Format articles for the prompt - include abstracts for better context
+  // Limit to top 15 articles to avoid 413 Payload Too Large errors
+  const articlesToSend = articles.slice(0, 15);
+
+  const articlesContext = articlesToSend.map((a, i) => {
+    let context = `[${i + 1}] ${a.title}\n   Authors: ${a.authorString}\n   Journal: ${a.journal}, ${a.publicationDate || a.year}\n   PMID: ${a.pmid}`;
+    if (a.studyType) {
+      context += `\n   Study Type: ${a.studyType}`;
+      if (a.evidence?.level) {
+        context += ` (evidence level ${a.evidence.level}${a.evidence.isPreprint ? ', preprint - not peer reviewed' : ''})`;
       }
-      if (a.abstract) {
-        // Truncate abstracts more aggressively to avoid payload issues
-        const abstractPreview = a.abstract.length > 400
-          ? a.abstract.substring(0, 400) + '...'
-          : a.abstract;
-        context += `\n   Abstract: ${abstractPreview}`;
+    }
+    // A preprint whose journal version wasn't in the results
+    if (a.peerReviewed === false && a.preprint?.publishedDoi) {
+      context += `\n   Published version: https://doi.org/${a.preprint.publishedDoi}`;
+    }
+    // Add citation count if available (from CrossRef enrichment)
+    if (a.citationCount && a.citationCount > 0) {
+      context += `\n   Citations: ${a.citationCount}`;
+      if (a.semanticScholar?.influentialCitationCount) {
+        context += ` (${a.semanticScholar.influentialCitationCount} influential)`;
       }
-      return context;
-    }).join('\n\n');
+    }
+    // One-sentence summary from Semantic Scholar
+    if (a.semanticScholar?.tldr) {
+      context += `\n   TLDR: ${a.semanticScholar.tldr}`;
+    }
+    if (a.abstract) {
+      // Truncate abstracts more aggressively to avoid payload issues
+      const abstractPreview = a.abstract.length > 400
+        ? a.abstract.substring(0, 400) + '...'
+        : a.abstract;
+      context += `\n   Abstract: ${abstractPreview}`;
+    }
+    return context;
+  }).join('\n\n');
 
-    console.log(`Sending ${articlesToSend.length} articles to Claude (truncated from ${articles.length})`);
-    console.log(`Total context length: ${articlesContext.length} characters`);
+  console.log(`Sending ${articlesToSend.length} articles to Claude (truncated from ${articles.length})`);
+  console.log(`Total context length: ${articlesContext.length} characters`);
 
-    // Build system prompt
-    const systemPrompt = `You are a medical information assistant that provides evidence-based answers. You help users explore medical topics through conversation, maintaining context from previous exchanges.
+  // Build system prompt
+  const systemPrompt = `You are a medical information assistant that provides evidence-based answers. You help users explore medical topics through conversation, maintaining context from previous exchanges.
 
 When answering:
 1. CAREFULLY READ the abstracts provided - only cite sources that are actually relevant to the specific question
@@ -584,31 +495,31 @@ IMPORTANT:
 - Do NOT reproduce or quote exact text from articles. Paraphrase and synthesize information in your own words while citing sources.
 - Quality over quantity - it's better to cite 2-3 highly relevant sources than all sources provided`;
 
-    // Build messages array with conversation history
-    const messages = [];
+  // Build messages array with conversation history
+  const messages = [];
 
-    // Add previous conversation if exists, but limit to last 10 exchanges (20 messages)
-    // to avoid payload size issues
-    if (conversationHistory && conversationHistory.length > 0) {
-      const maxHistoryMessages = 20;
-      const historyToInclude = conversationHistory.length > maxHistoryMessages
-        ? conversationHistory.slice(-maxHistoryMessages)
-        : conversationHistory;
+  // Add previous conversation if exists, but limit to last 10 exchanges (20 messages)
+  // to avoid payload size issues
+  if (conversationHistory && conversationHistory.length > 0) {
+    const maxHistoryMessages = 20;
+    const historyToInclude = conversationHistory.length > maxHistoryMessages
+      ? conversationHistory.slice(-maxHistoryMessages)
+      : conversationHistory;
 
-      if (conversationHistory.length > maxHistoryMessages) {
-        console.log(`Limiting conversation history from ${conversationHistory.length} to ${maxHistoryMessages} messages`);
-      }
+    if (conversationHistory.length > maxHistoryMessages) {
+      console.log(`Limiting conversation history from ${conversationHistory.length} to ${maxHistoryMessages} messages`);
+    }
 
-      historyToInclude.forEach(msg => {
-        messages.push({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
-        });
+    historyToInclude.forEach(msg => {
+      messages.push({
+        role: msg.role === 'user' ? 'user' : 'assistant',
+        content: msg.content
       });
-    }
+    });
+  }
 
-    // Add current query with articles context
-    const currentPrompt = `User Question: ${query}
+  // Add current query with articles context
+  const currentPrompt = `User Question: ${query}
 
 Relevant Research Articles from PubMed:
 ${articlesContext}
@@ -622,10 +533,185 @@ FOLLOW-UP QUESTIONS:
 2. [Question 2]
 3. [Question 3]`;
 
-    messages.push({
-      role: 'user',
-      content: currentPrompt
-    });
+  messages.push({
+    role: 'user',
+    content: currentPrompt
+  });
+
+  return { systemPrompt, messages, articlesToSend };
+}
+
+// Split a generated answer into the main response and its follow-up questions
+function parseFollowUpQuestions(aiResponse) {
+  // Extract follow-up questions from response
+  let mainResponse = aiResponse;
+  let followUpQuestions = [];
+
+  try {
+    const followUpMatch = aiResponse.match(/FOLLOW-UP QUESTIONS:\s*([\s\S]*)/i);
+    if (followUpMatch) {
+      // Split main response and follow-ups
+      mainResponse = aiResponse.split(/FOLLOW-UP QUESTIONS:/i)[0].trim();
+
+      // Extract questions (numbered list format)
+      const questionsText = followUpMatch[1];
+      const questionLines = questionsText.split('\n')
+        .map(line => line.trim())
+        .filter(line => /^\d+\.\s*.+/.test(line));
+
+      followUpQuestions = questionLines.map(line =>
+        line.replace(/^\d+\.\s*/, '').trim()
+      ).filter(q => q.length > 0 && q.length < 300); // Limit question length
+
+      console.log('Extracted', followUpQuestions.length, 'follow-up questions');
+    }
+  } catch (parseError) {
+    console.warn('Failed to parse follow-up questions:', parseError.message);
+    // Continue without follow-up questions if parsing fails
+  }
+
+  return { mainResponse, followUpQuestions };
+}
+
+// Map an Anthropic API error (axios or SDK) to a client-facing status and message
+function describeClaudeError(error) {
+  const status = error.response?.status ?? error.status;
+
+  // Determine error type and provide helpful message
+  let statusCode = 500;
+  let errorMessage = 'Failed to generate response';
+  let retryable = true;
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    errorMessage = 'AI request timed out. Please try again.';
+    statusCode = 504;
+  } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+    errorMessage = 'Unable to connect to AI service. Please check your internet connection.';
+    statusCode = 503;
+  } else if (status === 429) {
+    errorMessage = 'AI service rate limit exceeded. Please wait a moment and try again.';
+    statusCode = 429;
+  } else if (status === 401) {
+    errorMessage = 'AI service authentication failed. Please check API configuration.';
+    statusCode = 500;
+    retryable = false;
+  } else if (status >= 500) {
+    errorMessage = 'AI service is temporarily unavailable. Please try again later.';
+    statusCode = 503;
+  } else if (status === 400) {
+    errorMessage = 'Invalid request to AI service. Please try rephrasing your question.';
+    statusCode = 400;
+    retryable = false;
+  }
+
+  return {
+    statusCode,
+    errorMessage,
+    retryable,
+    details: error.response?.data?.error?.message || error.error?.error?.message || error.message
+  };
+}
+
+// Write one Server-Sent Event
+function sendSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stream a Claude completion to the client over Server-Sent Events
+// Events: 'token' ({ text }) as text arrives, then 'done' with the parsed
+// follow-up questions and verified citations, or 'error' if generation fails
+async function streamGeneratedResponse(req, res, { systemPrompt, messages, articlesToSend }) {
+  const FOLLOW_UP_MARKER = 'FOLLOW-UP QUESTIONS:';
+
+  const stream = anthropic.messages.stream({
+    model: 'claude-sonnet-4-5-20250929',
+    max_tokens: 4096,
+    system: systemPrompt,
+    messages: messages
+  });
+
+  // Stop generating if the client goes away
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      console.log('Client disconnected, aborting response stream');
+      stream.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Forward answer text only - the follow-up section arrives in the 'done' event.
+  // Hold back a marker-length tail so a marker split across chunks is never sent
+  let fullText = '';
+  let emittedLength = 0;
+  let markerFound = false;
+
+  stream.on('text', (text) => {
+    fullText += text;
+    if (markerFound) return;
+
+    const markerIndex = fullText.toUpperCase().indexOf(FOLLOW_UP_MARKER);
+    const safeLength = markerIndex !== -1
+      ? markerIndex
+      : Math.max(emittedLength, fullText.length - FOLLOW_UP_MARKER.length);
+    markerFound = markerIndex !== -1;
+
+    if (safeLength > emittedLength) {
+      sendSSE(res, 'token', { text: fullText.substring(emittedLength, safeLength) });
+      emittedLength = safeLength;
+    }
+  });
+
+  const finalMessage = await stream.finalMessage();
+
+  if (!markerFound && fullText.length > emittedLength) {
+    sendSSE(res, 'token', { text: fullText.substring(emittedLength) });
+  }
+
+  console.log('Generated streamed response successfully');
+  console.log('Response length:', fullText.length, 'characters');
+
+  const { mainResponse, followUpQuestions } = parseFollowUpQuestions(fullText);
+
+  const usage = finalMessage.usage;
+  if (usage) {
+    console.log('Token usage - Input:', usage.input_tokens, 'Output:', usage.output_tokens);
+  }
+
+  sendSSE(res, 'done', {
+    response: mainResponse,
+    followUpQuestions,
+    citations: citationService.verify(mainResponse, articlesToSend)
+  });
+  res.end();
+}
+
+// Claude API endpoint with conversation history support
+// Send { stream: true } or Accept: text/event-stream to receive tokens over SSE
+app.post('/api/generate-response', async (req, res) => {
+  const wantsStream = req.body?.stream === true || req.get('Accept') === 'text/event-stream';
+
+  try {
+    const { query, articles, conversationHistory } = req.body;
+
+    if (!query || !articles) {
+      return res.status(400).json({ error: 'Query and articles are required' });
+    }
+
+    console.log('Generating response for query:', query);
+    console.log('Conversation history length:', conversationHistory?.length || 0);
+
+    const { systemPrompt, messages, articlesToSend } = buildGenerationRequest(query, articles, conversationHistory);
+
+    // Stream tokens over Server-Sent Events when the client asks for it
+    if (wantsStream) {
+      return await streamGeneratedResponse(req, res, { systemPrompt, messages, articlesToSend });
+    }
 
     // Call Claude API with conversation history and retry logic
     const response = await retryWithBackoff(
@@ -653,32 +739,7 @@ FOLLOW-UP QUESTIONS:
     console.log('Generated response successfully');
     console.log('Response length:', aiResponse.length, 'characters');
 
-    // Extract follow-up questions from response
-    let mainResponse = aiResponse;
-    let followUpQuestions = [];
-
-    try {
-      const followUpMatch = aiResponse.match(/FOLLOW-UP QUESTIONS:\s*([\s\S]*)/i);
-      if (followUpMatch) {
-        // Split main response and follow-ups
-        mainResponse = aiResponse.split(/FOLLOW-UP QUESTIONS:/i)[0].trim();
-
-        // Extract questions (numbered list format)
-        const questionsText = followUpMatch[1];
-        const questionLines = questionsText.split('\n')
-          .map(line => line.trim())
-          .filter(line => /^\d+\.\s*.+/.test(line));
-
-        followUpQuestions = questionLines.map(line =>
-          line.replace(/^\d+\.\s*/, '').trim()
-        ).filter(q => q.length > 0 && q.length < 300); // Limit question length
-
-        console.log('Extracted', followUpQuestions.length, 'follow-up questions');
-      }
-    } catch (parseError) {
-      console.warn('Failed to parse follow-up questions:', parseError.message);
-      // Continue without follow-up questions if parsing fails
-    }
+    const { mainResponse, followUpQuestions } = parseFollowUpQuestions(aiResponse);
 
     // Log usage stats for debugging
     const usage = response.data.usage;
@@ -688,304 +749,195 @@ FOLLOW-UP QUESTIONS:
 
     res.json({
       response: mainResponse,
-      followUpQuestions: followUpQuestions
+      followUpQuestions: followUpQuestions,
+      // Each [n] marker mapped to its article, with out-of-range/unsupported flags
+      citations: citationService.verify(mainResponse, articlesToSend)
     });
 
   } catch (error) {
     console.error('Claude API error:', error.response?.data || error.message);
 
-    // Determine error type and provide helpful message
-    let statusCode = 500;
-    let errorMessage = 'Failed to generate response';
-    let retryable = true;
+    const { statusCode, errorMessage, retryable, details } = describeClaudeError(error);
 
-    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-      errorMessage = 'AI request timed out. Please try again.';
-      statusCode = 504;
-    } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-      errorMessage = 'Unable to connect to AI service. Please check your internet connection.';
-      statusCode = 503;
-    } else if (error.response?.status === 429) {
-      errorMessage = 'AI service rate limit exceeded. Please wait a moment and try again.';
-      statusCode = 429;
-    } else if (error.response?.status === 401) {
-      errorMessage = 'AI service authentication failed. Please check API configuration.';
-      statusCode = 500;
-      retryable = false;
-    } else if (error.response?.status >= 500) {
-      errorMessage = 'AI service is temporarily unavailable. Please try again later.';
-      statusCode = 503;
-    } else if (error.response?.status === 400) {
-      errorMessage = 'Invalid request to AI service. Please try rephrasing your question.';
-      statusCode = 400;
-      retryable = false;
+    // Once the event stream has started the status can't change, so report in-band
+    if (res.headersSent) {
+      if (!res.destroyed) {
+        sendSSE(res, 'error', { error: errorMessage, details, retryable });
+      }
+      return res.end();
     }
 
     res.status(statusCode).json({
       error: errorMessage,
-      details: error.response?.data?.error?.message || error.message,
+      details,
       retryable: retryable
     });
   }
 });
 
-// Helper function to build PubMed query
-function buildPubMedQuery(query, filters) {
-  let searchTerm = query;
-
-  // Add date range filter
-  if (filters?.dateRange && filters.dateRange !== 'all') {
-    const dateFilters = {
-      '1year': '("2024/01/01"[Date - Publication] : "3000"[Date - Publication])',
-      '5years': '("2020/01/01"[Date - Publication] : "3000"[Date - Publication])',
-      '10years': '("2015/01/01"[Date - Publication] : "3000"[Date - Publication])',
-    };
-    if (dateFilters[filters.dateRange]) {
-      searchTerm += ' AND ' + dateFilters[filters.dateRange];
-    }
-  }
-
-  // Add study type filter
-  if (filters?.studyType && filters.studyType !== 'all') {
-    const studyTypeFilters = {
-      'meta-analysis': 'AND (Meta-Analysis[pt])',
-      'rct': 'AND (Randomized Controlled Trial[pt])',
-      'review': 'AND (Review[pt] OR Systematic Review[pt])',
-    };
-    if (studyTypeFilters[filters.studyType]) {
-      searchTerm += ' ' + studyTypeFilters[filters.studyType];
-    }
-  }
-
-  return searchTerm;
+// Helper function to perform multi-source search with smart routing
+async function performSearch(query, filters) {
+  const { articles } = await performSearchPage(query, filters);
+  return articles;
 }
 
-// Helper function to build Europe PMC query
-function buildEuropePMCQuery(query, filters) {
-  let searchQuery = `(${query})`;
-  let filterParams = '';
+// How long a search page waits for Semantic Scholar enrichment
+const SEMANTIC_SCHOLAR_BUDGET_MS = parseInt(process.env.SEMANTIC_SCHOLAR_BUDGET_MS, 10) || 2000;
 
-  // Add date range filter
-  if (filters?.dateRange && filters.dateRange !== 'all') {
-    const currentYear = new Date().getFullYear();
-    const yearsAgo = { '1year': 1, '5years': 5, '10years': 10 };
-    const years = yearsAgo[filters.dateRange];
-    if (years) {
-      const startYear = currentYear - years;
-      filterParams += ` AND (FIRST_PDATE:[${startYear} TO ${currentYear}])`;
-    }
-  }
-
-  // Add study type filter
-  if (filters?.studyType && filters.studyType !== 'all') {
-    const studyTypeFilters = {
-      'meta-analysis': ' AND (PUB_TYPE:"Meta-Analysis")',
-      'rct': ' AND (PUB_TYPE:"Randomized Controlled Trial")',
-      'review': ' AND (PUB_TYPE:"Review" OR PUB_TYPE:"Systematic Review")',
-    };
-    if (studyTypeFilters[filters.studyType]) {
-      filterParams += studyTypeFilters[filters.studyType];
-    }
-  }
-
-  return searchQuery + filterParams;
-}
-
-// Helper function to perform multi-source search with smart routing
-async function performSearch(query, filters) {
+// Helper function to fetch one page of multi-source results
+// pageState comes from a decoded search cursor; null means the first page.
+// Returns { articles, sources: { [source]: { total, returned, offset } }, nextState, routing }
+async function performSearchPage(query, filters, pageState = null) {
   // Use smart routing to determine which sources to query
-  const routingPlan = smartRoutingService.route(query);
+  // (filters.sources and filters.sourceLimits override the routing decision)
+  const routingPlan = smartRoutingService.route(query, filters || {});
   const searchPromises = [];
 
-  // Execute searches based on routing plan
+  // Execute searches based on routing plan; each source's provider does the
+  // querying, and failures come back as results with an error
   for (const execution of routingPlan.execution) {
     const { source, limit } = execution;
 
-    if (source === 'pubmed') {
-      searchPromises.push(
-        (async () => {
-          try {
-            const pubmedQuery = buildPubMedQuery(query, filters);
-            const searchResponse = await retryWithBackoff(() =>
-              axios.get('https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi', {
-                params: {
-                  db: 'pubmed',
-                  term: pubmedQuery,
-                  retmax: limit || 20,
-                  retmode: 'json',
-                  sort: 'relevance',
-                  api_key: process.env.NCBI_API_KEY
-                }
-              })
-            );
-
-            const ids = searchResponse.data.esearchresult.idlist;
-            if (ids.length === 0) return [];
-
-            const summaryResponse = await retryWithBackoff(() =>
-              axios.get('https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi', {
-                params: {
-                  db: 'pubmed',
-                  id: ids.join(','),
-                  retmode: 'json',
-                  api_key: process.env.NCBI_API_KEY
-                }
-              })
-            );
-
-            return Object.values(summaryResponse.data.result).filter(item => item.uid).map(article => ({
-              pmid: article.uid,
-              title: article.title || 'No title',
-              authors: article.authors?.map(a => a.name).join(', ') || 'Unknown',
-              journal: article.fulljournalname || article.source || 'Unknown',
-              year: article.pubdate?.split(' ')[0] || 'Unknown',
-              doi: article.elocationid || null,
-              abstract: null,
-              source: 'PubMed',
-              url: `https://pubmed.ncbi.nlm.nih.gov/${article.uid}/`
-            }));
-          } catch (err) {
-            console.warn('PubMed search failed:', err.message);
-            return [];
-          }
-        })()
-      );
-    }
-
-    if (source === 'europepmc') {
-      searchPromises.push(
-        (async () => {
-          try {
-            const europePmcQuery = buildEuropePMCQuery(query, filters);
-            const response = await retryWithBackoff(() =>
-              axios.get('https://www.ebi.ac.uk/europepmc/webservices/rest/search', {
-                params: {
-                  query: europePmcQuery,
-                  format: 'json',
-                  pageSize: limit || 20,
-                  resultType: 'core',
-                  sort: 'relevance'
-                }
-              })
-            );
-
-            return (response.data.resultList?.result || []).map(article => {
-              // Build URL based on available identifiers
-              let url = '';
-              if (article.pmid) {
-                url = `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/`;
-              } else if (article.pmcid) {
-                url = `https://europepmc.org/article/PMC/${article.pmcid.replace('PMC', '')}`;
-              } else if (article.doi) {
-                url = `https://doi.org/${article.doi}`;
-              }
-
-              return {
-                pmid: article.pmid || null,
-                title: article.title || 'No title',
-                authors: article.authorString || 'Unknown',
-                journal: article.journalTitle || 'Unknown',
-                year: article.pubYear || 'Unknown',
-                doi: article.doi || null,
-                abstract: article.abstractText || null,
-                source: 'Europe PMC',
-                url: url
-              };
-            });
-          } catch (err) {
-            console.warn('Europe PMC search failed:', err.message);
-            return [];
-          }
-        })()
-      );
-    }
-
-    if (source === 'openalex') {
-      searchPromises.push(
-        (async () => {
-          try {
-            console.log(`Searching OpenAlex with limit ${limit}...`);
-            const articles = await openalexService.searchWorks(query, {
-              limit: limit || 20,
-              medicalOnly: execution.medicalOnly
-            });
-            console.log(`OpenAlex returned ${articles.length} articles`);
-            return articles;
-          } catch (err) {
-            console.warn('OpenAlex search failed:', err.message);
-            return [];
-          }
-        })()
-      );
-    }
-
-    if (source === 'clinicaltrials') {
-      searchPromises.push(
-        (async () => {
-          try {
-            console.log(`Searching ClinicalTrials.gov with limit ${limit}...`);
-            const trials = await clinicaltrialsService.searchTrials(query, {
-              limit: limit || 15
-            });
-            console.log(`ClinicalTrials.gov returned ${trials.length} trials`);
-            return trials;
-          } catch (err) {
-            console.warn('ClinicalTrials.gov search failed:', err.message);
-            return [];
-          }
-        })()
-      );
-    }
+    // On later pages only sources with more results are queried
+    if (pageState && !pageState[source]) continue;
+    const position = pageState?.[source] || { offset: 0 };
+
+    searchPromises.push(sourceRegistry.search(source, query, { limit, filters, strategy: execution, position }));
   }
 
   const results = await Promise.all(searchPromises);
-  const allArticles = results.flat();
+
+  const sources = {};
+  const nextState = {};
+  for (const result of results) {
+    // Remember each article's position in its source's own ranking (used for rank fusion)
+    result.articles.forEach((article, i) => {
+      article.sourceRanks = { [article.source]: result.position.offset + i + 1 };
+    });
+
+    sources[result.source] = {
+      total: result.total,
+      returned: result.articles.length,
+      offset: result.position.offset
+    };
+    if (result.next) nextState[result.source] = result.next;
+  }
+
+  const failures = results.filter(result => result.error);
+  if (failures.length > 0) {
+    console.warn(`Sources failed: ${failures.map(result => result.source).join(', ')}`);
+  }
+  const allArticles = results.flatMap(result => result.articles);
 
   console.log(`Total articles from all sources: ${allArticles.length}`);
 
-  // Deduplicate by PMID, NCT ID, DOI, or title
-  const seen = new Set();
-  const deduplicated = allArticles.filter(article => {
-    // Create unique key based on available identifiers
-    const key = article.nctId || article.pmid || article.doi || article.title.toLowerCase();
-    if (seen.has(key)) return false;
-    seen.add(key);
-    return true;
-  });
+  // Link records for the same work across sources (shared PMID/PMCID/DOI/NCT ID
+  // or fuzzy title + year + first author) and merge them into one record
+  const deduplicated = recordLinkage.link(allArticles);
 
   console.log(`After deduplication: ${deduplicated.length} articles`);
 
-  return deduplicated;
-}
+  // Influential citation counts and TLDRs from Semantic Scholar (one batch
+  // request per page; citation counts feed ranking). Best effort: a slow
+  // lookup doesn't hold up the page and fills the cache for the next one
+  const enriched = await semanticScholarService.enrichArticles(deduplicated, {
+    budgetMs: SEMANTIC_SCHOLAR_BUDGET_MS
+  });
 
-// Deep Research endpoint
-app.post('/api/deep-research', async (req, res) => {
-  try {
-    const { query, filters } = req.body;
+  // Evidence filters (minEvidenceLevel, studyDesigns, excludePreprints)
+  let graded = enriched;
+  if (filters?.minEvidenceLevel || filters?.studyDesigns?.length || filters?.excludePreprints) {
+    graded = enriched.filter(article => evidenceGrading.matchesFilters(article, filters));
+    console.log(`After evidence filters: ${graded.length} articles`);
+  }
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
+  // Fuse source ranks, text match, recency, evidence level and citations
+  let ranked = rankingService.rank(query, graded);
 
-    console.log('🔬 Deep research request:', query);
+  // Strongest evidence first; stable sort keeps relevance order within a level
+  if (filters?.sortBy === 'evidence') {
+    ranked = ranked.sort((a, b) =>
+      evidenceGrading.rankingWeight(b.evidence) - evidenceGrading.rankingWeight(a.evidence));
+  }
+
+  return { articles: ranked, sources, nextState, routing: describeRouting(routingPlan, results) };
+}
+
+// Helper function to summarize a routing plan and how each source fared
+function describeRouting(routingPlan, results = null) {
+  const resultBySource = new Map((results || []).map(result => [result.source, result]));
+
+  return {
+    queryType: routingPlan.queryType,
+    strategyType: routingPlan.strategyType,
+    modifiers: routingPlan.modifiers || [],
+    classifier: routingPlan.classifier,
+    confidence: routingPlan.confidence,
+    strategy: routingPlan.strategy,
+    reasoning: routingPlan.reasoning,
+    alternativeTypes: routingPlan.alternativeTypes || [],
+    overrides: routingPlan.overrides,
+    sources: routingPlan.execution.map(execution => {
+      const entry = {
+        source: execution.source,
+        limit: execution.limit,
+        primary: Boolean(execution.primary),
+        addedByUser: execution.addedByUser,
+        // Strategy parameters translated into the source's query
+        parameters: {
+          studyType: execution.filters?.studyType || null,
+          sort: execution.sort || null,
+          yearFrom: execution.yearFrom || null,
+          type: execution.type || null,
+          medicalOnly: Boolean(execution.medicalOnly)
+        }
+      };
+      if (!results) return entry;
 
-    // Stage 1: Initial search
-    let initialArticles = await performSearch(query, filters);
+      const result = resultBySource.get(execution.source);
+      if (!result) return { ...entry, status: 'skipped', hits: 0, total: null };
+      return {
+        ...entry,
+        status: result.error ? 'failed' : 'ok',
+        hits: result.articles.length,
+        total: result.total,
+        durationMs: result.durationMs,
+        ...(result.error ? { error: result.error } : {})
+      };
+    }),
+    excludedSources: routingPlan.excludedSources
+  };
+}
 
-    if (initialArticles.length === 0) {
-      return res.status(404).json({
-        error: 'No relevant articles found',
-        retryable: true
-      });
-    }
+// Deep Research pipeline
+// Runs the initial search, analysis, follow-up searches and synthesis,
+// reporting each stage through the job reporter so clients can follow along
+async function runDeepResearch(job, reporter) {
+  const { query, filters } = job.params;
+  const MAX_FOLLOW_UPS = 5;
+
+  // Stage 1: Initial search
+  reporter.update('searching', 'Searching literature sources', 5);
+  let initialArticles = await performSearch(query, filters);
+  reporter.throwIfCancelled();
+
+  if (initialArticles.length === 0) {
+    const error = new Error('No relevant articles found');
+    error.retryable = true;
+    throw error;
+  }
 
-    // Enrich initial articles with CrossRef and Unpaywall metadata
-    console.log('Enriching initial articles with CrossRef and Unpaywall...');
-    initialArticles = await crossrefService.enrichArticles(initialArticles);
-    initialArticles = await unpaywallService.checkMultipleArticles(initialArticles);
+  // Enrich initial articles with CrossRef and Unpaywall metadata
+  reporter.update('enriching', `Enriching ${initialArticles.length} articles with CrossRef and Unpaywall`, 15, {
+    articleCount: initialArticles.length
+  });
+  initialArticles = await crossrefService.enrichArticles(initialArticles);
+  initialArticles = await unpaywallService.checkMultipleArticles(initialArticles);
+  reporter.throwIfCancelled();
 
-    // Stage 2: Analyze results and generate follow-up questions
-    const analysisPrompt = `You are a medical research expert. Analyze these research findings and:
+  // Stage 2: Analyze results and generate follow-up questions
+  reporter.update('analyzing', 'Analyzing findings and generating follow-up questions', 25);
+  const analysisPrompt = `You are a medical research expert. Analyze these research findings and:
 1. Identify 3-5 specific follow-up questions that would provide deeper insight
 2. Focus on: mechanisms, clinical outcomes, populations not covered, contradictions, recent advances
 
@@ -997,41 +949,51 @@ ${initialArticles.slice(0, 10).map(a => `- ${a.title} (${a.year}): ${a.abstract?
 Generate ONLY a JSON array of 3-5 follow-up question strings. No other text.
 Example format: ["question 1", "question 2", "question 3"]`;
 
-    const analysisResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1000,
-      temperature: 0.7,
-      messages: [{
-        role: 'user',
-        content: analysisPrompt
-      }]
+  const analysisResponse = await anthropic.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 1000,
+    temperature: 0.7,
+    messages: [{
+      role: 'user',
+      content: analysisPrompt
+    }]
+  }, { signal: reporter.signal });
+
+  let followUpQuestions;
+  try {
+    const responseText = analysisResponse.content[0].text.trim();
+    const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+    followUpQuestions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+  } catch (e) {
+    console.error('Failed to parse follow-up questions:', e);
+    followUpQuestions = [];
+  }
+
+  // Stage 3: Search for each follow-up question
+  const followUps = followUpQuestions.slice(0, MAX_FOLLOW_UPS);
+  const followUpResults = [];
+  for (const [i, fq] of followUps.entries()) {
+    reporter.throwIfCancelled();
+    reporter.update('follow-up', `Follow-up ${i + 1} of ${followUps.length}: ${fq}`, 30 + Math.round((i / followUps.length) * 50), {
+      current: i + 1,
+      total: followUps.length,
+      question: fq
     });
 
-    let followUpQuestions;
-    try {
-      const responseText = analysisResponse.content[0].text.trim();
-      const jsonMatch = responseText.match(/\[[\s\S]*\]/);
-      followUpQuestions = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
-    } catch (e) {
-      console.error('Failed to parse follow-up questions:', e);
-      followUpQuestions = [];
-    }
-
-    // Stage 3: Search for each follow-up question
-    const followUpResults = [];
-    for (const fq of followUpQuestions.slice(0, 5)) {
-      let articles = await performSearch(fq, filters);
-      // Enrich follow-up articles too
-      articles = await crossrefService.enrichArticles(articles);
-      articles = await unpaywallService.checkMultipleArticles(articles);
-      followUpResults.push({
-        question: fq,
-        articles: articles.slice(0, 5)
-      });
-    }
+    let articles = await performSearch(fq, filters);
+    // Enrich follow-up articles too
+    articles = await crossrefService.enrichArticles(articles);
+    articles = await unpaywallService.checkMultipleArticles(articles);
+    followUpResults.push({
+      question: fq,
+      articles: articles.slice(0, 5)
+    });
+  }
+  reporter.throwIfCancelled();
 
-    // Stage 4: Generate comprehensive synthesis
-    const synthesisPrompt = `Create a comprehensive medical research report.
+  // Stage 4: Generate comprehensive synthesis
+  reporter.update('synthesizing', 'Synthesizing the research report', 85);
+  const synthesisPrompt = `Create a comprehensive medical research report.
 
 ORIGINAL QUESTION: ${query}
 
@@ -1052,38 +1014,124 @@ IMPORTANT: Do NOT include a "Sources" section or reference list at the end. Sour
 
 Format in clear markdown with headers.`;
 
-    const synthesisResponse = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 3000,
-      temperature: 0.7,
-      messages: [{
-        role: 'user',
-        content: synthesisPrompt
-      }]
-    });
+  const synthesisResponse = await anthropic.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 3000,
+    temperature: 0.7,
+    messages: [{
+      role: 'user',
+      content: synthesisPrompt
+    }]
+  }, { signal: reporter.signal });
+
+  return {
+    synthesis: synthesisResponse.content[0].text,
+    initialArticles: initialArticles.slice(0, 20),
+    followUpQuestions,
+    followUpResults: followUpResults.map(fr => ({
+      question: fr.question,
+      articleCount: fr.articles.length,
+      topArticles: fr.articles.slice(0, 3)
+    })),
+    totalArticlesAnalyzed: initialArticles.length + followUpResults.reduce((sum, fr) => sum + fr.articles.length, 0)
+  };
+}
 
-    res.json({
-      synthesis: synthesisResponse.content[0].text,
-      initialArticles: initialArticles.slice(0, 20),
-      followUpQuestions,
-      followUpResults: followUpResults.map(fr => ({
-        question: fr.question,
-        articleCount: fr.articles.length,
-        topArticles: fr.articles.slice(0, 3)
-      })),
-      totalArticlesAnalyzed: initialArticles.length + followUpResults.reduce((sum, fr) => sum + fr.articles.length, 0)
+// Deep Research endpoint - starts an asynchronous job
+// Follow progress with GET /api/deep-research/:jobId (or /events for SSE)
+app.post('/api/deep-research', async (req, res) => {
+  try {
+    const { query, filters } = req.body;
+
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    console.log('🔬 Deep research request:', query);
+
+    const job = researchJobService.create({ query, filters });
+    researchJobService.start(job, runDeepResearch);
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/deep-research/${job.id}`,
+      eventsUrl: `/api/deep-research/${job.id}/events`,
+      cancelUrl: `/api/deep-research/${job.id}/cancel`
     });
 
   } catch (error) {
     console.error('Deep research error:', error);
     res.status(500).json({
-      error: 'Failed to complete deep research',
+      error: 'Failed to start deep research',
       details: error.message,
       retryable: true
     });
   }
 });
 
+// Get deep research job status (includes the report once completed)
+app.get('/api/deep-research/:jobId', (req, res) => {
+  const job = researchJobService.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Research job not found' });
+  }
+
+  res.json(researchJobService.toPublic(job));
+});
+
+// Stream deep research progress over Server-Sent Events
+// Sends a 'status' snapshot, then 'progress' events, then one of
+// 'completed' / 'failed' / 'cancelled' before closing
+app.get('/api/deep-research/:jobId/events', (req, res) => {
+  const job = researchJobService.get(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Research job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  sendSSE(res, 'status', researchJobService.toPublic(job));
+
+  if (researchJobService.isFinished(job)) {
+    sendSSE(res, job.status, researchJobService.toPublic(job));
+    return res.end();
+  }
+
+  const unsubscribe = researchJobService.subscribe(job.id, ({ type, data }) => {
+    sendSSE(res, type, data);
+    if (type !== 'progress') {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  req.on('close', unsubscribe);
+});
+
+// Cancel a running deep research job
+app.post('/api/deep-research/:jobId/cancel', (req, res) => {
+  const job = researchJobService.cancel(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Research job not found' });
+  }
+
+  res.json({
+    success: job.status === 'cancelled',
+    jobId: job.id,
+    status: job.status,
+    message: job.status === 'cancelled' ? 'Research cancelled' : `Job already ${job.status}`
+  });
+});
+
 // Document Analysis endpoint
 app.post('/api/analyze-document', upload.single('document'), async (req, res) => {
   try {
@@ -1232,6 +1280,7 @@ Respond with ONLY the search query terms, nothing else.`
 });
 
 // Drug Information endpoint
+// Resolved via RxNorm and grounded in the drug's openFDA label
 app.post('/api/drug-info', async (req, res) => {
   try {
     const { drugName } = req.body;
@@ -1242,63 +1291,54 @@ app.post('/api/drug-info', async (req, res) => {
 
     console.log(`📋 Fetching drug information for: ${drugName}`);
 
-    // Use Claude to generate comprehensive drug information
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [{
-        role: 'user',
-        content: `As a medical information expert, provide comprehensive, evidence-based information about the medication "${drugName}".
-
-Structure your response as a JSON object with the following fields:
-- drugName: The medication name (as provided)
-- genericName: Generic name if different from drugName (or null)
-- brandNames: Array of common brand names (or empty array)
-- overview: Brief description of the medication (string)
-- indications: Array of FDA-approved indications
-- dosing: String describing typical adult dosing
-- sideEffects: Array of common side effects (>10% occurrence)
-- seriousSideEffects: Array of serious/severe side effects to watch for
-- contraindications: Array of absolute contraindications
-- interactions: Array of major drug interactions (5-10 most important)
-- monitoring: Array of monitoring parameters (labs, vitals, etc.)
-
-Important guidelines:
-1. Be accurate and evidence-based
-2. If the drug doesn't exist or you're not confident, return an error message in the overview field
-3. Use clear, professional medical terminology
-4. Focus on clinically relevant information
-5. Return valid JSON only, no additional text
-
-Respond with valid JSON only.`
-      }]
-    });
+    const drugData = await drugDataService.getDrugData(drugName);
+    if (!drugData) {
+      return res.status(404).json({
+        error: 'Drug not found',
+        details: `RxNorm has no concept matching "${drugName}"`
+      });
+    }
 
-    const content = response.content[0].text;
+    const { drug, label } = drugData;
+    const drugInfo = {
+      drugName,
+      genericName: drug.genericNames[0] || null,
+      brandNames: drug.brandNames,
+      rxnorm: {
+        rxcui: drug.rxcui,
+        name: drug.name,
+        tty: drug.tty,
+        matchType: drug.matchType,
+        url: drug.url
+      },
+      label: label ? drugDataService.describeLabel(label) : null
+    };
 
-    // Try to parse the JSON response
-    let drugInfo;
-    try {
-      // Clean the response - remove markdown code blocks if present
-      const cleanedContent = content
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
-
-      drugInfo = JSON.parse(cleanedContent);
-    } catch (parseError) {
-      console.error('Failed to parse Claude response as JSON:', parseError);
-      // If parsing fails, return a structured error response
+    const emptyFields = Object.fromEntries(Object.entries(drugDataService.getFields())
+      .map(([field, definition]) => [field, definition.type === 'text' ? null : []]));
+
+    if (!label) {
       return res.json({
-        drugName: drugName,
-        overview: content,
-        indications: [],
-        sideEffects: [],
-        interactions: []
+        ...drugInfo,
+        ...emptyFields,
+        message: `No FDA label found for ${drug.name}`
       });
     }
 
-    res.json(drugInfo);
+    try {
+      const summary = await summarizeDrugLabel(drug, label);
+      res.json({ ...drugInfo, ...drugDataService.applyCitations(label, summary) });
+    } catch (error) {
+      // The label itself is still authoritative - return it unsummarised
+      console.error('Drug label summarization failed:', error.message);
+      res.json({
+        ...drugInfo,
+        ...emptyFields,
+        sections: Object.fromEntries(Object.entries(label.sections)
+          .map(([key, section]) => [key, { title: section.title, text: section.text.substring(0, 2000) }])),
+        summaryError: error.message
+      });
+    }
 
   } catch (error) {
     console.error('Drug info error:', error);
@@ -1309,77 +1349,254 @@ Respond with valid JSON only.`
   }
 });
 
-// Clinical Guidelines Search endpoint
-app.post('/api/search-guidelines', async (req, res) => {
+// Helper function to summarise a drug label with Claude
+// Every entry must cite the section key it was taken from; citations are
+// validated by drugDataService.applyCitations
+async function summarizeDrugLabel(drug, label) {
+  const fieldList = Object.entries(drugDataService.getFields())
+    .map(([field, definition]) => `- ${field} (${definition.type === 'text' ? '{ "text", "section" } or null' : 'array of { "text", "section" }'}): cite one of ${definition.sections.join(', ')}`)
+    .join('\n');
+
+  const response = await anthropic.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 4096,
+    messages: [{
+      role: 'user',
+      content: `Summarise this FDA drug label for ${drug.name} (RxCUI ${drug.rxcui}) for a clinician.
+
+Each label section is tagged with its section key in square brackets:
+
+${drugDataService.buildLabelContext(label)}
+
+Return a JSON object with these fields:
+${fieldList}
+
+Rules:
+1. Use ONLY the label text above - do not add anything from memory
+2. "section" must be the key of the section the entry was taken from
+3. Use null or an empty array when the label has no text for a field
+4. Keep each entry to one concise sentence or phrase
+5. sideEffects: the most common adverse reactions; seriousSideEffects: serious reactions the label warns about
+6. interactions: the most clinically important interactions (up to 10)
+
+Return valid JSON only, no additional text.`
+    }]
+  });
+
+  const content = response.content[0].text
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+  return JSON.parse(content);
+}
+
+// Drug-Drug Interaction Checker endpoint
+// Checks every pair in a medication list against the interaction knowledge bases
+
+// Largest medication list checked at once (45 pairs)
+const MAX_INTERACTION_DRUGS = 10;
+// Articles returned per interacting pair
+const INTERACTION_LITERATURE_LIMIT = 3;
+
+app.post('/api/drug-interactions', async (req, res) => {
   try {
-    const { query, organization } = req.body;
+    const { drugs: drugNames, includeLiterature = true } = req.body;
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    if (!Array.isArray(drugNames) || drugNames.filter(name => typeof name === 'string' && name.trim()).length < 2) {
+      return res.status(400).json({ error: 'At least two drug names are required' });
+    }
+    if (drugNames.length > MAX_INTERACTION_DRUGS) {
+      return res.status(400).json({ error: `At most ${MAX_INTERACTION_DRUGS} drugs can be checked at once` });
     }
 
-    console.log(`📚 Searching guidelines for: ${query} (Organization: ${organization || 'all'})`);
+    console.log(`💊 Checking interactions between: ${drugNames.join(', ')}`);
 
-    // Use Claude to search and compile relevant clinical guidelines
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 4096,
-      messages: [{
-        role: 'user',
-        content: `As a medical librarian and clinical guideline expert, search for relevant clinical practice guidelines about "${query}"${organization && organization !== 'all' ? ` specifically from ${organization}` : ''}.
-
-Return a JSON array of guideline objects with the following structure:
-[
-  {
-    "title": "Full guideline title",
-    "organization": "Issuing organization (e.g., ACC/AHA, ADA, CHEST)",
-    "year": "Year published or updated (YYYY)",
-    "specialty": "Medical specialty",
-    "summary": "Brief 2-3 sentence overview of the guideline",
-    "keyRecommendations": ["Array of 3-5 key recommendations"],
-    "url": "Official URL to the guideline (use real URLs when possible)"
+    // Same resolution path as /api/drug-info
+    const drugs = await drugDataService.resolveDrugs(drugNames.filter(name => typeof name === 'string' && name.trim()));
+
+    const pairs = [];
+    const knowledgeBases = {};
+    for (let i = 0; i < drugs.length; i++) {
+      for (let j = i + 1; j < drugs.length; j++) {
+        const { findings, knowledgeBases: kbStatus } = await interactionKbService.checkPair(drugs[i], drugs[j]);
+
+        for (const [name, status] of Object.entries(kbStatus)) {
+          const summary = knowledgeBases[name] || { status: 'ok', findings: 0 };
+          summary.findings += status.findings;
+          if (status.error) Object.assign(summary, { status: 'failed', error: status.error });
+          knowledgeBases[name] = summary;
+        }
+
+        // Mechanism and management from the highest-priority knowledge base;
+        // severity is the most severe any knowledge base reports
+        const primary = findings[0] || null;
+        pairs.push({
+          drugs: [drugs[i].name, drugs[j].name],
+          interacts: findings.length > 0,
+          severity: interactionKbService.mostSevere(findings.map(finding => finding.severity)),
+          mechanism: primary?.mechanism || null,
+          management: primary?.management || null,
+          knowledgeBase: primary?.knowledgeBase || null,
+          sharedIngredients: drugs[i].ingredients.filter(ingredient => drugs[j].ingredients.includes(ingredient)),
+          findings,
+          literature: []
+        });
+      }
+    }
+
+    pairs.sort((a, b) => interactionKbService.severityRank(a.severity) - interactionKbService.severityRank(b.severity));
+
+    // Supporting literature for interacting pairs
+    if (includeLiterature) {
+      for (const pair of pairs.filter(candidate => candidate.interacts)) {
+        pair.literature = await findInteractionLiterature(pair.drugs[0], pair.drugs[1]);
+      }
+    }
+
+    const interacting = pairs.filter(pair => pair.interacts);
+    res.json({
+      drugs: drugs.map(drug => ({
+        input: drug.input,
+        resolved: drug.resolved,
+        name: drug.name,
+        rxcui: drug.rxcui,
+        ingredients: drug.ingredients,
+        ...(drug.error ? { error: drug.error } : {})
+      })),
+      pairs,
+      summary: {
+        pairsChecked: pairs.length,
+        interactingPairs: interacting.length,
+        highestSeverity: interactionKbService.mostSevere(interacting.map(pair => pair.severity))
+      },
+      knowledgeBases
+    });
+
+  } catch (error) {
+    console.error('Drug interaction check error:', error);
+    res.status(500).json({
+      error: 'Failed to check drug interactions',
+      details: error.message
+    });
   }
-]
+});
 
-Important guidelines:
-1. Focus on major, authoritative clinical practice guidelines from recognized organizations
-2. Prioritize recent guidelines (last 5 years when possible)
-3. Include 5-8 most relevant guidelines
-4. Use real, accurate URLs when available
-5. Be specific with recommendations
-6. If no relevant guidelines exist, return an empty array
-7. Common organizations: ACC/AHA, ADA, CHEST, IDSA, NCCN, ACOG, AAN, ESC, WHO, CDC, NICE, ASCO
+// Helper function to find published evidence on a drug pair's interaction
+async function findInteractionLiterature(drugA, drugB) {
+  try {
+    const articles = await performSearch(`${drugA} ${drugB} drug interaction`, { dateRange: 'all', studyType: 'all' });
+    return articles.slice(0, INTERACTION_LITERATURE_LIMIT).map(article => ({
+      title: article.title,
+      journal: article.journal,
+      year: article.year,
+      pmid: article.pmid,
+      doi: article.doi,
+      url: article.url,
+      source: article.source
+    }));
+  } catch (error) {
+    console.warn(`Interaction literature search failed for ${drugA} + ${drugB}:`, error.message);
+    return [];
+  }
+}
 
-Return valid JSON array only, no additional text.`
-      }]
+// Adverse Event Signal endpoint
+// Real-world adverse event reports from FAERS, optionally compared with another drug
+app.post('/api/adverse-events', async (req, res) => {
+  try {
+    const { drugName, comparator } = req.body;
+    const limit = Math.min(parseInt(req.body.limit, 10) || 20, 100);
+    const yearFrom = parseInt(req.body.yearFrom, 10) || null;
+    const yearTo = parseInt(req.body.yearTo, 10) || null;
+
+    if (!drugName) {
+      return res.status(400).json({ error: 'Drug name is required' });
+    }
+
+    console.log(`📊 Fetching FAERS adverse events for: ${drugName}${comparator ? ` (vs ${comparator})` : ''}`);
+
+    // Same resolution path as /api/drug-info; reports are matched by ingredient
+    const [drug, comparatorDrug] = await drugDataService.resolveDrugs(comparator ? [drugName, comparator] : [drugName]);
+
+    // Reports for one ingredient of a combination product would be mislabelled as the product's
+    // (combination is set by RxNorm when the entered concept itself has several ingredients)
+    const combination = [drug, comparatorDrug].find(entry => entry && entry.combination);
+    if (combination) {
+      return res.status(400).json({
+        error: 'Combination products are not supported',
+        details: `${combination.name} contains ${combination.ingredients.join(', ')}; look up one ingredient at a time`
+      });
+    }
+
+    const profile = await faersService.getProfile(drug.ingredients[0], {
+      limit,
+      yearFrom,
+      yearTo,
+      comparator: comparatorDrug ? comparatorDrug.ingredients[0] : null
     });
 
-    const content = response.content[0].text;
+    const describeDrug = entry => ({
+      input: entry.input,
+      resolved: entry.resolved,
+      name: entry.name,
+      rxcui: entry.rxcui,
+      ingredient: entry.ingredients[0]
+    });
 
-    // Parse the JSON response
-    let guidelines;
-    try {
-      const cleanedContent = content
-        .replace(/```json\n?/g, '')
-        .replace(/```\n?/g, '')
-        .trim();
+    res.json({
+      drug: describeDrug(drug),
+      ...profile,
+      comparator: profile.comparator ? { ...describeDrug(comparatorDrug), ...profile.comparator } : null,
+      dateRange: { yearFrom, yearTo },
+      disclaimer: 'FAERS contains spontaneous reports: counts reflect reporting, not incidence, and cannot establish that a drug caused a reaction.'
+    });
+
+  } catch (error) {
+    console.error('Adverse events error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch adverse event data',
+      details: error.message
+    });
+  }
+});
+
+// Clinical Guidelines Search endpoint
+app.post('/api/search-guidelines', async (req, res) => {
+  try {
+    const { query, organization, summarize = true } = req.body;
+    const limit = Math.min(parseInt(req.body.limit, 10) || 8, 20);
+
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
 
-      guidelines = JSON.parse(cleanedContent);
+    console.log(`📚 Searching guidelines for: ${query} (Organization: ${organization || 'all'})`);
 
-      // Ensure it's an array
-      if (!Array.isArray(guidelines)) {
-        guidelines = [];
+    // Retrieve guidelines from PubMed, Europe PMC and the publisher catalog
+    const { guidelines, sources } = await guidelineService.searchGuidelines(query, { organization, limit });
+
+    // Claude only summarises what was retrieved - it cannot add guidelines or links
+    let summaryError = null;
+    if (summarize && guidelines.length > 0) {
+      try {
+        const summaries = await summarizeGuidelines(query, guidelines);
+        guidelines.forEach((guideline, i) => {
+          guideline.summary = summaries.get(i)?.summary || null;
+          guideline.keyRecommendations = summaries.get(i)?.keyRecommendations || [];
+        });
+      } catch (error) {
+        console.error('Guideline summarization failed:', error.message);
+        summaryError = error.message;
       }
-    } catch (parseError) {
-      console.error('Failed to parse guidelines response as JSON:', parseError);
-      guidelines = [];
     }
 
     res.json({
       query,
       organization: organization || 'all',
       guidelines,
-      count: guidelines.length
+      count: guidelines.length,
+      sources,
+      ...(summaryError ? { summaryError } : {})
     });
 
   } catch (error) {
@@ -1391,10 +1608,123 @@ Return valid JSON array only, no additional text.`
   }
 });
 
+// Helper function to summarise retrieved guidelines with Claude
+// Summaries come only from each guideline's own title and abstract; results are
+// matched back by index, so Claude cannot introduce guidelines or URLs
+async function summarizeGuidelines(query, guidelines) {
+  const documents = guidelines.map((guideline, i) =>
+    `[${i}] ${guideline.title}\n   Organization: ${guideline.organization || 'Unknown'}, ${guideline.year || 'n.d.'}\n   Text: ${(guideline.abstract || 'No abstract available').substring(0, 1500)}`
+  ).join('\n\n');
+
+  const response = await anthropic.messages.create({
+    model: 'claude-sonnet-4-20250514',
+    max_tokens: 4096,
+    messages: [{
+      role: 'user',
+      content: `Summarise each of these retrieved clinical guideline documents for a clinician researching "${query}".
+
+${documents}
+
+Rules:
+1. Use ONLY the text provided for each document - do not add knowledge from memory
+2. Only list recommendations the document's text actually states; otherwise return an empty array
+3. If a document has no abstract, summarise what its title says it covers and return no recommendations
+4. Do not mention other guidelines, URLs or identifiers
+
+Return a JSON array with one object per document:
+[{ "index": 0, "summary": "2-3 sentence overview", "keyRecommendations": ["..."] }]
+
+Return valid JSON array only, no additional text.`
+    }]
+  });
+
+  const content = response.content[0].text
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+  const parsed = JSON.parse(content);
+
+  const summaries = new Map();
+  for (const entry of Array.isArray(parsed) ? parsed : []) {
+    if (Number.isInteger(entry?.index) && entry.index >= 0 && entry.index < guidelines.length) {
+      summaries.set(entry.index, {
+        summary: typeof entry.summary === 'string' ? entry.summary : null,
+        keyRecommendations: Array.isArray(entry.keyRecommendations)
+          ? entry.keyRecommendations.filter(item => typeof item === 'string')
+          : []
+      });
+    }
+  }
+  return summaries;
+}
+
 // Evidence Alerts Management Endpoints
+// Alerts are persisted through alertStore (see services/alert-store.service.js)
+
+// Number of articles included in an email digest
+const DIGEST_ARTICLE_LIMIT = 10;
+
+// Email a digest of articles to the alert's subscriber
+async function deliverAlertDigest(alert, articles, checkedAt) {
+  const token = await alertStore.ensureUnsubscribeToken(alert.id);
+  const unsubscribeUrl = `${PUBLIC_BASE_URL}/api/alerts/${encodeURIComponent(alert.id)}/unsubscribe?token=${token}`;
+
+  // Add free full-text links before rendering
+  const digestArticles = await unpaywallService.checkMultipleArticles(articles);
+
+  const delivery = await notificationService.sendDigest(alert, digestArticles, unsubscribeUrl);
+  await alertStore.recordDelivery(alert.id, checkedAt, delivery);
+  return delivery;
+}
+
+// Run one alert check and record it in the alert's history
+// Shared by the manual check route and the background scheduler
+// Scheduled runs email a digest by default; manual runs only when asked
+// On emailing runs new articles wait in the alert's pending queue and are only
+// marked seen once a digest containing them is sent, so failed deliveries and
+// articles past the digest limit go out on a later run
+async function runAlertCheck(alert, trigger = 'manual', options = {}) {
+  const notify = (options.notify ?? trigger === 'scheduled') && Boolean(alert.email);
+  const checkedAt = new Date().toISOString();
+
+  let newArticles;
+  try {
+    // Restrict to records added since last check (or one frequency period back)
+    const results = await performSearch(alert.topic, {
+      ...dateWindowService.sinceLastCheck(alert.lastChecked, alertScheduler.getIntervalDays(alert.frequency)),
+      studyType: 'all'
+    });
+
+    // Drop articles reported by earlier checks, then remember this batch
+    newArticles = alertStore.filterUnseen(alert, results);
+    await alertStore.recordCheck(alert.id, newArticles, { checkedAt, trigger, deferSeen: notify });
+  } catch (error) {
+    await alertStore.recordFailure(alert.id, error, { checkedAt, trigger });
+    throw error;
+  }
+
+  console.log(`🔔 Alert ${alert.id} (${trigger}): ${newArticles.length} new articles`);
+
+  // The check is already recorded as successful; a delivery error is recorded on it
+  let delivery = null;
+  const pendingArticles = notify ? await alertStore.getPendingArticles(alert.id) : [];
+  if (pendingArticles.length > 0) {
+    const digestArticles = pendingArticles.slice(0, DIGEST_ARTICLE_LIMIT);
+    try {
+      delivery = await deliverAlertDigest(alert, digestArticles, checkedAt);
+    } catch (error) {
+      console.error(`Failed to deliver digest for alert ${alert.id}:`, error.message);
+      delivery = { status: 'failed', transport: null, error: error.message };
+      await alertStore.recordDelivery(alert.id, checkedAt, delivery).catch(() => {});
+    }
+
+    if (delivery.status === 'sent') {
+      await alertStore.markDelivered(alert.id, digestArticles);
+    }
+  }
 
-// In-memory storage for alerts (in production, use a database)
-let evidenceAlerts = [];
+  return { newArticles, checkedAt, delivery };
+}
 
 // Create new alert
 app.post('/api/alerts', async (req, res) => {
@@ -1405,7 +1735,11 @@ app.post('/api/alerts', async (req, res) => {
       return res.status(400).json({ error: 'Topic and email are required' });
     }
 
-    const alert = {
+    if (frequency && !alertScheduler.isValidFrequency(frequency)) {
+      return res.status(400).json({ error: 'Frequency must be daily, weekly or monthly' });
+    }
+
+    const alert = await alertStore.create({
       id: id || Date.now().toString(),
       topic,
       email,
@@ -1413,15 +1747,13 @@ app.post('/api/alerts', async (req, res) => {
       createdAt: createdAt || new Date().toISOString(),
       active: active !== undefined ? active : true,
       lastChecked: null
-    };
-
-    evidenceAlerts.push(alert);
+    });
 
     console.log(`🔔 Created alert: ${topic} for ${email}`);
 
     res.json({
       success: true,
-      alert,
+      alert: alertStore.toPublic(alert),
       message: 'Alert created successfully'
     });
 
@@ -1440,22 +1772,21 @@ app.put('/api/alerts/:id', async (req, res) => {
     const { id } = req.params;
     const updates = req.body;
 
-    const alertIndex = evidenceAlerts.findIndex(a => a.id === id);
+    if (updates.frequency && !alertScheduler.isValidFrequency(updates.frequency)) {
+      return res.status(400).json({ error: 'Frequency must be daily, weekly or monthly' });
+    }
+
+    const alert = await alertStore.update(id, updates);
 
-    if (alertIndex === -1) {
+    if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    evidenceAlerts[alertIndex] = {
-      ...evidenceAlerts[alertIndex],
-      ...updates
-    };
-
     console.log(`🔔 Updated alert: ${id}`);
 
     res.json({
       success: true,
-      alert: evidenceAlerts[alertIndex],
+      alert: alertStore.toPublic(alert),
       message: 'Alert updated successfully'
     });
 
@@ -1473,14 +1804,12 @@ app.delete('/api/alerts/:id', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const alertIndex = evidenceAlerts.findIndex(a => a.id === id);
+    const deleted = await alertStore.delete(id);
 
-    if (alertIndex === -1) {
+    if (!deleted) {
       return res.status(404).json({ error: 'Alert not found' });
     }
 
-    evidenceAlerts = evidenceAlerts.filter(a => a.id !== id);
-
     console.log(`🔔 Deleted alert: ${id}`);
 
     res.json({
@@ -1502,7 +1831,7 @@ app.post('/api/alerts/:id/check', async (req, res) => {
   try {
     const { id } = req.params;
 
-    const alert = evidenceAlerts.find(a => a.id === id);
+    const alert = await alertStore.get(id);
 
     if (!alert) {
       return res.status(404).json({ error: 'Alert not found' });
@@ -1510,38 +1839,85 @@ app.post('/api/alerts/:id/check', async (req, res) => {
 
     console.log(`🔍 Checking for new evidence: ${alert.topic}`);
 
-    // Calculate date range (since last check or past 7 days)
-    const lastCheckDate = alert.lastChecked
-      ? new Date(alert.lastChecked)
-      : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+    const { newArticles, checkedAt, delivery } = await runAlertCheck(alert, 'manual', {
+      notify: req.body?.notify === true
+    });
 
-    const dateFilter = lastCheckDate.toISOString().split('T')[0].replace(/-/g, '/');
+    res.json({
+      success: true,
+      topic: alert.topic,
+      newArticles: newArticles.slice(0, 10), // Return top 10 new articles
+      count: newArticles.length,
+      checkedAt,
+      delivery
+    });
 
-    // Search PubMed for new articles
-    const pubmedResults = await performSearch(alert.topic, {
-      dateRange: 'custom',
-      startDate: dateFilter,
-      studyType: 'all'
+  } catch (error) {
+    console.error('Check alert error:', error);
+    res.status(500).json({
+      error: 'Failed to check for new evidence',
+      details: error.message
+    });
+  }
+});
+
+// Get check history for a specific alert
+app.get('/api/alerts/:id/history', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const alert = await alertStore.get(id);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const runs = await alertStore.getHistory(id);
+
+    res.json({
+      alertId: id,
+      topic: alert.topic,
+      frequency: alert.frequency,
+      lastChecked: alert.lastChecked,
+      runs,
+      count: runs.length
     });
 
-    // Update last checked time
-    const alertIndex = evidenceAlerts.findIndex(a => a.id === id);
-    if (alertIndex !== -1) {
-      evidenceAlerts[alertIndex].lastChecked = new Date().toISOString();
+  } catch (error) {
+    console.error('Get alert history error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve alert history',
+      details: error.message
+    });
+  }
+});
+
+// Unsubscribe from an alert (linked from digest emails)
+app.get('/api/alerts/:id/unsubscribe', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { token } = req.query;
+
+    const alert = await alertStore.get(id);
+
+    if (!alert || !alertStore.verifyUnsubscribeToken(alert, token)) {
+      return res.status(404).json({ error: 'Alert not found or invalid unsubscribe link' });
     }
 
+    await alertStore.update(id, { active: false });
+
+    console.log(`🔕 Unsubscribed alert: ${id}`);
+
     res.json({
       success: true,
       topic: alert.topic,
-      newArticles: pubmedResults.slice(0, 10), // Return top 10 new articles
-      count: pubmedResults.length,
-      checkedAt: new Date().toISOString()
+      message: 'You have been unsubscribed from this alert'
     });
 
   } catch (error) {
-    console.error('Check alert error:', error);
+    console.error('Unsubscribe alert error:', error);
     res.status(500).json({
-      error: 'Failed to check for new evidence',
+      error: 'Failed to unsubscribe',
       details: error.message
     });
   }
@@ -1550,9 +1926,10 @@ app.post('/api/alerts/:id/check', async (req, res) => {
 // Get all alerts (for admin/debugging)
 app.get('/api/alerts', async (req, res) => {
   try {
+    const alerts = await alertStore.list();
     res.json({
-      alerts: evidenceAlerts,
-      count: evidenceAlerts.length
+      alerts: alerts.map(alert => alertStore.toPublic(alert)),
+      count: alerts.length
     });
   } catch (error) {
     console.error('Get alerts error:', error);
@@ -1801,4 +2178,7 @@ app.listen(PORT, () => {
   console.log(`🧬 Deep research: POST http://localhost:${PORT}/api/deep-research`);
   console.log(`📄 Document analysis: POST http://localhost:${PORT}/api/analyze-document`);
   console.log(`🔎 Find similar: POST http://localhost:${PORT}/api/find-similar`);
+
+  // Start background alert checks
+  alertScheduler.start(runAlertCheck);
 });
\ No newline at end of file
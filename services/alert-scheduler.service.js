@@ -0,0 +1,161 @@
+/**
+ * Alert Scheduler Service
+ *
+ * In-process background runner that periodically walks active alerts and
+ * checks the ones that are due according to their frequency
+ * (daily / weekly / monthly). An alert whose last checks failed is retried
+ * with exponential backoff (30 min, 1 h, 2 h, ...) up to its frequency.
+ *
+ * Configuration:
+ * - ALERT_SCHEDULER_ENABLED: set to 'false' to disable background checks
+ * - ALERT_SCHEDULER_INTERVAL_MINUTES: how often to look for due alerts (default: 15)
+ */
+
+const alertStore = require('./alert-store.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_BASE_MS = 30 * 60 * 1000;
+
+class AlertSchedulerService {
+  constructor() {
+    this.enabled = process.env.ALERT_SCHEDULER_ENABLED !== 'false';
+    this.tickInterval = (parseInt(process.env.ALERT_SCHEDULER_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+    this.frequencies = {
+      daily: 1,
+      weekly: 7,
+      monthly: 30
+    };
+    this.timer = null;
+    this.running = false;
+    this.checkFn = null;
+  }
+
+  /**
+   * Check whether a frequency value is supported
+   * @param {string} frequency - Alert frequency
+   * @returns {boolean}
+   */
+  isValidFrequency(frequency) {
+    return Object.prototype.hasOwnProperty.call(this.frequencies, frequency);
+  }
+
+  /**
+   * Get the number of days between checks for a frequency
+   * @param {string} frequency - Alert frequency
+   * @returns {number} Days (defaults to weekly)
+   */
+  getIntervalDays(frequency) {
+    return this.frequencies[frequency] || this.frequencies.weekly;
+  }
+
+  /**
+   * Failed checks since the alert's last successful one
+   * @param {object} alert - Stored alert
+   * @returns {object} { count, lastFailedAt (timestamp or null) }
+   */
+  getRecentFailures(alert) {
+    const history = alert.history || [];
+    const firstSuccess = history.findIndex(run => run.status !== 'failed');
+    const failures = firstSuccess === -1 ? history : history.slice(0, firstSuccess);
+    const lastFailedAt = failures.length > 0 ? new Date(failures[0].checkedAt).getTime() : NaN;
+
+    return { count: failures.length, lastFailedAt: isNaN(lastFailedAt) ? null : lastFailedAt };
+  }
+
+  /**
+   * Wait before retrying after consecutive failures, doubling each time up to the alert's frequency
+   * @param {object} alert - Stored alert
+   * @param {number} failureCount - Consecutive failed checks
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(alert, failureCount) {
+    const intervalMs = this.getIntervalDays(alert.frequency) * DAY_MS;
+    return Math.min(RETRY_BASE_MS * 2 ** Math.min(failureCount - 1, 20), intervalMs);
+  }
+
+  /**
+   * Determine whether an alert should be checked now
+   * @param {object} alert - Stored alert
+   * @param {number} now - Current timestamp
+   * @returns {boolean}
+   */
+  isDue(alert, now = Date.now()) {
+    if (!alert.active) return false;
+
+    // A failed check leaves lastChecked unchanged, so back off instead of retrying every tick
+    const failures = this.getRecentFailures(alert);
+    if (failures.count > 0 && failures.lastFailedAt !== null
+      && now - failures.lastFailedAt < this.getRetryDelay(alert, failures.count)) {
+      return false;
+    }
+
+    if (!alert.lastChecked) return true;
+
+    const lastChecked = new Date(alert.lastChecked).getTime();
+    if (isNaN(lastChecked)) return true;
+
+    return now - lastChecked >= this.getIntervalDays(alert.frequency) * DAY_MS;
+  }
+
+  /**
+   * Start the background runner
+   * @param {Function} checkFn - async (alert, trigger) => void, runs and records one check
+   */
+  start(checkFn) {
+    if (!this.enabled) {
+      console.log('Alert scheduler disabled');
+      return;
+    }
+    if (this.timer) return;
+
+    this.checkFn = checkFn;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+    console.log(`Alert scheduler started (every ${this.tickInterval / 60000} min)`);
+
+    // Pick up alerts that became due while the server was down
+    this.tick();
+  }
+
+  /**
+   * Stop the background runner
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every due alert once
+   * Alerts run one at a time to keep load on the upstream APIs low
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const alerts = await alertStore.list();
+      const due = alerts.filter(alert => this.isDue(alert));
+
+      if (due.length > 0) {
+        console.log(`Alert scheduler: ${due.length} alert(s) due`);
+      }
+
+      for (const alert of due) {
+        try {
+          await this.checkFn(alert, 'scheduled');
+        } catch (error) {
+          // Failures are recorded in the alert history by checkFn
+          console.error(`Alert scheduler: check failed for ${alert.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Alert scheduler error:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new AlertSchedulerService();
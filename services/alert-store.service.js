@@ -0,0 +1,468 @@
+/**
+ * Alert Store Service
+ *
+ * Persistence layer for evidence alerts. Alerts are kept in memory and
+ * written through to a pluggable backend on every change, so subscriptions,
+ * lastChecked timestamps, already-seen article IDs, articles waiting to be
+ * emailed and check history survive restarts.
+ *
+ * Backends (ALERT_STORE env var):
+ * - file (default): JSON file at ALERT_STORE_PATH (default: data/alerts.json)
+ * - memory: no persistence, for tests and throwaway environments
+ *
+ * A backend is any object with async load() -> Array and save(alerts).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Seen articles are stored under every identifier (about 4 keys per article)
+const MAX_SEEN_IDS_PER_ALERT = 20000;
+const MAX_HISTORY_PER_ALERT = 50;
+const MAX_PENDING_ARTICLES_PER_ALERT = 200;
+
+/**
+ * JSON file backend
+ * Writes to a temp file and renames it so a crash never leaves a partial file
+ */
+class FileAlertBackend {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async load() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf-8');
+      const data = JSON.parse(content);
+      return Array.isArray(data.alerts) ? data.alerts : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async save(alerts) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify({ alerts }, null, 2));
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * In-memory backend (nothing is persisted)
+ */
+class MemoryAlertBackend {
+  async load() {
+    return [];
+  }
+
+  async save() {}
+}
+
+class AlertStoreService {
+  constructor(backend) {
+    this.backend = backend || this.createBackend(process.env.ALERT_STORE || 'file');
+    this.alerts = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Create the configured backend
+   * @param {string} type - Backend type ('file' or 'memory')
+   * @returns {object} Backend instance
+   */
+  createBackend(type) {
+    if (type === 'memory') {
+      console.log('Alert store initialized (memory)');
+      return new MemoryAlertBackend();
+    }
+
+    const filePath = path.resolve(process.env.ALERT_STORE_PATH || path.join(__dirname, '..', 'data', 'alerts.json'));
+    console.log(`Alert store initialized (file: ${filePath})`);
+    return new FileAlertBackend(filePath);
+  }
+
+  /**
+   * Load alerts from the backend once
+   */
+  async ensureLoaded() {
+    if (this.alerts) return;
+    if (!this.loading) {
+      this.loading = this.backend.load().then(alerts => {
+        this.alerts = alerts;
+        console.log(`Alert store: Loaded ${alerts.length} alerts`);
+      });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Persist current alerts, serializing writes so they never interleave
+   */
+  async persist() {
+    const snapshot = this.alerts.map(alert => ({ ...alert }));
+    this.writeQueue = this.writeQueue
+      .catch(() => {})
+      .then(() => this.backend.save(snapshot));
+    await this.writeQueue;
+  }
+
+  /**
+   * Get every identifier key of an article
+   * The canonical record ID changes when a later search links in another
+   * identifier, so an article counts as seen when any one of its keys was seen.
+   * Keys use the canonical record ID format (pmid:..., doi:...), so IDs stored
+   * before this still match.
+   * @param {object} article - Article object
+   * @returns {Array<string>} Article keys
+   */
+  getArticleKeys(article) {
+    const title = String(article.title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return [...new Set([
+      article.id,
+      article.pmid && `pmid:${article.pmid}`,
+      article.doi && `doi:${article.doi.toLowerCase()}`,
+      article.nctId && `nct:${article.nctId}`,
+      article.pmcid && `pmcid:${article.pmcid}`,
+      title && `title:${title}`
+    ].filter(Boolean))];
+  }
+
+  /**
+   * Whether any of an article's keys is in a set of keys
+   */
+  hasAnyKey(keys, article) {
+    return this.getArticleKeys(article).some(key => keys.has(key));
+  }
+
+  /**
+   * Strip internal bookkeeping before returning an alert to clients
+   * @param {object} alert - Stored alert
+   * @returns {object} Public alert
+   */
+  toPublic(alert) {
+    if (!alert) return null;
+    const { seenArticleIds, pendingArticles, history, unsubscribeToken, ...rest } = alert;
+    return {
+      ...rest,
+      seenArticleCount: seenArticleIds?.length || 0,
+      pendingArticleCount: pendingArticles?.length || 0,
+      runCount: history?.length || 0
+    };
+  }
+
+  /**
+   * List all alerts
+   * @returns {Promise<Array>} Alerts
+   */
+  async list() {
+    await this.ensureLoaded();
+    return this.alerts.map(alert => ({ ...alert }));
+  }
+
+  /**
+   * Get a single alert
+   * @param {string} id - Alert ID
+   * @returns {Promise<object|null>} Alert or null
+   */
+  async get(id) {
+    await this.ensureLoaded();
+    const alert = this.alerts.find(a => a.id === id);
+    return alert ? { ...alert } : null;
+  }
+
+  /**
+   * Create an alert
+   * @param {object} alert - Alert fields
+   * @returns {Promise<object>} Stored alert
+   */
+  async create(alert) {
+    await this.ensureLoaded();
+    const stored = {
+      ...alert,
+      seenArticleIds: alert.seenArticleIds || [],
+      pendingArticles: alert.pendingArticles || [],
+      history: alert.history || [],
+      unsubscribeToken: this.generateToken()
+    };
+    this.alerts.push(stored);
+    await this.persist();
+    return { ...stored };
+  }
+
+  /**
+   * Generate a random unsubscribe token
+   * @returns {string} Token
+   */
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Get an alert's unsubscribe token, creating one for alerts stored before tokens existed
+   * @param {string} id - Alert ID
+   * @returns {Promise<string|null>} Token or null if alert not found
+   */
+  async ensureUnsubscribeToken(id) {
+    await this.ensureLoaded();
+    const alert = this.alerts.find(a => a.id === id);
+    if (!alert) return null;
+
+    if (!alert.unsubscribeToken) {
+      alert.unsubscribeToken = this.generateToken();
+      await this.persist();
+    }
+    return alert.unsubscribeToken;
+  }
+
+  /**
+   * Check an unsubscribe token against the stored one
+   * @param {object} alert - Stored alert
+   * @param {string} token - Token from the unsubscribe link
+   * @returns {boolean}
+   */
+  verifyUnsubscribeToken(alert, token) {
+    if (!alert?.unsubscribeToken || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(alert.unsubscribeToken);
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Update an alert (id, seen article IDs, pending articles, history and unsubscribe
+   * token cannot be overwritten)
+   * @param {string} id - Alert ID
+   * @param {object} updates - Fields to update
+   * @returns {Promise<object|null>} Updated alert or null if not found
+   */
+  async update(id, updates) {
+    await this.ensureLoaded();
+    const index = this.alerts.findIndex(a => a.id === id);
+    if (index === -1) return null;
+
+    const {
+      id: _id,
+      seenArticleIds: _seen,
+      pendingArticles: _pending,
+      history: _history,
+      unsubscribeToken: _token,
+      ...allowed
+    } = updates;
+    this.alerts[index] = { ...this.alerts[index], ...allowed };
+    await this.persist();
+    return { ...this.alerts[index] };
+  }
+
+  /**
+   * Delete an alert
+   * @param {string} id - Alert ID
+   * @returns {Promise<boolean>} True if an alert was deleted
+   */
+  async delete(id) {
+    await this.ensureLoaded();
+    const before = this.alerts.length;
+    this.alerts = this.alerts.filter(a => a.id !== id);
+    if (this.alerts.length === before) return false;
+    await this.persist();
+    return true;
+  }
+
+  /**
+   * Filter out articles an alert has already reported or is waiting to email
+   * @param {object} alert - Stored alert
+   * @param {Array} articles - Search results
+   * @returns {Array} Articles not seen before
+   */
+  filterUnseen(alert, articles) {
+    const seen = new Set([
+      ...(alert.seenArticleIds || []),
+      ...(alert.pendingArticles || []).flatMap(article => this.getArticleKeys(article))
+    ]);
+    return articles.filter(article => !this.hasAnyKey(seen, article));
+  }
+
+  /**
+   * Reduce an article to the fields kept in run history
+   * @param {object} article - Article object
+   * @returns {object} Article summary
+   */
+  summarizeArticle(article) {
+    return {
+      pmid: article.pmid || null,
+      doi: article.doi || null,
+      nctId: article.nctId || null,
+      title: article.title,
+      journal: article.journal || null,
+      year: article.year || null,
+      source: article.source || null,
+      url: article.url || null
+    };
+  }
+
+  /**
+   * Reduce an article to the fields a digest needs while it waits to be emailed
+   * @param {object} article - Article object
+   * @returns {object} Pending article
+   */
+  toPendingArticle(article) {
+    return {
+      id: article.id || null,
+      ...this.summarizeArticle(article),
+      pmcid: article.pmcid || null,
+      studyType: article.studyType || null
+    };
+  }
+
+  /**
+   * Append a run to an alert's history, newest first
+   * @param {object} alert - Stored alert
+   * @param {object} run - Run record
+   * @returns {Array} Updated history
+   */
+  appendHistory(alert, run) {
+    return [run, ...(alert.history || [])].slice(0, MAX_HISTORY_PER_ALERT);
+  }
+
+  /**
+   * Record a completed check: update lastChecked, remember reported articles
+   * and add a run to the alert's history
+   * With deferSeen the articles are queued as pending instead of marked seen,
+   * until markDelivered confirms they were emailed.
+   * @param {string} id - Alert ID
+   * @param {Array} articles - Articles reported by this check
+   * @param {object} options - { checkedAt, trigger ('manual' | 'scheduled'), deferSeen }
+   * @returns {Promise<object|null>} Run record or null if alert not found
+   */
+  async recordCheck(id, articles, options = {}) {
+    await this.ensureLoaded();
+    const index = this.alerts.findIndex(a => a.id === id);
+    if (index === -1) return null;
+
+    const checkedAt = options.checkedAt || new Date().toISOString();
+    const alert = this.alerts[index];
+    const seenArticleIds = [
+      ...(alert.seenArticleIds || []),
+      ...(options.deferSeen ? [] : articles.flatMap(article => this.getArticleKeys(article)))
+    ];
+    const pendingArticles = [
+      ...(alert.pendingArticles || []),
+      ...(options.deferSeen ? articles.map(article => this.toPendingArticle(article)) : [])
+    ];
+
+    const run = {
+      checkedAt,
+      trigger: options.trigger || 'manual',
+      status: 'success',
+      newArticleCount: articles.length,
+      articles: articles.map(article => this.summarizeArticle(article))
+    };
+
+    this.alerts[index] = {
+      ...alert,
+      lastChecked: checkedAt,
+      // Keep the most recent IDs so the store doesn't grow without bound
+      seenArticleIds: [...new Set(seenArticleIds)].slice(-MAX_SEEN_IDS_PER_ALERT),
+      // Oldest pending articles are dropped if delivery keeps failing
+      pendingArticles: pendingArticles.slice(-MAX_PENDING_ARTICLES_PER_ALERT),
+      history: this.appendHistory(alert, run)
+    };
+    await this.persist();
+    return run;
+  }
+
+  /**
+   * Articles waiting to be emailed, oldest first
+   * @param {string} id - Alert ID
+   * @returns {Promise<Array>} Pending articles
+   */
+  async getPendingArticles(id) {
+    await this.ensureLoaded();
+    const alert = this.alerts.find(a => a.id === id);
+    return [...(alert?.pendingArticles || [])];
+  }
+
+  /**
+   * Mark emailed articles as seen and remove them from the pending queue
+   * @param {string} id - Alert ID
+   * @param {Array} articles - Articles included in a delivered digest
+   */
+  async markDelivered(id, articles) {
+    await this.ensureLoaded();
+    const index = this.alerts.findIndex(a => a.id === id);
+    if (index === -1) return;
+
+    const alert = this.alerts[index];
+    const delivered = new Set(articles.flatMap(article => this.getArticleKeys(article)));
+    const seenArticleIds = [...(alert.seenArticleIds || []), ...delivered];
+
+    this.alerts[index] = {
+      ...alert,
+      seenArticleIds: [...new Set(seenArticleIds)].slice(-MAX_SEEN_IDS_PER_ALERT),
+      pendingArticles: (alert.pendingArticles || []).filter(article => !this.hasAnyKey(delivered, article))
+    };
+    await this.persist();
+  }
+
+  /**
+   * Record a failed check in the alert's history (lastChecked is left unchanged
+   * so the next run still covers the missed window)
+   * @param {string} id - Alert ID
+   * @param {Error} error - Failure
+   * @param {object} options - { checkedAt, trigger ('manual' | 'scheduled') }
+   * @returns {Promise<object|null>} Run record or null if alert not found
+   */
+  async recordFailure(id, error, options = {}) {
+    await this.ensureLoaded();
+    const index = this.alerts.findIndex(a => a.id === id);
+    if (index === -1) return null;
+
+    const run = {
+      checkedAt: options.checkedAt || new Date().toISOString(),
+      trigger: options.trigger || 'manual',
+      status: 'failed',
+      newArticleCount: 0,
+      articles: [],
+      error: error.message
+    };
+
+    this.alerts[index] = {
+      ...this.alerts[index],
+      history: this.appendHistory(this.alerts[index], run)
+    };
+    await this.persist();
+    return run;
+  }
+
+  /**
+   * Attach digest delivery details to a recorded run
+   * @param {string} id - Alert ID
+   * @param {string} checkedAt - Timestamp identifying the run
+   * @param {object} delivery - Result from notificationService.sendDigest
+   */
+  async recordDelivery(id, checkedAt, delivery) {
+    await this.ensureLoaded();
+    const alert = this.alerts.find(a => a.id === id);
+    const run = alert?.history?.find(r => r.checkedAt === checkedAt);
+    if (!run) return;
+
+    run.delivery = delivery;
+    await this.persist();
+  }
+
+  /**
+   * Get an alert's run history, newest first
+   * @param {string} id - Alert ID
+   * @returns {Promise<Array|null>} Runs or null if alert not found
+   */
+  async getHistory(id) {
+    await this.ensureLoaded();
+    const alert = this.alerts.find(a => a.id === id);
+    return alert ? [...(alert.history || [])] : null;
+  }
+}
+
+module.exports = new AlertStoreService();
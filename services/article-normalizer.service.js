@@ -0,0 +1,441 @@
+/**
+ * Article Normalizer Service
+ *
+ * Defines the canonical evidence record shared by every search source and
+ * provides one adapter per source, so downstream code (generate-response,
+ * deduplication, alerts) can rely on the same fields being present.
+ *
+ * Canonical record:
+ * {
+ *   id,                 // stable key: 'pmid:…' | 'doi:…' | 'nct:…' | 'pmcid:…' | 'openalex:…' | 'title:…'
+ *   pmid, pmcid, doi, nctId, openalexId,   // identifiers (null when unknown)
+ *   title,
+ *   abstract,           // string | null
+ *   authors,            // [{ name, affiliation }]
+ *   authorString,       // display string ("Smith J, Doe A, et al.")
+ *   journal,            // string | null
+ *   publicationDate,    // 'YYYY-MM-DD' | 'YYYY-MM' | 'YYYY' | null
+ *   year,               // number | null
+ *   studyType,          // display label of evidence.design ('RCT', 'Meta-Analysis', ...)
+ *   publicationTypes,   // [string] as reported by the source
+ *   keywords,           // [string]
+ *   meshTerms,          // [string]
+ *   citationCount,      // number | null
+ *   access: { isOpenAccess, fullTextUrl, pdfUrl, license },
+ *   url,                // canonical landing page
+ *   source,             // provider that returned the record ('PubMed', 'Europe PMC', ...)
+ *   sources,            // [string] every provider that returned it (more than one after record linkage)
+ *   provenance: { source, sourceId, retrievedAt },
+ *   trial,              // registry details for ClinicalTrials.gov records (and publications linked to one), otherwise null
+ *   peerReviewed,       // false for preprints
+ *   preprint,           // { server, doi, version, category, publishedDoi, publishedUrl } for preprints
+ *                       // (kept on the journal version when record linkage merges the two), otherwise null
+ *   evidence            // study design and evidence level (see evidence-grading.service.js)
+ * }
+ */
+
+const evidenceGrading = require('./evidence-grading.service');
+
+class ArticleNormalizerService {
+  constructor() {
+    this.adapters = {
+      pubmed: record => this.fromPubMed(record),
+      europepmc: record => this.fromEuropePMC(record),
+      openalex: record => this.fromOpenAlex(record),
+      clinicaltrials: record => this.fromClinicalTrials(record),
+      preprints: record => this.fromPreprint(record),
+      synthesis: record => this.fromSynthesisReview(record)
+    };
+  }
+
+  /**
+   * Normalize a batch of records from one source
+   * @param {string} source - Source key ('pubmed', 'europepmc', 'openalex', 'clinicaltrials', 'preprints', 'synthesis')
+   * @param {Array} records - Source records
+   * @returns {Array} Canonical records
+   */
+  normalizeMany(source, records) {
+    const adapter = this.adapters[source];
+    if (!adapter) {
+      throw new Error(`No article adapter registered for source "${source}"`);
+    }
+
+    return (records || []).map(record => {
+      try {
+        return adapter(record);
+      } catch (error) {
+        console.warn(`Failed to normalize ${source} record:`, error.message);
+        return null;
+      }
+    }).filter(Boolean);
+  }
+
+  /**
+   * Build a canonical record, filling every field with a default
+   * @param {object} fields - Known fields
+   * @returns {object} Canonical record
+   */
+  createRecord(fields) {
+    const authors = fields.authors || [];
+    const publicationDate = fields.publicationDate || null;
+
+    const record = {
+      pmid: fields.pmid || null,
+      pmcid: fields.pmcid || null,
+      doi: this.cleanDoi(fields.doi),
+      nctId: fields.nctId || null,
+      openalexId: fields.openalexId || null,
+      title: this.cleanText(fields.title) || 'No title available',
+      abstract: this.cleanText(fields.abstract) || null,
+      authors,
+      authorString: this.formatAuthors(authors),
+      journal: fields.journal || null,
+      publicationDate,
+      year: fields.year || this.extractYear(publicationDate),
+      publicationTypes: fields.publicationTypes || [],
+      keywords: fields.keywords || [],
+      meshTerms: fields.meshTerms || [],
+      citationCount: typeof fields.citationCount === 'number' ? fields.citationCount : null,
+      access: {
+        isOpenAccess: fields.access?.isOpenAccess || false,
+        fullTextUrl: fields.access?.fullTextUrl || null,
+        pdfUrl: fields.access?.pdfUrl || null,
+        license: fields.access?.license || null
+      },
+      url: fields.url || null,
+      source: fields.source,
+      sources: [fields.source],
+      provenance: {
+        source: fields.source,
+        sourceId: fields.sourceId || null,
+        retrievedAt: new Date().toISOString()
+      },
+      trial: fields.trial || null,
+      peerReviewed: typeof fields.peerReviewed === 'boolean' ? fields.peerReviewed : null,
+      preprint: fields.preprint || null
+    };
+
+    return this.finalizeRecord(record);
+  }
+
+  /**
+   * Derive the ID, URL and evidence grade from a record's fields
+   * (also used after record linkage merges several records into one)
+   * @param {object} record - Canonical record
+   * @returns {object} The same record
+   */
+  finalizeRecord(record) {
+    record.id = this.getRecordId(record);
+    if (!record.url) record.url = this.buildUrl(record);
+
+    record.evidence = evidenceGrading.grade(record);
+    record.studyType = record.evidence.designLabel;
+    // Sources that don't say get it from preprint detection (publication type, journal)
+    if (typeof record.peerReviewed !== 'boolean') record.peerReviewed = !record.evidence.isPreprint;
+
+    return record;
+  }
+
+  /**
+   * Stable record key, preferring the most specific identifier
+   * @param {object} record - Canonical record
+   * @returns {string} Record ID
+   */
+  getRecordId(record) {
+    if (record.nctId) return `nct:${record.nctId}`;
+    if (record.pmid) return `pmid:${record.pmid}`;
+    if (record.doi) return `doi:${record.doi.toLowerCase()}`;
+    if (record.pmcid) return `pmcid:${record.pmcid}`;
+    if (record.openalexId) return `openalex:${record.openalexId}`;
+    return `title:${record.title.toLowerCase()}`;
+  }
+
+  /**
+   * Best landing page URL for a record
+   * @param {object} record - Canonical record
+   * @returns {string|null} URL
+   */
+  buildUrl(record) {
+    if (record.nctId) return `https://clinicaltrials.gov/study/${record.nctId}`;
+    if (record.pmid) return `https://pubmed.ncbi.nlm.nih.gov/${record.pmid}/`;
+    if (record.pmcid) return `https://europepmc.org/article/PMC/${record.pmcid.replace('PMC', '')}`;
+    if (record.doi) return `https://doi.org/${record.doi}`;
+    if (record.openalexId) return `https://openalex.org/${record.openalexId}`;
+    return null;
+  }
+
+  /**
+   * Strip URL prefixes and "doi:" labels from a DOI
+   * @param {string} doi - Raw DOI
+   * @returns {string|null} Bare DOI
+   */
+  cleanDoi(doi) {
+    if (!doi || typeof doi !== 'string') return null;
+    const match = doi.match(/10\.\d{4,9}\/\S+/);
+    return match ? match[0].replace(/[.,;]$/, '') : null;
+  }
+
+  /**
+   * Remove markup and collapse whitespace
+   * @param {string} text - Raw text
+   * @returns {string|null} Clean text
+   */
+  cleanText(text) {
+    if (!text || typeof text !== 'string') return null;
+    return text
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Extract a four-digit year
+   * @param {string|number} value - Date string or year
+   * @returns {number|null} Year
+   */
+  extractYear(value) {
+    if (!value) return null;
+    const yearMatch = String(value).match(/\d{4}/);
+    return yearMatch ? parseInt(yearMatch[0], 10) : null;
+  }
+
+  /**
+   * Convert source date strings to 'YYYY-MM-DD' / 'YYYY-MM' / 'YYYY'
+   * Handles ISO dates, PubMed sort dates ('2023/01/05 00:00') and
+   * ClinicalTrials.gov partial dates ('2023-01')
+   * @param {string} value - Raw date
+   * @returns {string|null} Normalized date
+   */
+  normalizeDate(value) {
+    if (!value) return null;
+    const match = String(value).match(/^(\d{4})(?:[-/](\d{1,2}))?(?:[-/](\d{1,2}))?/);
+    if (!match) return this.extractYear(value) ? String(this.extractYear(value)) : null;
+
+    const [, year, month, day] = match;
+    if (!month) return year;
+    if (!day) return `${year}-${month.padStart(2, '0')}`;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  /**
+   * Format an author list for display
+   * @param {Array} authors - [{ name }]
+   * @returns {string} Display string
+   */
+  formatAuthors(authors) {
+    if (!authors || authors.length === 0) return 'Unknown authors';
+    const names = authors.slice(0, 3).map(a => a.name);
+    return authors.length > 3 ? `${names.join(', ')}, et al.` : names.join(', ');
+  }
+
+  /**
+   * PubMed esummary record, optionally with `details` from pubmedService.fetchDetails
+   */
+  fromPubMed(article) {
+    const articleIds = article.articleids || [];
+    const findId = type => articleIds.find(id => id.idtype === type)?.value || null;
+    const details = article.details || {};
+    const publicationTypes = details.publicationTypes?.length ? details.publicationTypes : (article.pubtype || []);
+
+    return this.createRecord({
+      pmid: article.uid,
+      pmcid: findId('pmc'),
+      doi: findId('doi') || article.elocationid,
+      title: article.title,
+      abstract: details.abstract,
+      authors: (article.authors || [])
+        .filter(a => a.name)
+        .map(a => ({ name: a.name, affiliation: null })),
+      journal: article.fulljournalname || article.source || null,
+      publicationDate: this.normalizeDate(article.sortpubdate) || this.normalizeDate(article.pubdate),
+      publicationTypes,
+      keywords: details.keywords,
+      meshTerms: details.meshTerms,
+      access: {
+        isOpenAccess: !!findId('pmc'),
+        fullTextUrl: findId('pmc') ? `https://www.ncbi.nlm.nih.gov/pmc/articles/${findId('pmc')}/` : null
+      },
+      source: 'PubMed',
+      sourceId: article.uid
+    });
+  }
+
+  /**
+   * Europe PMC search result (resultType=core)
+   */
+  fromEuropePMC(article) {
+    const authorList = article.authorList?.author || [];
+    const authors = authorList.length > 0
+      ? authorList.map(a => ({
+        name: a.fullName || `${a.lastName || ''} ${a.initials || a.firstName || ''}`.trim(),
+        affiliation: a.authorAffiliationDetailsList?.authorAffiliation?.[0]?.affiliation || null
+      }))
+      : (article.authorString || '').replace(/\.$/, '').split(', ').filter(Boolean).map(name => ({ name, affiliation: null }));
+
+    const fullTextUrls = article.fullTextUrlList?.fullTextUrl || [];
+    const freeUrls = fullTextUrls.filter(u => ['Free', 'Open access'].includes(u.availability));
+    const isOpenAccess = article.isOpenAccess === 'Y';
+
+    return this.createRecord({
+      pmid: article.pmid,
+      pmcid: article.pmcid,
+      doi: article.doi,
+      title: article.title,
+      abstract: article.abstractText,
+      authors,
+      journal: article.journalInfo?.journal?.title || article.journalTitle || null,
+      publicationDate: this.normalizeDate(article.firstPublicationDate) || this.normalizeDate(article.pubYear),
+      publicationTypes: article.pubTypeList?.pubType || [],
+      keywords: article.keywordList?.keyword || [],
+      meshTerms: (article.meshHeadingList?.meshHeading || []).map(m => m.descriptorName).filter(Boolean),
+      citationCount: typeof article.citedByCount === 'number' ? article.citedByCount : null,
+      access: {
+        isOpenAccess: isOpenAccess || article.inEPMC === 'Y',
+        fullTextUrl: (freeUrls.find(u => u.documentStyle === 'html') || freeUrls[0])?.url || null,
+        pdfUrl: freeUrls.find(u => u.documentStyle === 'pdf')?.url || null,
+        license: article.license || null
+      },
+      source: 'Europe PMC',
+      sourceId: `${article.source}:${article.id}`
+    });
+  }
+
+  /**
+   * OpenAlex work as returned by openalexService.normalizeWork
+   */
+  fromOpenAlex(work) {
+    const authors = (work.authorList || [])
+      .map(a => ({ name: a.name, affiliation: a.affiliation }));
+
+    return this.createRecord({
+      pmid: work.pmid,
+      pmcid: work.pmcid,
+      doi: work.doi,
+      openalexId: work.openalexId,
+      title: work.title,
+      abstract: work.abstract,
+      authors,
+      journal: work.journal !== 'Unknown' ? work.journal : null,
+      publicationDate: this.normalizeDate(work.publicationDate) || this.normalizeDate(work.year),
+      publicationTypes: work.type ? [work.type] : [],
+      keywords: work.concepts || [],
+      citationCount: work.citationCount,
+      access: {
+        isOpenAccess: work.isOpenAccess,
+        fullTextUrl: work.oaUrl
+      },
+      url: work.url,
+      source: 'OpenAlex',
+      sourceId: work.openalexId
+    });
+  }
+
+  /**
+   * ClinicalTrials.gov study as returned by clinicaltrialsService.normalizeTrial
+   */
+  fromClinicalTrials(trial) {
+    const publicationDate = this.normalizeDate(trial.firstPostedDate) || this.normalizeDate(trial.startDate);
+
+    return this.createRecord({
+      nctId: trial.nctId !== 'Unknown' ? trial.nctId : null,
+      title: trial.title,
+      abstract: trial.abstract,
+      authors: trial.leadSponsor && trial.leadSponsor !== 'Unknown'
+        ? [{ name: trial.leadSponsor, affiliation: null }]
+        : [],
+      journal: 'ClinicalTrials.gov',
+      publicationDate,
+      publicationTypes: [trial.studyType].filter(Boolean),
+      keywords: trial.conditions || [],
+      access: {
+        isOpenAccess: true,
+        fullTextUrl: trial.url
+      },
+      url: trial.url,
+      source: 'ClinicalTrials.gov',
+      sourceId: trial.nctId,
+      trial: {
+        status: trial.status,
+        phase: trial.phase,
+        studyType: trial.studyType,
+        enrollment: trial.enrollment,
+        conditions: trial.conditions,
+        interventions: trial.interventions,
+        primaryOutcomes: trial.primaryOutcomes,
+        leadSponsor: trial.leadSponsor,
+        hasResults: trial.hasResults,
+        startDate: trial.startDate,
+        completionDate: trial.completionDate,
+        lastUpdate: trial.lastUpdate,
+        publications: trial.publications,
+        qualityTags: trial.qualityTags
+      }
+    });
+  }
+
+  /**
+   * medRxiv/bioRxiv preprint as returned by preprintService
+   */
+  fromPreprint(preprint) {
+    const publishedDoi = this.cleanDoi(preprint.publishedDoi);
+
+    return this.createRecord({
+      doi: preprint.doi,
+      title: preprint.title,
+      abstract: preprint.abstract,
+      authors: preprint.authors,
+      journal: preprint.server,
+      publicationDate: this.normalizeDate(preprint.date),
+      publicationTypes: ['Preprint'],
+      keywords: preprint.category ? [preprint.category] : [],
+      access: {
+        isOpenAccess: true,
+        fullTextUrl: preprint.url,
+        pdfUrl: preprint.pdfUrl,
+        license: preprint.license
+      },
+      url: preprint.url,
+      source: preprint.server,
+      sourceId: preprint.doi,
+      peerReviewed: false,
+      preprint: {
+        server: preprint.server,
+        doi: preprint.doi,
+        version: preprint.version,
+        category: preprint.category,
+        publishedDoi,
+        publishedUrl: publishedDoi ? `https://doi.org/${publishedDoi}` : null
+      }
+    });
+  }
+
+  /**
+   * Systematic review as returned by synthesisEvidenceService
+   */
+  fromSynthesisReview(review) {
+    return this.createRecord({
+      pmid: review.pmid,
+      pmcid: review.pmcid,
+      doi: review.doi,
+      title: review.title,
+      abstract: review.abstract,
+      authors: review.authors.map(name => ({ name, affiliation: null })),
+      journal: review.journal,
+      publicationDate: this.normalizeDate(review.publicationDate) || this.normalizeDate(review.year),
+      publicationTypes: review.publicationTypes,
+      access: {
+        fullTextUrl: review.url
+      },
+      url: review.url,
+      source: review.source,
+      sourceId: review.id
+    });
+  }
+}
+
+module.exports = new ArticleNormalizerService();
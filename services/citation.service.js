@@ -0,0 +1,196 @@
+/**
+ * Citation Verification Service
+ *
+ * Post-processes generated answers: parses [n] citation markers, maps each
+ * cited index to the article that was sent to the model (PMID/DOI/NCT ID),
+ * and flags citations that point outside the article list or whose claim
+ * has little lexical overlap with the cited title/abstract.
+ *
+ * The support check is a heuristic, not a proof - it is meant to let the UI
+ * warn about citations worth double-checking.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'among', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'being', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'during', 'each', 'either', 'for', 'from', 'had', 'has', 'have', 'however',
+  'if', 'in', 'into', 'is', 'it', 'its', 'may', 'might', 'more', 'most', 'much', 'no',
+  'not', 'of', 'on', 'or', 'other', 'over', 'such', 'than', 'that', 'the', 'their',
+  'them', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'under', 'was',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'will', 'with', 'within',
+  'would', 'study', 'studies', 'research', 'evidence', 'showed', 'shown', 'found',
+  'suggest', 'suggests', 'reported', 'patients', 'patient'
+]);
+
+// Minimum share of a claim's content words found in the cited article
+const SUPPORT_THRESHOLD = 0.2;
+// ...or this many shared content words, for long claims
+const SUPPORT_MIN_SHARED_TERMS = 4;
+
+class CitationService {
+  /**
+   * Split text into content-word terms
+   * @param {string} text - Text to tokenize
+   * @returns {Set<string>} Terms
+   */
+  tokenize(text) {
+    const terms = new Set();
+    const words = (text || '').toLowerCase().match(/[a-z0-9][a-z0-9-]*/g) || [];
+
+    for (let word of words) {
+      if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word)) continue;
+      // Light plural stemming so "inhibitors" matches "inhibitor"
+      if (word.length > 4 && word.endsWith('s') && !word.endsWith('ss')) {
+        word = word.slice(0, -1);
+      }
+      terms.add(word);
+    }
+
+    return terms;
+  }
+
+  /**
+   * Expand a marker body like "1, 3-5" into indices
+   * @param {string} body - Text between the brackets
+   * @returns {Array<number>} Cited indices
+   */
+  expandMarker(body) {
+    const indices = [];
+
+    for (const part of body.split(',')) {
+      const range = part.trim().match(/^(\d+)\s*[-–]\s*(\d+)$/);
+      if (range) {
+        const start = parseInt(range[1], 10);
+        const end = parseInt(range[2], 10);
+        // Guard against nonsense ranges like [1-9999]
+        if (end >= start && end - start <= 50) {
+          for (let i = start; i <= end; i++) indices.push(i);
+        }
+      } else if (/^\d+$/.test(part.trim())) {
+        indices.push(parseInt(part.trim(), 10));
+      }
+    }
+
+    return indices;
+  }
+
+  /**
+   * Find citation markers and the sentence (claim) each one supports
+   * @param {string} text - Generated response
+   * @returns {Array<object>} { index, marker, claim }
+   */
+  parseCitations(text) {
+    const citations = [];
+    const sentences = (text || '').split(/(?<=[.!?])\s+|\n+/);
+
+    for (const sentence of sentences) {
+      const markerRegex = /\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g;
+      const claim = sentence
+        .replace(markerRegex, '')
+        .replace(/\s+([.,;:!?])/g, '$1')
+        .trim();
+      let match;
+
+      while ((match = markerRegex.exec(sentence)) !== null) {
+        for (const index of this.expandMarker(match[1])) {
+          citations.push({ index, marker: match[0], claim });
+        }
+      }
+    }
+
+    return citations;
+  }
+
+  /**
+   * Score how well an article supports a claim
+   * @param {string} claim - Sentence containing the citation
+   * @param {object} article - Cited article
+   * @returns {object} { score, sharedTerms }
+   */
+  scoreSupport(claim, article) {
+    const claimTerms = this.tokenize(claim);
+    const articleTerms = this.tokenize(`${article.title || ''} ${article.abstract || ''}`);
+
+    const sharedTerms = [...claimTerms].filter(term => articleTerms.has(term));
+    const score = claimTerms.size > 0 ? sharedTerms.length / claimTerms.size : 0;
+
+    return { score: Math.round(score * 100) / 100, sharedTerms };
+  }
+
+  /**
+   * Verify every citation in a generated response
+   * @param {string} text - Generated response (without follow-up questions)
+   * @param {Array} articles - Articles in the order they were numbered in the prompt
+   * @returns {Array<object>} One entry per cited index:
+   *   { index, status, pmid, doi, nctId, title, url, occurrences, claims: [{ text, supportScore, supported }], warning }
+   *   status: 'supported' | 'unsupported' | 'no_abstract' | 'out_of_range'
+   */
+  verify(text, articles = []) {
+    const byIndex = new Map();
+
+    for (const { index, claim } of this.parseCitations(text)) {
+      if (!byIndex.has(index)) byIndex.set(index, []);
+      byIndex.get(index).push(claim);
+    }
+
+    const citations = [...byIndex.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, claims]) => {
+        const article = articles[index - 1];
+
+        if (!article) {
+          return {
+            index,
+            status: 'out_of_range',
+            pmid: null,
+            doi: null,
+            nctId: null,
+            title: null,
+            url: null,
+            occurrences: claims.length,
+            claims: claims.map(claim => ({ text: claim, supportScore: null, supported: false })),
+            warning: `Citation [${index}] does not match any of the ${articles.length} provided articles`
+          };
+        }
+
+        const checkedClaims = claims.map(claim => {
+          const { score, sharedTerms } = this.scoreSupport(claim, article);
+          const supported = score >= SUPPORT_THRESHOLD || sharedTerms.length >= SUPPORT_MIN_SHARED_TERMS;
+          return { text: claim, supportScore: score, supported };
+        });
+
+        let status = checkedClaims.every(c => c.supported) ? 'supported' : 'unsupported';
+        let warning = status === 'unsupported'
+          ? `Claim citing [${index}] has little overlap with the article's title and abstract`
+          : null;
+
+        // Without an abstract, only the title can be compared - don't over-flag
+        if (status === 'unsupported' && !article.abstract) {
+          status = 'no_abstract';
+          warning = `Article [${index}] has no abstract, so the claim could not be checked`;
+        }
+
+        return {
+          index,
+          status,
+          pmid: article.pmid || null,
+          doi: article.doi || null,
+          nctId: article.nctId || null,
+          title: article.title,
+          url: article.url || (article.pmid ? `https://pubmed.ncbi.nlm.nih.gov/${article.pmid}/` : null),
+          occurrences: claims.length,
+          claims: checkedClaims,
+          warning
+        };
+      });
+
+    const flagged = citations.filter(c => c.status !== 'supported').length;
+    if (flagged > 0) {
+      console.log(`Citation check: ${flagged}/${citations.length} citations flagged`);
+    }
+
+    return citations;
+  }
+}
+
+module.exports = new CitationService();
@@ -41,49 +41,8 @@ class ClinicalTrialsService {
    */
   async searchTrials(query, options = {}) {
     try {
-      await this.respectRateLimit();
-
-      // Clean query: remove quotes and extract condition
-      let cleanQuery = query.replace(/"/g, '').trim();
-
-      // Extract condition from query by removing common trial-related terms
-      const trialTerms = ['phase 1', 'phase 2', 'phase 3', 'phase 4', 'clinical trial', 'clinical trials', 'trial', 'trials', 'study', 'studies', 'rct', 'randomized controlled'];
-      let condition = cleanQuery;
-
-      // Remove trial terms to get the actual condition
-      trialTerms.forEach(term => {
-        const regex = new RegExp(term, 'gi');
-        condition = condition.replace(regex, '').trim();
-      });
-
-      // Clean up extra spaces
-      condition = condition.replace(/\s+/g, ' ').trim();
-
-      const params = {
-        'query.cond': options.condition || condition,
-        'query.term': options.intervention || null,
-        'filter.overallStatus': options.status || null,
-        'filter.phase': options.phase || null,
-        pageSize: options.limit || 20,
-        format: 'json'
-      };
-
-      // Remove null params
-      Object.keys(params).forEach(key => {
-        if (params[key] === null) delete params[key];
-      });
-
-      console.log(`ClinicalTrials: Searching for condition="${params['query.cond']}" (original: "${query}")...`);
-
-      const response = await axios.get(`${this.baseUrl}/studies`, {
-        params,
-        timeout: 15000
-      });
-
-      const studies = response.data.studies || [];
-      console.log(`ClinicalTrials: Found ${studies.length} trials`);
-
-      return studies.map(study => this.normalizeTrial(study));
+      const { trials } = await this.searchTrialsPage(query, options);
+      return trials;
     } catch (error) {
       console.error('ClinicalTrials search error:', error.message);
       if (error.response) {
@@ -94,6 +53,79 @@ class ClinicalTrialsService {
     }
   }
 
+  /**
+   * Fetch one page of trials with the total count and the token for the next page
+   * @param {string} query - Search query (condition, intervention, etc.)
+   * @param {object} options - Search options (limit, pageToken, filters)
+   * @returns {Promise<object>} { trials, total, nextPageToken }
+   */
+  async searchTrialsPage(query, options = {}) {
+    await this.respectRateLimit();
+
+    // Clean query: remove quotes and extract condition
+    let cleanQuery = query.replace(/"/g, '').trim();
+
+    // Extract condition from query by removing common trial-related terms
+    const trialTerms = ['phase 1', 'phase 2', 'phase 3', 'phase 4', 'clinical trial', 'clinical trials', 'trial', 'trials', 'study', 'studies', 'rct', 'randomized controlled'];
+    let condition = cleanQuery;
+
+    // Remove trial terms to get the actual condition
+    trialTerms.forEach(term => {
+      const regex = new RegExp(term, 'gi');
+      condition = condition.replace(regex, '').trim();
+    });
+
+    // Clean up extra spaces
+    condition = condition.replace(/\s+/g, ' ').trim();
+
+    const params = {
+      'query.cond': options.condition || condition,
+      'query.term': options.intervention || null,
+      'filter.overallStatus': options.status || null,
+      'filter.phase': options.phase || null,
+      'filter.advanced': this.buildDateFilter(options),
+      pageSize: options.limit || 20,
+      pageToken: options.pageToken || null,
+      // The total is only computed for the first page
+      countTotal: options.pageToken ? null : true,
+      format: 'json'
+    };
+
+    // Remove null params
+    Object.keys(params).forEach(key => {
+      if (params[key] === null) delete params[key];
+    });
+
+    console.log(`ClinicalTrials: Searching for condition="${params['query.cond']}" (original: "${query}")...`);
+
+    const response = await axios.get(`${this.baseUrl}/studies`, {
+      params,
+      timeout: 15000
+    });
+
+    const studies = response.data.studies || [];
+    console.log(`ClinicalTrials: Found ${studies.length} trials`);
+
+    return {
+      trials: studies.map(study => this.normalizeTrial(study)),
+      total: response.data.totalCount ?? null,
+      nextPageToken: response.data.nextPageToken || null
+    };
+  }
+
+  /**
+   * Build an advanced filter restricting trials by first-posted date
+   * @param {object} options - Search options (firstPostedFrom, firstPostedTo as YYYY-MM-DD)
+   * @returns {string|null} Essie expression for filter.advanced
+   */
+  buildDateFilter(options) {
+    if (!options.firstPostedFrom && !options.firstPostedTo) return null;
+
+    const from = options.firstPostedFrom || 'MIN';
+    const to = options.firstPostedTo || 'MAX';
+    return `AREA[StudyFirstPostDate]RANGE[${from},${to}]`;
+  }
+
   /**
    * Normalize trial data to our format
    */
@@ -154,6 +186,7 @@ class ClinicalTrialsService {
 
     // Extract start/completion dates
     const startDate = status.startDateStruct?.date || null;
+    const firstPostedDate = status.studyFirstPostDateStruct?.date || null;
     const completionDate = status.completionDateStruct?.date || status.primaryCompletionDateStruct?.date || null;
 
     // Extract publications (if available)
@@ -184,6 +217,7 @@ class ClinicalTrialsService {
 
       // Dates
       startDate,
+      firstPostedDate,
       completionDate,
       lastUpdate,
 
@@ -254,11 +288,9 @@ class ClinicalTrialsService {
         timeout: 10000
       });
 
-      if (response.data.studies && response.data.studies.length > 0) {
-        return this.normalizeTrial(response.data.studies[0]);
-      }
-
-      return null;
+      // The v2 API returns the study itself for a single NCT ID
+      const study = response.data.protocolSection ? response.data : response.data.studies?.[0];
+      return study ? this.normalizeTrial(study) : null;
     } catch (error) {
       console.error(`ClinicalTrials getTrial error: ${error.message}`);
       return null;
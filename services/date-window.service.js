@@ -0,0 +1,184 @@
+/**
+ * Date Window Service
+ *
+ * Resolves the date-related search filters into one explicit window
+ * (start/end dates) and translates it into each source's query syntax,
+ * so every source in the routing plan honours the same date range.
+ *
+ * Supported filters:
+ * - dateRange: 'all' | '1year' | '5years' | '10years' | 'custom'
+ * - startDate / endDate: 'YYYY-MM-DD', 'YYYY/MM/DD' or ISO timestamp (custom ranges)
+ * - dateBasis: 'published' (default) or 'indexed' - when the record was added
+ *   to the database, which is what "since last check" alerts need
+ */
+
+class DateWindowService {
+  constructor() {
+    this.presetYears = {
+      '1year': 1,
+      '5years': 5,
+      '10years': 10
+    };
+  }
+
+  /**
+   * Parse a date filter value
+   * @param {string|Date} value - Date string or Date
+   * @returns {Date|null} Parsed date or null if invalid
+   */
+  parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+    // Accept PubMed-style slashes as well as ISO dates
+    const normalized = /^\d{4}\/\d{2}\/\d{2}$/.test(value) ? value.replace(/\//g, '-') : value;
+    const date = new Date(normalized);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD (UTC)
+   * @param {Date} date - Date to format
+   * @param {string} separator - Separator between parts
+   * @returns {string} Formatted date
+   */
+  formatDate(date, separator = '-') {
+    return date.toISOString().split('T')[0].replace(/-/g, separator);
+  }
+
+  /**
+   * Resolve filters into an explicit date window
+   * @param {object} filters - Search filters
+   * @returns {object|null} { start, end, basis } or null when no date restriction applies
+   */
+  resolve(filters = {}) {
+    const dateRange = filters?.dateRange;
+    if (!dateRange || dateRange === 'all') return null;
+
+    const basis = filters.dateBasis === 'indexed' ? 'indexed' : 'published';
+
+    if (this.presetYears[dateRange]) {
+      const start = new Date();
+      start.setUTCFullYear(start.getUTCFullYear() - this.presetYears[dateRange]);
+      return { start, end: null, basis };
+    }
+
+    if (dateRange === 'custom') {
+      const start = this.parseDate(filters.startDate);
+      const end = this.parseDate(filters.endDate);
+
+      if (filters.startDate && !start) {
+        console.warn(`Date window: ignoring invalid startDate "${filters.startDate}"`);
+      }
+      if (filters.endDate && !end) {
+        console.warn(`Date window: ignoring invalid endDate "${filters.endDate}"`);
+      }
+
+      if (!start && !end) return null;
+      return { start, end, basis };
+    }
+
+    console.warn(`Date window: unknown dateRange "${dateRange}", searching all dates`);
+    return null;
+  }
+
+  /**
+   * Resolve the window for one source in a routing plan
+   * The user's window wins; otherwise the routing strategy's yearFrom applies
+   * @param {object} filters - Search filters
+   * @param {object} strategy - Routing plan execution entry ({ yearFrom, ... })
+   * @returns {object|null} { start, end, basis } or null when no date restriction applies
+   */
+  resolveForStrategy(filters, strategy = {}) {
+    const userWindow = this.resolve(filters);
+    if (userWindow || !strategy?.yearFrom) return userWindow;
+
+    return this.resolve({
+      dateRange: 'custom',
+      startDate: `${strategy.yearFrom}-01-01`,
+      dateBasis: filters?.dateBasis
+    });
+  }
+
+  /**
+   * Build filters for "new evidence since the last check"
+   * @param {string|null} lastChecked - ISO timestamp of the previous check
+   * @param {number} defaultDays - Look-back window when never checked before
+   * @returns {object} Search filters
+   */
+  sinceLastCheck(lastChecked, defaultDays = 7) {
+    const start = this.parseDate(lastChecked) ||
+      new Date(Date.now() - defaultDays * 24 * 60 * 60 * 1000);
+
+    return {
+      dateRange: 'custom',
+      startDate: this.formatDate(start),
+      dateBasis: 'indexed'
+    };
+  }
+
+  /**
+   * Translate a window into a PubMed search term clause
+   * [Date - Entrez] is the date the record was added to PubMed
+   * @param {object|null} window - Resolved date window
+   * @returns {string|null} PubMed clause
+   */
+  toPubMedTerm(window) {
+    if (!window) return null;
+
+    const field = window.basis === 'indexed' ? 'Date - Entrez' : 'Date - Publication';
+    const start = window.start ? this.formatDate(window.start, '/') : '1800/01/01';
+    const end = window.end ? this.formatDate(window.end, '/') : '3000';
+
+    return `("${start}"[${field}] : "${end}"[${field}])`;
+  }
+
+  /**
+   * Translate a window into a Europe PMC query clause
+   * FIRST_IDATE is the date the record was first indexed by Europe PMC
+   * @param {object|null} window - Resolved date window
+   * @returns {string|null} Europe PMC clause
+   */
+  toEuropePMCTerm(window) {
+    if (!window) return null;
+
+    const field = window.basis === 'indexed' ? 'FIRST_IDATE' : 'FIRST_PDATE';
+    const start = window.start ? this.formatDate(window.start) : '1800-01-01';
+    const end = window.end ? this.formatDate(window.end) : '3000-12-31';
+
+    return `(${field}:[${start} TO ${end}])`;
+  }
+
+  /**
+   * Translate a window into OpenAlex search options
+   * OpenAlex only exposes creation dates to premium users, so both bases
+   * map to publication dates
+   * @param {object|null} window - Resolved date window
+   * @returns {object} { fromDate, toDate } options for openalexService.searchWorks
+   */
+  toOpenAlexOptions(window) {
+    if (!window) return {};
+
+    return {
+      fromDate: window.start ? this.formatDate(window.start) : null,
+      toDate: window.end ? this.formatDate(window.end) : null
+    };
+  }
+
+  /**
+   * Translate a window into ClinicalTrials.gov search options
+   * Trials are matched on the date they were first posted to the registry
+   * @param {object|null} window - Resolved date window
+   * @returns {object} { firstPostedFrom, firstPostedTo } options for clinicaltrialsService.searchTrials
+   */
+  toClinicalTrialsOptions(window) {
+    if (!window) return {};
+
+    return {
+      firstPostedFrom: window.start ? this.formatDate(window.start) : null,
+      firstPostedTo: window.end ? this.formatDate(window.end) : null
+    };
+  }
+}
+
+module.exports = new DateWindowService();
@@ -0,0 +1,177 @@
+/**
+ * Drug Data Service
+ *
+ * Grounds drug information in authoritative sources:
+ * - RxNorm resolves the name (brand, generic or misspelled) to an RxCUI
+ * - openFDA supplies the current structured product label
+ *
+ * Claude only summarises the label. Every field of the summary cites the label
+ * section it came from, and citations are checked against the sections each
+ * field may draw on (dosing can't cite Adverse Reactions) and against the
+ * sections the label actually has, so an entry can't point at text that
+ * doesn't exist.
+ */
+
+const rxnormService = require('./rxnorm.service');
+const openfdaService = require('./openfda.service');
+
+// Summary fields and the label sections each may cite
+const DRUG_FIELDS = {
+  overview: { type: 'text', sections: ['description', 'mechanism_of_action', 'clinical_pharmacology', 'indications_and_usage'] },
+  boxedWarning: { type: 'text', sections: ['boxed_warning'] },
+  dosing: { type: 'text', sections: ['dosage_and_administration', 'dosage_forms_and_strengths'] },
+  indications: { type: 'list', sections: ['indications_and_usage'] },
+  contraindications: { type: 'list', sections: ['contraindications'] },
+  sideEffects: { type: 'list', sections: ['adverse_reactions'] },
+  seriousSideEffects: { type: 'list', sections: ['boxed_warning', 'warnings_and_cautions', 'warnings', 'adverse_reactions'] },
+  // Older labels list interactions under Precautions
+  interactions: { type: 'list', sections: ['drug_interactions', 'precautions'] },
+  monitoring: { type: 'list', sections: ['warnings_and_cautions', 'warnings', 'precautions', 'dosage_and_administration', 'use_in_specific_populations'] }
+};
+
+// Label text sent for summarisation, per section
+const MAX_SECTION_CHARS = 6000;
+
+class DrugDataService {
+  /**
+   * Resolve a drug and fetch its label
+   * @param {string} name - Brand or generic name
+   * @returns {Promise<object|null>} { drug, label } - label is null when openFDA has none;
+   *   null when RxNorm doesn't know the name
+   */
+  async getDrugData(name) {
+    const drug = await rxnormService.resolveDrug(name);
+    if (!drug) return null;
+
+    const label = await openfdaService.getLabel(drug);
+    return { drug, label };
+  }
+
+  /**
+   * Resolve a list of drug names for checks that work offline
+   * Names RxNorm can't resolve (unknown, or RxNav unreachable) are kept under
+   * their own name so offline knowledge bases can still match them.
+   * @param {Array<string>} names - Brand or generic names
+   * @returns {Promise<Array>} [{ input, resolved, rxcui, name, genericNames, brandNames,
+   *   matchType, ingredients, combination, error }] - ingredients are the lowercase
+   *   ingredient names of the entered drug itself (several only for a combination product)
+   */
+  async resolveDrugs(names) {
+    const drugs = [];
+    for (const input of names) {
+      let drug = null;
+      let error = null;
+      try {
+        drug = await rxnormService.resolveDrug(input);
+        if (!drug) error = 'Not found in RxNorm';
+      } catch (lookupError) {
+        console.warn(`RxNorm lookup failed for "${input}":`, lookupError.message);
+        error = lookupError.message;
+      }
+
+      if (drug) {
+        drugs.push({
+          input,
+          resolved: true,
+          ...drug,
+          ingredients: [...new Set((drug.ingredients.length > 0 ? drug.ingredients : [drug.name]).map(name => name.toLowerCase()))]
+        });
+      } else {
+        const name = String(input).trim();
+        drugs.push({
+          input,
+          resolved: false,
+          rxcui: null,
+          name,
+          genericNames: [name],
+          brandNames: [],
+          matchType: null,
+          ingredients: [name.toLowerCase()],
+          combination: false,
+          error
+        });
+      }
+    }
+    return drugs;
+  }
+
+  /**
+   * Summary fields and the sections each may cite
+   */
+  getFields() {
+    return DRUG_FIELDS;
+  }
+
+  /**
+   * Label sections as prompt text, each tagged with its section key
+   * @param {object} label - Label from openfdaService.getLabel
+   * @returns {string}
+   */
+  buildLabelContext(label) {
+    return Object.entries(label.sections)
+      .map(([key, section]) => {
+        const text = section.text.length > MAX_SECTION_CHARS
+          ? `${section.text.substring(0, MAX_SECTION_CHARS)} [truncated]`
+          : section.text;
+        return `[${key}] ${section.title}\n${text}`;
+      })
+      .join('\n\n');
+  }
+
+  /**
+   * Keep only summary entries whose citation is valid
+   * @param {object} label - Label the summary was written from
+   * @param {object} summary - Parsed model output: text fields { text, section },
+   *   list fields [{ text, section }]
+   * @returns {object} Fields with entries { text, section, sectionTitle }
+   */
+  applyCitations(label, summary) {
+    const cite = (field, entry) => {
+      if (!entry || typeof entry.text !== 'string' || !entry.text.trim()) return null;
+      if (!DRUG_FIELDS[field].sections.includes(entry.section) || !label.sections[entry.section]) return null;
+      return {
+        text: entry.text.trim(),
+        section: entry.section,
+        sectionTitle: label.sections[entry.section].title
+      };
+    };
+
+    const fields = {};
+    let dropped = 0;
+    for (const [field, definition] of Object.entries(DRUG_FIELDS)) {
+      const value = summary?.[field];
+      if (definition.type === 'text') {
+        fields[field] = cite(field, value);
+        if (value && !fields[field]) dropped++;
+      } else {
+        const entries = Array.isArray(value) ? value : [];
+        fields[field] = entries.map(entry => cite(field, entry)).filter(Boolean);
+        dropped += entries.length - fields[field].length;
+      }
+    }
+
+    if (dropped > 0) {
+      console.warn(`Drug data: Dropped ${dropped} summary entries without a valid label citation`);
+    }
+    return fields;
+  }
+
+  /**
+   * Label metadata for responses
+   * @param {object} label - Label from openfdaService.getLabel
+   * @returns {object} { setId, splId, version, effectiveTime, manufacturer, url, sections }
+   */
+  describeLabel(label) {
+    return {
+      setId: label.setId,
+      splId: label.splId,
+      version: label.version,
+      effectiveTime: label.effectiveTime,
+      manufacturer: label.manufacturer,
+      url: label.url,
+      sections: Object.entries(label.sections).map(([key, section]) => ({ key, title: section.title }))
+    };
+  }
+}
+
+module.exports = new DrugDataService();
@@ -0,0 +1,224 @@
+/**
+ * Evidence Grading Service
+ *
+ * Classifies every evidence record by study design and assigns an
+ * Oxford CEBM-style level (1 = strongest) plus a GRADE-style starting
+ * certainty, using publication types, MeSH terms, title/abstract wording
+ * and the source itself (registries, preprint servers).
+ *
+ * Levels (adapted from OCEBM 2011, treatment questions):
+ *   1 - systematic review / meta-analysis, evidence-based guideline
+ *   2 - randomized controlled trial
+ *   3 - non-randomized controlled trial, cohort / observational study
+ *   4 - case-control study, case report / case series
+ *   5 - narrative review, expert opinion, unclassified preprint
+ *   null - registry record without published results, or design unknown
+ */
+
+const DESIGNS = {
+  meta_analysis: { label: 'Meta-Analysis', level: 1, certainty: 'high' },
+  systematic_review: { label: 'Systematic Review', level: 1, certainty: 'high' },
+  guideline: { label: 'Guideline', level: 1, certainty: 'high' },
+  rct: { label: 'RCT', level: 2, certainty: 'high' },
+  clinical_trial: { label: 'Clinical Trial', level: 3, certainty: 'low' },
+  cohort: { label: 'Cohort Study', level: 3, certainty: 'low' },
+  observational: { label: 'Observational Study', level: 3, certainty: 'low' },
+  case_control: { label: 'Case-Control Study', level: 4, certainty: 'low' },
+  case_report: { label: 'Case Report', level: 4, certainty: 'very_low' },
+  review: { label: 'Review', level: 5, certainty: 'very_low' },
+  preprint: { label: 'Preprint', level: 5, certainty: 'very_low' },
+  registered_trial: { label: 'Registered Trial', level: null, certainty: null },
+  other: { label: 'Research Article', level: null, certainty: null }
+};
+
+const CERTAINTY_ORDER = ['very_low', 'low', 'moderate', 'high'];
+
+// Checked in order - the first match wins, so stronger designs come first
+const PUBLICATION_TYPE_RULES = [
+  ['meta_analysis', /meta-analysis|network meta-analysis/],
+  ['systematic_review', /systematic review/],
+  ['guideline', /guideline|consensus development conference/],
+  ['rct', /randomized controlled trial|equivalence trial|pragmatic clinical trial/],
+  ['clinical_trial', /clinical trial|controlled clinical trial/],
+  ['observational', /observational study|comparative study/],
+  ['case_report', /case reports/],
+  ['review', /scoping review/]
+];
+
+const MESH_RULES = [
+  ['cohort', /cohort studies|prospective studies|longitudinal studies|follow-up studies/],
+  ['case_control', /case-control studies/],
+  ['observational', /cross-sectional studies|retrospective studies/]
+];
+
+// [design, pattern, titleOnly]
+const TEXT_RULES = [
+  ['meta_analysis', /\bmeta-?analys[ie]s\b/],
+  ['systematic_review', /\bsystematic (?:literature )?review\b/],
+  ['guideline', /\bguidelines?\b|\bconsensus statement\b/, true],
+  ['rct', /\brandomi[sz]ed(?:,? (?:double|single)-blind(?:ed)?)?(?:,? (?:placebo|sham)-controlled)?(?: controlled| clinical)? trial\b/],
+  ['case_control', /\bcase-control\b/],
+  ['cohort', /\b(?:prospective|retrospective|population-based)? ?cohort\b/],
+  ['case_report', /\bcase report\b|\bcase series\b/]
+];
+
+// The `studyType` search filter: UI values and older aliases -> design keys
+const STUDY_TYPE_FILTERS = {
+  'meta': ['meta_analysis'],
+  'meta-analysis': ['meta_analysis'],
+  'rct': ['rct'],
+  'review': ['review', 'systematic_review'],
+  'systematic-review': ['systematic_review'],
+  'clinical': ['clinical_trial'],
+  'guideline': ['guideline']
+};
+
+const PREPRINT_SERVERS = /medrxiv|biorxiv|research square|ssrn|preprints\.org|arxiv/i;
+
+class EvidenceGradingService {
+  constructor() {
+    this.designs = DESIGNS;
+  }
+
+  /**
+   * Detect whether a record is a preprint (not yet peer reviewed)
+   * @param {object} record - Canonical record
+   * @returns {boolean}
+   */
+  isPreprint(record) {
+    // Set by the source (preprint servers) or by record linkage (published version found)
+    if (typeof record.peerReviewed === 'boolean') return !record.peerReviewed;
+    if ((record.publicationTypes || []).some(t => /preprint|posted-content/i.test(t))) return true;
+    return PREPRINT_SERVERS.test(record.journal || '');
+  }
+
+  /**
+   * Classify a record's study design
+   * @param {object} record - Canonical record
+   * @returns {object} { design, basis } where basis is the signal used
+   */
+  classify(record) {
+    if (record.source === 'ClinicalTrials.gov') {
+      return { design: 'registered_trial', basis: 'source' };
+    }
+
+    const pubTypes = (record.publicationTypes || []).map(t => t.toLowerCase());
+    for (const [design, pattern] of PUBLICATION_TYPE_RULES) {
+      if (pubTypes.some(t => pattern.test(t))) {
+        return { design, basis: 'publication_type' };
+      }
+    }
+
+    const mesh = (record.meshTerms || []).map(t => t.toLowerCase());
+    for (const [design, pattern] of MESH_RULES) {
+      if (mesh.some(t => pattern.test(t))) {
+        return { design, basis: 'mesh' };
+      }
+    }
+
+    // Titles are reliable; abstracts often mention other designs ("unlike previous RCTs..."),
+    // so only the opening of the abstract is considered
+    const title = (record.title || '').toLowerCase();
+    const text = `${title} ${(record.abstract || '').substring(0, 300).toLowerCase()}`;
+    for (const [design, pattern, titleOnly] of TEXT_RULES) {
+      if (pattern.test(titleOnly ? title : text)) {
+        return { design, basis: 'text' };
+      }
+    }
+
+    if (this.isPreprint(record)) {
+      return { design: 'preprint', basis: 'source' };
+    }
+
+    if (pubTypes.includes('review')) {
+      return { design: 'review', basis: 'publication_type' };
+    }
+
+    // A publication linked to its registry entry
+    if (record.trial) {
+      return { design: 'registered_trial', basis: 'source' };
+    }
+
+    return { design: 'other', basis: 'none' };
+  }
+
+  /**
+   * Grade a record
+   * @param {object} record - Canonical record
+   * @returns {object} Evidence grade:
+   *   { design, designLabel, level, certainty, isPreprint, basis }
+   */
+  grade(record) {
+    const { design, basis } = this.classify(record);
+    const info = DESIGNS[design];
+    const isPreprint = this.isPreprint(record);
+
+    // Registry records with posted results are graded as trials
+    let level = info.level;
+    let certainty = info.certainty;
+    if (design === 'registered_trial' && record.trial?.hasResults) {
+      const interventional = String(record.trial.studyType || '').toUpperCase() === 'INTERVENTIONAL';
+      level = interventional ? 2 : 3;
+      certainty = interventional ? 'moderate' : 'low';
+    }
+
+    // Non-peer-reviewed work starts one certainty step lower
+    if (isPreprint && certainty && design !== 'preprint') {
+      certainty = CERTAINTY_ORDER[Math.max(0, CERTAINTY_ORDER.indexOf(certainty) - 1)];
+    }
+
+    return {
+      design,
+      designLabel: info.label,
+      level,
+      certainty,
+      isPreprint,
+      basis
+    };
+  }
+
+  /**
+   * Check a graded record against evidence filters
+   * @param {object} record - Record with `evidence`
+   * @param {object} filters - { minEvidenceLevel (1-5), studyDesigns: [design], excludePreprints }
+   * @returns {boolean}
+   */
+  matchesFilters(record, filters = {}) {
+    const evidence = record.evidence || this.grade(record);
+
+    if (filters.minEvidenceLevel) {
+      if (evidence.level === null || evidence.level > Number(filters.minEvidenceLevel)) return false;
+    }
+
+    if (Array.isArray(filters.studyDesigns) && filters.studyDesigns.length > 0) {
+      if (!filters.studyDesigns.includes(evidence.design)) return false;
+    }
+
+    if (filters.excludePreprints && evidence.isPreprint) return false;
+
+    return true;
+  }
+
+  /**
+   * Design keys a `studyType` search filter asks for
+   * @param {string} studyType - Filter value ('meta', 'rct', 'review', ...; design keys work too)
+   * @returns {Array<string>} Design keys (empty for 'all' or unknown values)
+   */
+  resolveStudyTypeFilter(studyType) {
+    if (!studyType || studyType === 'all') return [];
+    if (STUDY_TYPE_FILTERS[studyType]) return STUDY_TYPE_FILTERS[studyType];
+    return DESIGNS[studyType] ? [studyType] : [];
+  }
+
+  /**
+   * Evidence strength as a 0-1 ranking signal
+   * @param {object} evidence - Result of grade()
+   * @returns {number} Weight (1 = strongest)
+   */
+  rankingWeight(evidence) {
+    if (!evidence || evidence.level === null) return 0.3;
+    return (6 - evidence.level) / 5;
+  }
+}
+
+module.exports = new EvidenceGradingService();
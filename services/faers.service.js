@@ -0,0 +1,244 @@
+/**
+ * FAERS Service
+ *
+ * Real-world adverse event data from the FDA Adverse Event Reporting System:
+ * top reported reactions, seriousness, reports per year and, against a
+ * comparator drug, disproportionality metrics (PRR and ROR).
+ *
+ * Backends (FAERS_MODE):
+ * - 'openfda' (default): live counts from openFDA's drug event endpoint
+ * - 'fixture': precomputed counts from a local JSON file
+ *   (FAERS_FIXTURE_PATH, default: resources/fixtures/faers-events.json),
+ *   for development and demos without network access. Fixture counts are not
+ *   split by date, so yearFrom/yearTo only narrow the per-year trend.
+ *
+ * FAERS reports are spontaneous: counts reflect reporting, not incidence, and
+ * a disproportionality signal is a prompt for review, not evidence of causation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const openfdaService = require('./openfda.service');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'resources', 'fixtures', 'faers-events.json');
+
+// Signal criteria (Evans et al.): PRR >= 2 with at least 3 reports, and an ROR
+// confidence interval excluding 1
+const SIGNAL_MIN_REPORTS = 3;
+const SIGNAL_MIN_PRR = 2;
+const Z_95 = 1.96;
+
+class FaersService {
+  constructor() {
+    this.mode = process.env.FAERS_MODE === 'fixture' ? 'fixture' : 'openfda';
+    this.fixturePath = process.env.FAERS_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+    this.fixture = null;
+  }
+
+  /**
+   * Display name of the active backend
+   */
+  getSourceLabel() {
+    return this.mode === 'fixture' ? 'FAERS fixture' : 'openFDA FAERS';
+  }
+
+  /**
+   * Report counts for a drug from the active backend
+   * @param {string} genericName - Ingredient name
+   * @param {object} options - { yearFrom, yearTo }
+   * @returns {Promise<object>} Counts (see openfdaService.getEventCounts)
+   */
+  async getEventCounts(genericName, options = {}) {
+    if (this.mode === 'openfda') {
+      return openfdaService.getEventCounts(genericName, options);
+    }
+
+    if (!this.fixture) {
+      this.fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    }
+
+    const counts = this.fixture.drugs?.[genericName.toLowerCase()];
+    if (!counts) {
+      return { total: 0, reactions: [], reactionsComplete: true, seriousness: { serious: 0, nonSerious: 0, outcomes: {} }, byYear: [], lastUpdated: null };
+    }
+
+    // Fixture reaction lists are complete
+    return {
+      ...counts,
+      reactionsComplete: true,
+      byYear: (counts.byYear || []).filter(({ year }) =>
+        (!options.yearFrom || year >= options.yearFrom) && (!options.yearTo || year <= options.yearTo)),
+      lastUpdated: this.fixture.lastUpdated || null
+    };
+  }
+
+  /**
+   * Adverse event profile of a drug
+   * @param {string} genericName - Ingredient name
+   * @param {object} options - { limit, yearFrom, yearTo, comparator (ingredient name) }
+   * @returns {Promise<object>} { totalReports, topReactions, seriousness, trend, comparator, source, lastUpdated }
+   */
+  async getProfile(genericName, options = {}) {
+    const limit = options.limit || 20;
+    const dateOptions = { yearFrom: options.yearFrom, yearTo: options.yearTo };
+
+    const counts = await this.getEventCounts(genericName, dateOptions);
+    const comparatorCounts = options.comparator
+      ? await this.getEventCounts(options.comparator, dateOptions)
+      : null;
+
+    const reactions = [...counts.reactions]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+
+    const comparatorReactionCounts = comparatorCounts
+      ? await this.getComparatorReactionCounts(options.comparator, comparatorCounts, reactions, dateOptions)
+      : null;
+
+    const topReactions = reactions.map(({ term, count }) => {
+      const reaction = {
+        term,
+        count,
+        percentage: counts.total > 0 ? Math.round((count / counts.total) * 1000) / 10 : null
+      };
+      if (!comparatorCounts) return reaction;
+
+      // Unknown comparator counts are left out rather than treated as zero
+      const comparatorCount = comparatorReactionCounts.get(term.toLowerCase()) ?? null;
+      return {
+        ...reaction,
+        comparatorCount,
+        disproportionality: comparatorCount === null
+          ? null
+          : this.disproportionality(count, counts.total, comparatorCount, comparatorCounts.total)
+      };
+    });
+
+    return {
+      totalReports: counts.total,
+      topReactions,
+      seriousness: this.describeSeriousness(counts),
+      trend: this.describeTrend(counts.byYear),
+      comparator: comparatorCounts ? {
+        name: options.comparator,
+        totalReports: comparatorCounts.total,
+        seriousness: this.describeSeriousness(comparatorCounts)
+      } : null,
+      source: this.getSourceLabel(),
+      lastUpdated: counts.lastUpdated
+    };
+  }
+
+  /**
+   * Comparator report counts for a list of reactions
+   * Reactions beyond the comparator's truncated reaction list are counted one by one.
+   * @param {string} comparator - Comparator ingredient name
+   * @param {object} comparatorCounts - Comparator counts from getEventCounts
+   * @param {Array} reactions - [{ term }]
+   * @param {object} dateOptions - { yearFrom, yearTo }
+   * @returns {Promise<Map>} Lowercase term -> count (missing when the count couldn't be found)
+   */
+  async getComparatorReactionCounts(comparator, comparatorCounts, reactions, dateOptions) {
+    const known = new Map(comparatorCounts.reactions.map(({ term, count }) => [term.toLowerCase(), count]));
+    const result = new Map();
+
+    for (const { term } of reactions) {
+      const key = term.toLowerCase();
+      if (known.has(key)) {
+        result.set(key, known.get(key));
+      } else if (comparatorCounts.reactionsComplete) {
+        result.set(key, 0);
+      } else {
+        try {
+          result.set(key, await openfdaService.countReactionReports(comparator, term, dateOptions));
+        } catch (error) {
+          console.warn(`FAERS: Could not count "${term}" reports for ${comparator}:`, error.message);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * PRR and ROR for one reaction, drug vs comparator
+   *                  reaction   other reactions
+   *   drug               a            b
+   *   comparator         c            d
+   * A zero cell gets the Haldane correction (0.5 added to every cell).
+   * @returns {object|null} { prr, prrCI, ror, rorCI, corrected, signal },
+   *   or null when either drug has no reports
+   */
+  disproportionality(drugReactionCount, drugTotal, comparatorReactionCount, comparatorTotal) {
+    if (!drugTotal || !comparatorTotal) return null;
+
+    let a = drugReactionCount;
+    let b = drugTotal - drugReactionCount;
+    let c = comparatorReactionCount;
+    let d = comparatorTotal - comparatorReactionCount;
+
+    const corrected = [a, b, c, d].some(cell => cell === 0);
+    if (corrected) {
+      [a, b, c, d] = [a, b, c, d].map(cell => cell + 0.5);
+    }
+
+    const prr = (a / (a + b)) / (c / (c + d));
+    const prrSE = Math.sqrt(1 / a - 1 / (a + b) + 1 / c - 1 / (c + d));
+    const ror = (a * d) / (b * c);
+    const rorSE = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+
+    const round = value => Math.round(value * 100) / 100;
+    const interval = (estimate, se) => [
+      round(Math.exp(Math.log(estimate) - Z_95 * se)),
+      round(Math.exp(Math.log(estimate) + Z_95 * se))
+    ];
+
+    const rorCI = interval(ror, rorSE);
+    return {
+      prr: round(prr),
+      prrCI: interval(prr, prrSE),
+      ror: round(ror),
+      rorCI,
+      corrected,
+      signal: drugReactionCount >= SIGNAL_MIN_REPORTS && prr >= SIGNAL_MIN_PRR && rorCI[0] > 1
+    };
+  }
+
+  /**
+   * Seriousness breakdown with percentages of all reports
+   */
+  describeSeriousness(counts) {
+    const percent = value => (counts.total > 0 ? Math.round((value / counts.total) * 1000) / 10 : null);
+    const outcomes = Object.fromEntries(Object.entries(counts.seriousness.outcomes || {})
+      .map(([outcome, count]) => [outcome, { count, percentage: percent(count) }]));
+
+    return {
+      serious: counts.seriousness.serious,
+      nonSerious: counts.seriousness.nonSerious,
+      seriousPercentage: percent(counts.seriousness.serious),
+      outcomes
+    };
+  }
+
+  /**
+   * Reports per year, with the change between the last two complete years
+   */
+  describeTrend(byYear) {
+    const currentYear = new Date().getFullYear();
+    const complete = byYear.filter(({ year }) => year < currentYear);
+    const [previous, latest] = complete.slice(-2);
+    const peak = [...byYear].sort((a, b) => b.count - a.count)[0] || null;
+
+    return {
+      byYear,
+      peakYear: peak ? peak.year : null,
+      recentChange: previous && latest && previous.count > 0 ? {
+        from: previous.year,
+        to: latest.year,
+        percentChange: Math.round(((latest.count - previous.count) / previous.count) * 1000) / 10
+      } : null
+    };
+  }
+}
+
+module.exports = new FaersService();
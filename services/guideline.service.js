@@ -0,0 +1,353 @@
+/**
+ * Guideline Service
+ *
+ * Retrieves clinical practice guidelines from real sources:
+ * - PubMed, restricted to the Guideline / Practice Guideline publication types
+ * - Europe PMC, restricted to the same publication types
+ * - a configurable catalog of guideline publishers (NICE, WHO, CDC, USPSTF, ...)
+ *   read from their feeds or from local mirrors
+ *   (GUIDELINE_PUBLISHERS_PATH, default: config/guideline-publishers.json)
+ *
+ * Results from different sources are linked like search results, and every
+ * guideline returned carries something a clinician can check: a PMID, a DOI
+ * or the publisher's URL. Records with none of these are dropped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const sourceRegistry = require('./source-registry.service');
+const articleNormalizer = require('./article-normalizer.service');
+const recordLinkage = require('./record-linkage.service');
+const cacheService = require('./cache.service');
+
+const PROJECT_ROOT = path.join(__dirname, '..');
+const DEFAULT_CATALOG_PATH = path.join(PROJECT_ROOT, 'config', 'guideline-publishers.json');
+
+// Literature sources searched for guideline publication types
+const LITERATURE_SOURCES = ['pubmed', 'europepmc'];
+
+// Publisher feeds change slowly
+const FEED_CACHE_TTL = 6 * 60 * 60;
+
+// Author names that are issuing bodies rather than people
+const ORGANIZATION_NAME = /\b(society|association|college|committee|organi[sz]ation|institute|group|panel|task force|council|academy|federation|network|board|consortium|working party|agency)\b/i;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with', 'guideline',
+  'guidelines', 'recommendation', 'recommendations', 'management', 'treatment'
+]);
+
+class GuidelineService {
+  constructor() {
+    this.catalogPath = process.env.GUIDELINE_PUBLISHERS_PATH || DEFAULT_CATALOG_PATH;
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      isArray: name => ['item', 'entry', 'link'].includes(name)
+    });
+  }
+
+  /**
+   * Load the publisher catalog, expanding ${ENV_VAR} references
+   * @returns {Array<object>} Publishers
+   */
+  loadCatalog() {
+    const catalog = JSON.parse(fs.readFileSync(this.catalogPath, 'utf8'));
+    const expand = value => (typeof value === 'string'
+      ? value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '').trim()
+      : value);
+
+    return (catalog.publishers || []).map(publisher => ({
+      ...publisher,
+      url: expand(publisher.url) || null,
+      path: expand(publisher.path) || null
+    }));
+  }
+
+  /**
+   * Content words of a query
+   * @param {string} text - Text
+   * @returns {Array<string>} Terms
+   */
+  terms(text) {
+    return [...new Set((text || '').toLowerCase().match(/[a-z0-9]+/g) || [])]
+      .filter(term => term.length > 1 && !STOPWORDS.has(term));
+  }
+
+  /**
+   * Whether a record mentions the requested organization
+   * @param {object} record - Canonical record
+   * @param {string} organization - Organization name or abbreviation
+   * @returns {boolean}
+   */
+  mentionsOrganization(record, organization) {
+    const needle = organization.toLowerCase();
+    const haystack = [
+      record.title, record.journal, record.organization,
+      ...(record.authors || []).map(author => author.name)
+    ].filter(Boolean).join(' ').toLowerCase();
+    return haystack.includes(needle);
+  }
+
+  /**
+   * Search every guideline source
+   * @param {string} query - Clinical topic
+   * @param {object} options - { organization, limit }
+   * @returns {Promise<object>} { guidelines, sources: { [source]: { status, hits, error } } }
+   */
+  async searchGuidelines(query, options = {}) {
+    const limit = options.limit || 10;
+    const organization = options.organization && options.organization !== 'all' ? options.organization : null;
+    const sources = {};
+
+    const literature = LITERATURE_SOURCES.map(source =>
+      sourceRegistry.search(source, query, {
+        limit,
+        strategy: { filters: { studyType: 'guideline' } }
+      }));
+
+    let publishers = [];
+    try {
+      publishers = this.loadCatalog();
+    } catch (error) {
+      console.error(`Failed to load guideline publisher catalog ${this.catalogPath}:`, error.message);
+      sources.catalog = { status: 'failed', hits: 0, error: error.message };
+    }
+
+    const catalogSearches = publishers.map(publisher => this.searchPublisher(publisher, query));
+
+    const literatureResults = await Promise.all(literature);
+    const publisherResults = await Promise.all(catalogSearches);
+
+    for (const result of literatureResults) {
+      sources[result.source] = {
+        status: result.error ? 'failed' : 'ok',
+        hits: result.articles.length,
+        ...(result.error ? { error: result.error } : {})
+      };
+    }
+    for (const result of publisherResults) {
+      sources[result.publisher] = {
+        status: result.status,
+        hits: result.records.length,
+        ...(result.error ? { error: result.error } : {})
+      };
+    }
+
+    const records = [
+      ...literatureResults.flatMap(result => result.articles),
+      ...publisherResults.flatMap(result => result.records)
+    ];
+
+    const guidelines = recordLinkage.link(records)
+      .filter(record => this.isGuideline(record))
+      .filter(record => !organization || this.mentionsOrganization(record, organization))
+      .map(record => this.toGuideline(record))
+      // Nothing a clinician can't check
+      .filter(guideline => guideline.verification);
+
+    // Newest first
+    guidelines.sort((a, b) => (b.year || 0) - (a.year || 0));
+
+    return { guidelines: guidelines.slice(0, limit), sources };
+  }
+
+  /**
+   * Find a publisher's guidelines matching a query
+   * @param {object} publisher - Catalog entry
+   * @param {string} query - Clinical topic
+   * @returns {Promise<object>} { publisher, status: 'ok'|'failed'|'not_configured', records, error }
+   */
+  async searchPublisher(publisher, query) {
+    if (!publisher.url && !publisher.path) {
+      return { publisher: publisher.id, status: 'not_configured', records: [] };
+    }
+
+    try {
+      const items = await this.loadPublisherItems(publisher);
+      const queryTerms = this.terms(query);
+
+      // At least two thirds of the query's content words in the title or summary
+      const matches = items.filter(item => {
+        if (queryTerms.length === 0) return false;
+        const text = `${item.title} ${item.summary || ''}`.toLowerCase();
+        const found = queryTerms.filter(term => text.includes(term)).length;
+        return found >= Math.ceil(queryTerms.length * 2 / 3);
+      });
+
+      return {
+        publisher: publisher.id,
+        status: 'ok',
+        records: matches.map(item => this.publisherItemToRecord(publisher, item))
+      };
+    } catch (error) {
+      console.warn(`Guideline publisher ${publisher.id} failed:`, error.message);
+      return { publisher: publisher.id, status: 'failed', records: [], error: error.message };
+    }
+  }
+
+  /**
+   * Read a publisher's feed or mirror (cached)
+   * @param {object} publisher - Catalog entry
+   * @returns {Promise<Array>} [{ id, title, url, summary, date, doi, pmid, category }]
+   */
+  async loadPublisherItems(publisher) {
+    const cacheKey = `guideline-feed:${publisher.id}:${publisher.url || publisher.path}`;
+    const cached = cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    let content;
+    if (publisher.url) {
+      const response = await axios.get(publisher.url, { timeout: 10000, responseType: 'text' });
+      content = response.data;
+    } else {
+      content = fs.readFileSync(path.resolve(PROJECT_ROOT, publisher.path), 'utf8');
+    }
+
+    const items = publisher.format === 'json' ? this.parseJsonItems(content) : this.parseFeedItems(content);
+    cacheService.set(cacheKey, items, FEED_CACHE_TTL);
+    return items;
+  }
+
+  /**
+   * Parse a local mirror in the catalog's JSON format
+   * @param {string} content - JSON text
+   * @returns {Array} Items
+   */
+  parseJsonItems(content) {
+    const data = JSON.parse(content);
+    const items = Array.isArray(data) ? data : data.items || [];
+    return items
+      .filter(item => item && item.title)
+      .map(item => ({
+        id: item.id ? String(item.id) : null,
+        title: String(item.title),
+        url: item.url || null,
+        summary: item.summary || null,
+        date: item.date || null,
+        doi: item.doi || null,
+        pmid: item.pmid ? String(item.pmid) : null,
+        category: item.category || null
+      }));
+  }
+
+  /**
+   * Parse an RSS 2.0 or Atom feed
+   * @param {string} content - Feed XML
+   * @returns {Array} Items
+   */
+  parseFeedItems(content) {
+    const feed = this.parser.parse(content);
+    const text = value => (typeof value === 'object' && value !== null ? value['#text'] : value) || null;
+
+    const rssItems = feed.rss?.channel?.item || [];
+    const atomEntries = feed.feed?.entry || [];
+
+    return [
+      ...rssItems.map(item => ({
+        id: text(item.guid),
+        title: text(item.title),
+        url: text(item.link?.[0]) || null,
+        summary: text(item.description),
+        date: text(item.pubDate),
+        doi: null,
+        pmid: null,
+        category: text(Array.isArray(item.category) ? item.category[0] : item.category)
+      })),
+      ...atomEntries.map(entry => ({
+        id: text(entry.id),
+        title: text(entry.title),
+        url: entry.link?.find(link => !link['@_rel'] || link['@_rel'] === 'alternate')?.['@_href'] || null,
+        summary: text(entry.summary) || text(entry.content),
+        date: text(entry.updated) || text(entry.published),
+        doi: null,
+        pmid: null,
+        category: entry.category?.['@_term'] || null
+      }))
+    ].filter(item => item.title);
+  }
+
+  /**
+   * Canonical record for a publisher's guideline
+   * @param {object} publisher - Catalog entry
+   * @param {object} item - Feed item
+   * @returns {object} Canonical record
+   */
+  publisherItemToRecord(publisher, item) {
+    const date = item.date ? new Date(item.date) : null;
+    const record = articleNormalizer.createRecord({
+      pmid: item.pmid,
+      doi: item.doi,
+      title: item.title,
+      abstract: item.summary,
+      authors: [{ name: publisher.organization || publisher.name, affiliation: null }],
+      journal: publisher.name,
+      publicationDate: date && !isNaN(date.getTime()) ? date.toISOString().split('T')[0] : null,
+      publicationTypes: ['Practice Guideline'],
+      keywords: item.category ? [item.category] : [],
+      access: { isOpenAccess: true, fullTextUrl: item.url },
+      url: item.url,
+      source: publisher.name,
+      sourceId: item.id || item.url
+    });
+
+    record.publisherGuideline = true;
+    record.organization = publisher.organization || publisher.name;
+    record.specialty = item.category || null;
+    return record;
+  }
+
+  /**
+   * Whether a record is a guideline (a guideline that is also a meta-analysis
+   * is graded as the meta-analysis, so publication types are checked too)
+   * @param {object} record - Canonical record
+   * @returns {boolean}
+   */
+  isGuideline(record) {
+    return Boolean(record.publisherGuideline)
+      || record.evidence?.design === 'guideline'
+      || (record.publicationTypes || []).some(type => /guideline/i.test(type));
+  }
+
+  /**
+   * Issuing organization of a literature guideline
+   * @param {object} record - Canonical record
+   * @returns {string|null} Organization (a corporate author, else the journal)
+   */
+  getOrganization(record) {
+    if (record.organization) return record.organization;
+    const corporate = (record.authors || []).find(author => ORGANIZATION_NAME.test(author.name || ''));
+    return corporate?.name || record.journal || null;
+  }
+
+  /**
+   * Guideline result with its verifiable identifier
+   * @param {object} record - Canonical record
+   * @returns {object} Guideline
+   */
+  toGuideline(record) {
+    let verification = null;
+    if (record.pmid) verification = { type: 'pmid', value: record.pmid, url: `https://pubmed.ncbi.nlm.nih.gov/${record.pmid}/` };
+    else if (record.doi) verification = { type: 'doi', value: record.doi, url: `https://doi.org/${record.doi}` };
+    else if (record.url) verification = { type: 'url', value: record.url, url: record.url };
+
+    return {
+      id: record.id,
+      title: record.title,
+      organization: this.getOrganization(record),
+      year: record.year,
+      publicationDate: record.publicationDate,
+      specialty: record.specialty || record.meshTerms?.[0] || null,
+      abstract: record.abstract,
+      pmid: record.pmid,
+      doi: record.doi,
+      url: record.url,
+      sources: record.sources,
+      verification
+    };
+  }
+}
+
+module.exports = new GuidelineService();
@@ -0,0 +1,124 @@
+/**
+ * Interaction Knowledge Base Service
+ *
+ * Checks drug pairs against pluggable interaction knowledge bases: the
+ * modules in services/interaction-kb (`<name>.kb.js`), each exporting
+ * { name, label, checkPair(drugA, drugB) -> findings, health() }.
+ *
+ * INTERACTION_KNOWLEDGE_BASES lists the ones to use, in priority order
+ * (default: local,openfda-label). The local dataset works offline; a
+ * knowledge base that fails is reported and the others still answer.
+ *
+ * Finding shape: { severity, mechanism, management, reference }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KB_DIR = path.join(__dirname, 'interaction-kb');
+const KB_FILE_SUFFIX = '.kb.js';
+const DEFAULT_KNOWLEDGE_BASES = 'local,openfda-label';
+
+// Most to least severe
+const SEVERITIES = ['contraindicated', 'major', 'moderate', 'minor', 'unspecified'];
+
+class InteractionKnowledgeBaseService {
+  constructor() {
+    this.knowledgeBases = new Map();
+
+    const files = fs.readdirSync(KB_DIR).filter(file => file.endsWith(KB_FILE_SUFFIX)).sort();
+    for (const file of files) {
+      try {
+        this.register(require(path.join(KB_DIR, file)));
+      } catch (error) {
+        console.error(`Failed to register interaction knowledge base ${file}: ${error.message}`);
+      }
+    }
+
+    this.enabled = (process.env.INTERACTION_KNOWLEDGE_BASES || DEFAULT_KNOWLEDGE_BASES)
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => {
+        if (!name) return false;
+        if (!this.knowledgeBases.has(name)) {
+          console.warn(`Unknown interaction knowledge base "${name}" in INTERACTION_KNOWLEDGE_BASES`);
+          return false;
+        }
+        return true;
+      });
+
+    console.log(`Interaction knowledge bases: ${this.enabled.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Add a knowledge base after checking its interface
+   * @param {object} kb - Knowledge base instance
+   */
+  register(kb) {
+    if (typeof kb?.name !== 'string' || typeof kb.label !== 'string'
+      || typeof kb.checkPair !== 'function' || typeof kb.health !== 'function') {
+      throw new Error('Invalid interaction knowledge base: needs name, label, checkPair() and health()');
+    }
+    this.knowledgeBases.set(kb.name, kb);
+  }
+
+  /**
+   * Rank of a severity (0 is most severe)
+   */
+  severityRank(severity) {
+    const rank = SEVERITIES.indexOf(severity);
+    return rank === -1 ? SEVERITIES.length : rank;
+  }
+
+  /**
+   * Most severe of a list of severities
+   * @param {Array<string>} severities - Severities
+   * @returns {string|null}
+   */
+  mostSevere(severities) {
+    return [...severities].sort((a, b) => this.severityRank(a) - this.severityRank(b))[0] || null;
+  }
+
+  /**
+   * Check a pair against every enabled knowledge base
+   * @param {object} drugA - Resolved drug
+   * @param {object} drugB - Resolved drug
+   * @returns {Promise<object>} { findings, knowledgeBases: { [name]: { status, findings, error } } }
+   *   - findings carry `knowledgeBase` and are ordered by knowledge base priority, then severity
+   */
+  async checkPair(drugA, drugB) {
+    const results = await Promise.all(this.enabled.map(async name => {
+      try {
+        const findings = await this.knowledgeBases.get(name).checkPair(drugA, drugB);
+        return { name, findings: findings.map(finding => ({ ...finding, knowledgeBase: name })) };
+      } catch (error) {
+        console.warn(`Interaction knowledge base ${name} failed:`, error.message);
+        return { name, findings: [], error: error.message };
+      }
+    }));
+
+    const knowledgeBases = {};
+    for (const result of results) {
+      knowledgeBases[result.name] = {
+        status: result.error ? 'failed' : 'ok',
+        findings: result.findings.length,
+        ...(result.error ? { error: result.error } : {})
+      };
+    }
+
+    const findings = results.flatMap(result =>
+      [...result.findings].sort((a, b) => this.severityRank(a.severity) - this.severityRank(b.severity)));
+
+    return { findings, knowledgeBases };
+  }
+
+  /**
+   * Enabled knowledge bases
+   * @returns {Array<object>} [{ name, label }]
+   */
+  list() {
+    return this.enabled.map(name => ({ name, label: this.knowledgeBases.get(name).label }));
+  }
+}
+
+module.exports = new InteractionKnowledgeBaseService();
@@ -0,0 +1,80 @@
+/**
+ * Local interaction knowledge base
+ *
+ * Reads a JSON interaction dataset (INTERACTION_DATASET_PATH, default:
+ * resources/interactions/drug-interactions.json), so interaction checks work
+ * offline. Entries name drugs by ingredient or by class ('class:nsaids');
+ * see the dataset's description for the format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATASET_PATH = path.join(__dirname, '..', '..', 'resources', 'interactions', 'drug-interactions.json');
+
+class LocalInteractionKnowledgeBase {
+  constructor() {
+    this.name = 'local';
+    this.label = 'Local interaction dataset';
+    this.datasetPath = process.env.INTERACTION_DATASET_PATH || DEFAULT_DATASET_PATH;
+    this.dataset = null;
+  }
+
+  /**
+   * Load the dataset (once)
+   */
+  load() {
+    if (!this.dataset) {
+      const data = JSON.parse(fs.readFileSync(this.datasetPath, 'utf8'));
+      this.dataset = {
+        version: data.version || null,
+        classes: Object.fromEntries(Object.entries(data.classes || {})
+          .map(([id, members]) => [id, new Set(members.map(member => member.toLowerCase()))])),
+        interactions: data.interactions || []
+      };
+      console.log(`Interaction dataset: ${this.dataset.interactions.length} interactions from ${this.datasetPath}`);
+    }
+    return this.dataset;
+  }
+
+  /**
+   * Whether a dataset term ('warfarin' or 'class:nsaids') covers a drug
+   * Only the drug's own ingredients count (see drugDataService.resolveDrugs): a
+   * single-ingredient drug doesn't match through combination products containing it.
+   */
+  matches(term, drug) {
+    const classMatch = term.match(/^class:(.+)$/);
+    const members = classMatch ? this.load().classes[classMatch[1]] : null;
+    return drug.ingredients.some(ingredient => (members ? members.has(ingredient) : ingredient === term.toLowerCase()));
+  }
+
+  /**
+   * Interactions between two drugs
+   * @param {object} drugA - Resolved drug ({ ingredients, ... })
+   * @param {object} drugB - Resolved drug
+   * @returns {Promise<Array>} Findings
+   */
+  async checkPair(drugA, drugB) {
+    return this.load().interactions
+      .filter(entry => {
+        const [first, second] = entry.drugs;
+        return (this.matches(first, drugA) && this.matches(second, drugB))
+          || (this.matches(first, drugB) && this.matches(second, drugA));
+      })
+      .map(entry => ({
+        severity: entry.severity,
+        mechanism: entry.mechanism || null,
+        management: entry.management || null,
+        reference: { type: 'dataset', id: entry.id, version: this.dataset.version }
+      }));
+  }
+
+  /**
+   * Resolves when the dataset loads
+   */
+  async health() {
+    this.load();
+  }
+}
+
+module.exports = new LocalInteractionKnowledgeBase();
@@ -0,0 +1,106 @@
+/**
+ * openFDA label interaction knowledge base
+ *
+ * Looks for each drug in the other's FDA label: the Contraindications,
+ * Boxed Warning and Drug Interactions sections (and Precautions, where
+ * older labels list interactions). Severity follows the section and wording
+ * - a mention under Contraindications is contraindicated, "avoid" is major -
+ * and is 'unspecified' when the label doesn't say.
+ *
+ * A drug is looked for by its own ingredients and the name the user entered,
+ * never by the names of other products that share an ingredient with it.
+ */
+
+const openfdaService = require('../openfda.service');
+
+// Sections searched, with the severity a mention there implies
+const SECTIONS = [
+  ['contraindications', 'contraindicated'],
+  ['boxed_warning', 'major'],
+  ['drug_interactions', null],
+  ['precautions', null]
+];
+
+class OpenFDALabelKnowledgeBase {
+  constructor() {
+    this.name = 'openfda-label';
+    this.label = 'openFDA drug labels';
+  }
+
+  /**
+   * Sentences of a section mentioning any of the names
+   */
+  findMentions(text, names) {
+    const patterns = names.map(name => new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i'));
+    return text
+      .split(/(?<=[.;])\s+/)
+      .filter(sentence => patterns.some(pattern => pattern.test(sentence)));
+  }
+
+  /**
+   * Severity implied by the wording of a label passage
+   */
+  severityFromText(text) {
+    if (/contraindicated/i.test(text)) return 'contraindicated';
+    if (/\bavoid\b|\bdo not\b|fatal|life-threatening/i.test(text)) return 'major';
+    return 'unspecified';
+  }
+
+  /**
+   * Mentions of one drug in the other's label
+   */
+  async findInLabel(labelDrug, otherDrug) {
+    const label = await openfdaService.getLabel(labelDrug);
+    if (!label) return [];
+
+    const names = [...new Set([...otherDrug.ingredients, String(otherDrug.input || otherDrug.name).trim().toLowerCase()])]
+      .filter(Boolean);
+    const findings = [];
+
+    for (const [section, sectionSeverity] of SECTIONS) {
+      if (!label.sections[section]) continue;
+      const mentions = this.findMentions(label.sections[section].text, names);
+      if (mentions.length === 0) continue;
+
+      const passage = mentions.slice(0, 3).join(' ');
+      findings.push({
+        severity: sectionSeverity || this.severityFromText(passage),
+        mechanism: passage,
+        management: mentions.find(sentence => /avoid|do not|not recommended|monitor|adjust|reduce|dose|discontinue|contraindicated/i.test(sentence)) || null,
+        reference: {
+          type: 'label',
+          drug: labelDrug.name,
+          section,
+          sectionTitle: label.sections[section].title,
+          setId: label.setId,
+          url: label.url
+        }
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Interactions between two drugs
+   * @param {object} drugA - Resolved drug ({ input, name, rxcui, genericNames, brandNames, ingredients })
+   * @param {object} drugB - Resolved drug
+   * @returns {Promise<Array>} Findings
+   */
+  async checkPair(drugA, drugB) {
+    const [inA, inB] = await Promise.all([
+      this.findInLabel(drugA, drugB),
+      this.findInLabel(drugB, drugA)
+    ]);
+    return [...inA, ...inB];
+  }
+
+  /**
+   * Resolves when openFDA answers
+   */
+  async health() {
+    await openfdaService.ping();
+  }
+}
+
+module.exports = new OpenFDALabelKnowledgeBase();
@@ -0,0 +1,204 @@
+/**
+ * Notification Service
+ *
+ * Renders evidence alert digests and delivers them through a pluggable
+ * transport.
+ *
+ * Transports (NOTIFY_TRANSPORT env var):
+ * - console (default): prints the digest to the server log
+ * - file: writes each message as JSON to NOTIFY_OUTBOX_DIR (default: data/outbox)
+ * - smtp: sends through nodemailer using SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+ *   SMTP_USER and SMTP_PASS
+ *
+ * A transport is any object with a name and async send({ to, from, subject, text, html }).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Console transport (development)
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 [console transport] To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(message.text);
+    return { messageId: null };
+  }
+}
+
+/**
+ * File transport (development) - one JSON file per message
+ */
+class FileTransport {
+  constructor(outboxDir) {
+    this.name = 'file';
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    const filePath = path.join(this.outboxDir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+    console.log(`📧 [file transport] Wrote ${filePath}`);
+    return { messageId: fileName };
+  }
+}
+
+/**
+ * SMTP transport via nodemailer
+ */
+class SmtpTransport {
+  constructor(options) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+class NotificationService {
+  constructor() {
+    this.from = process.env.EMAIL_FROM || 'Medical Evidence Alerts <alerts@medicalevidence.app>';
+    this.transport = this.createTransport(process.env.NOTIFY_TRANSPORT || 'console');
+    console.log(`Notification service initialized (${this.transport.name} transport)`);
+  }
+
+  /**
+   * Create the configured transport
+   * @param {string} type - Transport type ('console', 'file' or 'smtp')
+   * @returns {object} Transport instance
+   */
+  createTransport(type) {
+    if (type === 'smtp') {
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    if (type === 'file') {
+      return new FileTransport(path.resolve(process.env.NOTIFY_OUTBOX_DIR || path.join(__dirname, '..', 'data', 'outbox')));
+    }
+
+    return new ConsoleTransport();
+  }
+
+  /**
+   * Replace the active transport (e.g. for tests or a custom provider)
+   * @param {object} transport - Object with name and async send(message)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Escape text for HTML output
+   * @param {string} value - Raw text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Render a digest email for an alert run
+   * @param {object} alert - Alert
+   * @param {Array} articles - New articles (ideally enriched by unpaywallService)
+   * @param {string} unsubscribeUrl - Link that deactivates the alert
+   * @returns {object} { subject, text, html }
+   */
+  renderDigest(alert, articles, unsubscribeUrl) {
+    const count = articles.length;
+    const subject = `${count} new ${count === 1 ? 'article' : 'articles'} for "${alert.topic}"`;
+
+    const describe = article => [article.studyType, article.journal, article.year].filter(Boolean).join(' · ');
+
+    // Free full-text link, when it differs from the landing page
+    const fullTextLink = article => {
+      const link = article.access?.pdfUrl || article.access?.fullTextUrl;
+      return article.access?.isOpenAccess && link && link !== article.url ? link : null;
+    };
+
+    const text = [
+      `New evidence for your alert: ${alert.topic}`,
+      '',
+      ...articles.map((article, i) => {
+        const lines = [`${i + 1}. ${article.title}`];
+        const details = describe(article);
+        if (details) lines.push(`   ${details}`);
+        if (article.url) lines.push(`   ${article.url}`);
+        if (fullTextLink(article)) {
+          lines.push(`   Free full text: ${fullTextLink(article)}`);
+        }
+        return lines.join('\n');
+      }),
+      '',
+      `Unsubscribe from this alert: ${unsubscribeUrl}`
+    ].join('\n');
+
+    const html = `<h2>New evidence for your alert: ${this.escapeHtml(alert.topic)}</h2>
+<ol>
+${articles.map(article => {
+  const details = describe(article);
+  return `  <li>
+    <a href="${this.escapeHtml(article.url)}">${this.escapeHtml(article.title)}</a>
+    ${details ? `<br><small>${this.escapeHtml(details)}</small>` : ''}
+    ${fullTextLink(article) ? `<br><a href="${this.escapeHtml(fullTextLink(article))}">Free full text</a>` : ''}
+  </li>`;
+}).join('\n')}
+</ol>
+<p><small><a href="${this.escapeHtml(unsubscribeUrl)}">Unsubscribe from this alert</a></small></p>`;
+
+    return { subject, text, html };
+  }
+
+  /**
+   * Render and deliver a digest for an alert run
+   * @param {object} alert - Alert (must have email)
+   * @param {Array} articles - New articles
+   * @param {string} unsubscribeUrl - Link that deactivates the alert
+   * @returns {Promise<object>} Delivery result { status, transport, messageId, error }
+   */
+  async sendDigest(alert, articles, unsubscribeUrl) {
+    const { subject, text, html } = this.renderDigest(alert, articles, unsubscribeUrl);
+
+    try {
+      const result = await this.transport.send({
+        from: this.from,
+        to: alert.email,
+        subject,
+        text,
+        html,
+        headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+      });
+
+      console.log(`📧 Sent digest for alert ${alert.id} to ${alert.email} (${articles.length} articles)`);
+      return { status: 'sent', transport: this.transport.name, messageId: result?.messageId || null };
+    } catch (error) {
+      // Don't fail the alert run if delivery fails
+      console.error(`Failed to send digest for alert ${alert.id}:`, error.message);
+      return { status: 'failed', transport: this.transport.name, error: error.message };
+    }
+  }
+}
+
+module.exports = new NotificationService();
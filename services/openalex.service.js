@@ -43,35 +43,54 @@ class OpenAlexService {
    */
   async searchWorks(query, options = {}) {
     try {
-      await this.respectRateLimit();
+      const { works } = await this.searchWorksPage(query, options);
+      return works;
+    } catch (error) {
+      console.error('OpenAlex search error:', error.message);
+      return [];
+    }
+  }
 
-      const params = {
-        mailto: this.politeEmail,
-        search: query,
-        per_page: options.limit || 20,
-        page: options.page || 1,
-        sort: options.sort || 'cited_by_count:desc',
-        filter: this.buildFilters(options)
-      };
+  /**
+   * Fetch one page of search results with the total hit count
+   * @param {string} query - Search query
+   * @param {object} options - Search options (limit, page, filters, etc.)
+   * @returns {Promise<object>} { works, total, page, hasMore }
+   */
+  async searchWorksPage(query, options = {}) {
+    await this.respectRateLimit();
+
+    const perPage = options.limit || 20;
+    const page = options.page || 1;
+    const params = {
+      mailto: this.politeEmail,
+      search: query,
+      per_page: perPage,
+      page,
+      sort: options.sort || 'cited_by_count:desc',
+      filter: this.buildFilters(options)
+    };
 
-      // Remove empty filter
-      if (!params.filter) delete params.filter;
+    // Remove empty filter
+    if (!params.filter) delete params.filter;
 
-      console.log(`OpenAlex: Searching for "${query}"...`);
+    console.log(`OpenAlex: Searching for "${query}" (page ${page})...`);
 
-      const response = await axios.get(`${this.baseUrl}/works`, {
-        params,
-        timeout: 10000
-      });
+    const response = await axios.get(`${this.baseUrl}/works`, {
+      params,
+      timeout: 10000
+    });
 
-      const works = response.data.results || [];
-      console.log(`OpenAlex: Found ${works.length} works`);
+    const works = response.data.results || [];
+    const total = response.data.meta?.count ?? null;
+    console.log(`OpenAlex: Found ${works.length} works${total !== null ? ` of ${total}` : ''}`);
 
-      return works.map(work => this.normalizeWork(work));
-    } catch (error) {
-      console.error('OpenAlex search error:', error.message);
-      return [];
-    }
+    return {
+      works: works.map(work => this.normalizeWork(work)),
+      total,
+      page,
+      hasMore: works.length === perPage && (total === null || page * perPage < total)
+    };
   }
 
   /**
@@ -87,6 +106,14 @@ class OpenAlexService {
       filters.push(`publication_year:${from}-${to}`);
     }
 
+    // Filter by exact publication date window (YYYY-MM-DD)
+    if (options.fromDate) {
+      filters.push(`from_publication_date:${options.fromDate}`);
+    }
+    if (options.toDate) {
+      filters.push(`to_publication_date:${options.toDate}`);
+    }
+
     // Filter by open access status
     if (options.openAccessOnly) {
       filters.push('is_oa:true');
@@ -115,13 +142,25 @@ class OpenAlexService {
     const pmidMatch = work.ids?.pmid?.match(/(\d+)$/);
     if (pmidMatch) pmid = pmidMatch[1];
 
+    // Extract PMCID if available
+    const pmcid = work.ids?.pmcid?.match(/(PMC\d+)/i)?.[1]?.toUpperCase() || null;
+
     // Extract DOI
     const doi = work.doi?.replace('https://doi.org/', '') || null;
 
+    // Short OpenAlex ID (e.g. W2741809807)
+    const openalexId = work.id?.split('/').pop() || null;
+
     // Build URL (prefer DOI, fallback to OpenAlex URL)
     let url = work.doi || `https://openalex.org/${work.id.split('/').pop()}`;
 
-    // Extract authors
+    // Extract authors (structured list plus display string)
+    const authorList = (work.authorships || [])
+      .filter(a => a.author?.display_name)
+      .map(a => ({
+        name: a.author.display_name,
+        affiliation: a.institutions?.[0]?.display_name || null
+      }));
     const authors = work.authorships
       ?.map(a => a.author?.display_name)
       .filter(Boolean)
@@ -151,11 +190,15 @@ class OpenAlexService {
 
     return {
       pmid,
+      pmcid,
       doi,
+      openalexId,
       title: work.title || 'No title',
       authors,
+      authorList,
       journal,
       year,
+      publicationDate: work.publication_date || null,
       abstract,
       url,
       source: 'OpenAlex',
@@ -0,0 +1,318 @@
+/**
+ * openFDA Service
+ *
+ * Client for the FDA's openFDA API.
+ * API: https://open.fda.gov/apis/
+ *
+ * Features:
+ * - Structured product labels (SPL) by RxCUI, generic or brand name
+ * - Label sections (boxed warning, indications, dosing, contraindications,
+ *   warnings, adverse reactions, interactions) with their SPL titles
+ * - DailyMed link for every label, so each section can be checked at its source
+ * - FAERS adverse event report counts (reactions, seriousness, reports per year)
+ * - Optional API key (OPENFDA_API_KEY) for the higher daily quota
+ *
+ * Labels and event counts are cached for 1 day.
+ */
+
+const axios = require('axios');
+const cacheService = require('./cache.service');
+
+// Label sections used by the drug-data subsystem, in label order
+const LABEL_SECTIONS = {
+  boxed_warning: 'Boxed Warning',
+  indications_and_usage: 'Indications and Usage',
+  dosage_and_administration: 'Dosage and Administration',
+  dosage_forms_and_strengths: 'Dosage Forms and Strengths',
+  contraindications: 'Contraindications',
+  warnings_and_cautions: 'Warnings and Precautions',
+  warnings: 'Warnings',
+  precautions: 'Precautions',
+  adverse_reactions: 'Adverse Reactions',
+  drug_interactions: 'Drug Interactions',
+  use_in_specific_populations: 'Use in Specific Populations',
+  overdosage: 'Overdosage',
+  description: 'Description',
+  mechanism_of_action: 'Mechanism of Action',
+  clinical_pharmacology: 'Clinical Pharmacology'
+};
+
+// FAERS seriousness outcome fields (a report can have several)
+const SERIOUSNESS_OUTCOMES = {
+  death: 'seriousnessdeath',
+  lifeThreatening: 'seriousnesslifethreatening',
+  hospitalization: 'seriousnesshospitalization',
+  disabling: 'seriousnessdisabling',
+  congenitalAnomaly: 'seriousnesscongenitalanomali',
+  other: 'seriousnessother'
+};
+
+// The count endpoint returns at most 1000 terms
+const MAX_COUNT_TERMS = 1000;
+
+const LABEL_CACHE_TTL = 24 * 60 * 60;
+const EVENT_CACHE_TTL = 24 * 60 * 60;
+
+class OpenFDAService {
+  constructor() {
+    this.baseUrl = (process.env.OPENFDA_URL || 'https://api.fda.gov').replace(/\/$/, '');
+    this.apiKey = process.env.OPENFDA_API_KEY || null;
+    this.rateLimitDelay = 250; // 4 requests/second (openFDA allows 240/minute)
+    this.lastRequestTime = 0;
+  }
+
+  /**
+   * Rate limiting
+   */
+  async respectRateLimit() {
+    const now = Date.now();
+    const timeSinceLastRequest = now - this.lastRequestTime;
+    if (timeSinceLastRequest < this.rateLimitDelay) {
+      await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay - timeSinceLastRequest));
+    }
+    this.lastRequestTime = Date.now();
+  }
+
+  /**
+   * GET an openFDA endpoint
+   * openFDA answers 404 when a search has no results; that is returned as an empty result.
+   * @returns {Promise<object>} { results, meta }
+   */
+  async request(endpoint, params = {}) {
+    await this.respectRateLimit();
+    try {
+      const response = await axios.get(`${this.baseUrl}${endpoint}`, {
+        params: this.apiKey ? { ...params, api_key: this.apiKey } : params,
+        timeout: 15000
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { results: [], meta: null };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Quote a value for an openFDA search expression
+   */
+  quote(value) {
+    return `"${String(value).replace(/"/g, '')}"`;
+  }
+
+  /**
+   * Find the current label for a drug
+   * Tried in order: RxCUI, generic names, brand names. Generic name searches
+   * match on words, so "amlodipine" also finds amlodipine/benazepril labels;
+   * labels whose generic name isn't made of the drug's ingredients are skipped.
+   * @param {object} drug - { rxcui, genericNames, brandNames, ingredients } (e.g. from rxnormService.resolveDrug)
+   * @returns {Promise<object|null>} Label, or null when openFDA has none
+   */
+  async getLabel(drug) {
+    const searches = [
+      ...(drug.rxcui ? [`openfda.rxcui:${this.quote(drug.rxcui)}`] : []),
+      ...(drug.genericNames || []).map(name => `openfda.generic_name:${this.quote(name)}`),
+      ...(drug.brandNames || []).map(name => `openfda.brand_name:${this.quote(name)}`)
+    ];
+
+    const ingredients = drug.ingredients || [];
+
+    for (const search of searches) {
+      const cacheKey = `openfda:label:${search.toLowerCase()}:${ingredients.join('+').toLowerCase()}`;
+      const cached = cacheService.get(cacheKey);
+      if (cached) {
+        if (cached.notFound) continue;
+        return cached;
+      }
+
+      console.log(`openFDA: Searching labels for ${search}...`);
+      const data = await this.request('/drug/label.json', { search, limit: 10 });
+
+      // Several manufacturers label the same drug; prefer the most recent label
+      const result = (data.results || [])
+        .filter(result => this.hasIngredients(result, ingredients))
+        .sort((a, b) => String(b.effective_time || '').localeCompare(String(a.effective_time || '')))[0];
+
+      if (!result) {
+        cacheService.set(cacheKey, { notFound: true }, LABEL_CACHE_TTL);
+        continue;
+      }
+
+      const label = this.normalizeLabel(result);
+      console.log(`openFDA: Found label ${label.setId} (${Object.keys(label.sections).length} sections)`);
+      cacheService.set(cacheKey, label, LABEL_CACHE_TTL);
+      return label;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a label is for exactly these ingredients
+   * ("AMLODIPINE BESYLATE AND BENAZEPRIL HYDROCHLORIDE" is amlodipine + benazepril);
+   * true when either side is unknown
+   * @param {object} result - openFDA label result
+   * @param {Array<string>} ingredients - Ingredient names
+   * @returns {boolean}
+   */
+  hasIngredients(result, ingredients) {
+    const genericName = result.openfda?.generic_name?.[0];
+    if (!genericName || ingredients.length === 0) return true;
+
+    const parts = genericName.split(/\s+and\s+|\s*,\s*|\s*\/\s*/i).filter(Boolean);
+    return parts.length === ingredients.length && ingredients.every(ingredient => {
+      const pattern = new RegExp(`\\b${ingredient.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
+      return parts.some(part => pattern.test(part));
+    });
+  }
+
+  /**
+   * Normalize an SPL label
+   */
+  normalizeLabel(result) {
+    const sections = {};
+    for (const [key, title] of Object.entries(LABEL_SECTIONS)) {
+      const text = (result[key] || []).join('\n').trim();
+      if (text) sections[key] = { title, text };
+    }
+
+    const effectiveTime = result.effective_time
+      ? result.effective_time.replace(/^(\d{4})(\d{2})(\d{2})$/, '$1-$2-$3')
+      : null;
+
+    return {
+      setId: result.set_id || null,
+      splId: result.id || null,
+      version: result.version || null,
+      effectiveTime,
+      brandNames: result.openfda?.brand_name || [],
+      genericNames: result.openfda?.generic_name || [],
+      manufacturer: result.openfda?.manufacturer_name?.[0] || null,
+      routes: result.openfda?.route || [],
+      rxcuis: result.openfda?.rxcui || [],
+      url: result.set_id ? `https://dailymed.nlm.nih.gov/dailymed/drugInfo.cfm?setid=${result.set_id}` : null,
+      sections
+    };
+  }
+
+  /**
+   * FAERS search expression for a drug's reports
+   * @param {string} genericName - Ingredient name
+   * @param {object} options - { yearFrom, yearTo }
+   * @returns {string}
+   */
+  eventSearch(genericName, options = {}) {
+    let search = `patient.drug.openfda.generic_name:${this.quote(genericName)}`;
+    if (options.yearFrom || options.yearTo) {
+      search += ` AND receivedate:[${options.yearFrom || 1968}0101 TO ${options.yearTo || new Date().getFullYear()}1231]`;
+    }
+    return search;
+  }
+
+  /**
+   * Number of a drug's FAERS reports listing one reaction
+   * @param {string} genericName - Ingredient name
+   * @param {string} term - MedDRA preferred term
+   * @param {object} options - { yearFrom, yearTo }
+   * @returns {Promise<number>}
+   */
+  async countReactionReports(genericName, term, options = {}) {
+    const cacheKey = cacheService.generateKey('openfda:reaction', { genericName: genericName.toLowerCase(), term, ...options });
+    const cached = cacheService.get(cacheKey);
+    if (cached !== null) return cached;
+
+    const search = `${this.eventSearch(genericName, options)} AND patient.reaction.reactionmeddrapt.exact:${this.quote(term)}`;
+    const data = await this.request('/drug/event.json', { search, limit: 1 });
+    const count = data.meta?.results?.total || 0;
+
+    cacheService.set(cacheKey, count, EVENT_CACHE_TTL);
+    return count;
+  }
+
+  /**
+   * FAERS report counts for a drug
+   * Reports are matched on the drug's generic name in any drug of the report.
+   * @param {string} genericName - Ingredient name
+   * @param {object} options - { yearFrom, yearTo } (by FDA receipt date)
+   * @returns {Promise<object>} { total, reactions: [{ term, count }], reactionsComplete, seriousness: {
+   *   serious, nonSerious, outcomes: { death, ... } }, byYear: [{ year, count }], lastUpdated }
+   *   - reactionsComplete is false when reactions was cut at the count endpoint's term limit,
+   *     so a missing reaction may still have reports (see countReactionReports)
+   */
+  async getEventCounts(genericName, options = {}) {
+    const cacheKey = cacheService.generateKey('openfda:events', { genericName: genericName.toLowerCase(), ...options });
+    const cached = cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const search = this.eventSearch(genericName, options);
+
+    console.log(`openFDA: Counting FAERS reports for ${genericName}...`);
+
+    // Requests are issued one at a time to stay within the rate limit
+    const totalData = await this.request('/drug/event.json', { search, limit: 1 });
+    const total = totalData.meta?.results?.total || 0;
+    if (total === 0) {
+      const empty = { total: 0, reactions: [], reactionsComplete: true, seriousness: { serious: 0, nonSerious: 0, outcomes: {} }, byYear: [], lastUpdated: null };
+      cacheService.set(cacheKey, empty, EVENT_CACHE_TTL);
+      return empty;
+    }
+
+    const reactionData = await this.request('/drug/event.json', {
+      search, count: 'patient.reaction.reactionmeddrapt.exact', limit: MAX_COUNT_TERMS
+    });
+    const seriousData = await this.request('/drug/event.json', { search, count: 'serious' });
+
+    const outcomes = {};
+    for (const [outcome, field] of Object.entries(SERIOUSNESS_OUTCOMES)) {
+      const data = await this.request('/drug/event.json', { search: `${search} AND ${field}:1`, limit: 1 });
+      outcomes[outcome] = data.meta?.results?.total || 0;
+    }
+
+    // Daily counts, summed per year
+    const dateData = await this.request('/drug/event.json', { search, count: 'receivedate' });
+    const years = {};
+    for (const { time, count } of dateData.results || []) {
+      const year = String(time).substring(0, 4);
+      years[year] = (years[year] || 0) + count;
+    }
+
+    // serious: 1 = serious, 2 = not serious
+    const seriousCount = term => (seriousData.results || []).find(result => String(result.term) === term)?.count || 0;
+
+    const counts = {
+      total,
+      reactions: (reactionData.results || []).map(({ term, count }) => ({ term, count })),
+      reactionsComplete: (reactionData.results || []).length < MAX_COUNT_TERMS,
+      seriousness: { serious: seriousCount('1'), nonSerious: seriousCount('2'), outcomes },
+      byYear: Object.entries(years)
+        .map(([year, count]) => ({ year: parseInt(year, 10), count }))
+        .sort((a, b) => a.year - b.year),
+      lastUpdated: totalData.meta?.last_updated || null
+    };
+
+    cacheService.set(cacheKey, counts, EVENT_CACHE_TTL);
+    return counts;
+  }
+
+  /**
+   * Title of a label section
+   * @param {string} key - openFDA section key
+   * @returns {string|null}
+   */
+  getSectionTitle(key) {
+    return LABEL_SECTIONS[key] || null;
+  }
+
+  /**
+   * Check that openFDA answers
+   */
+  async ping() {
+    await axios.get(`${this.baseUrl}/drug/label.json`, {
+      params: this.apiKey ? { limit: 1, api_key: this.apiKey } : { limit: 1 },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = new OpenFDAService();
@@ -0,0 +1,218 @@
+/**
+ * Preprint Service (medRxiv / bioRxiv)
+ *
+ * medRxiv (health sciences) and bioRxiv (biology) host preprints: work
+ * posted before, or instead of, peer review.
+ * API: https://api.biorxiv.org/
+ *
+ * The medRxiv/bioRxiv API has no keyword search - it lists posts by date or
+ * DOI - so searching works in two steps:
+ * 1. Europe PMC's preprint index (SRC:PPR, restricted to the two servers)
+ *    finds matching preprint DOIs, with relevance order and a cursor
+ * 2. The medRxiv/bioRxiv API supplies the authoritative record for each DOI:
+ *    latest version, category, license and, once the preprint is published
+ *    in a journal, the DOI of the published version
+ *
+ * Only the first MAX_ENRICHED_PREPRINTS results of a page are looked up in
+ * step 2 (concurrently, within the rate limit); the rest, and any result the
+ * medRxiv/bioRxiv API can't supply, keep the Europe PMC metadata.
+ */
+
+const axios = require('axios');
+
+const EUROPE_PMC_SEARCH_URL = 'https://www.ebi.ac.uk/europepmc/webservices/rest/search';
+
+// medRxiv/bioRxiv API server keys -> display names
+const SERVERS = {
+  medrxiv: 'medRxiv',
+  biorxiv: 'bioRxiv'
+};
+
+// Results per page looked up in the medRxiv/bioRxiv API
+const MAX_ENRICHED_PREPRINTS = 5;
+
+class PreprintService {
+  constructor() {
+    this.baseUrl = 'https://api.biorxiv.org';
+    this.rateLimitDelay = 200; // 5 requests/second (conservative)
+    this.lastRequestTime = 0;
+  }
+
+  /**
+   * Rate limiting to be polite
+   * Each call reserves the next free slot, so concurrent lookups stay spaced out.
+   */
+  async respectRateLimit() {
+    const now = Date.now();
+    const wait = Math.max(0, this.lastRequestTime + this.rateLimitDelay - now);
+    this.lastRequestTime = now + wait;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Search medRxiv and bioRxiv preprints
+   * @param {string} query - Search query
+   * @param {object} options - { limit, cursorMark, dateClause (Europe PMC date term), sort, servers: ['medrxiv', 'biorxiv'] }
+   * @returns {Promise<object>} { preprints, total, nextCursorMark }
+   */
+  async searchPreprints(query, options = {}) {
+    const limit = options.limit || 10;
+    const cursorMark = options.cursorMark || '*';
+    const servers = (options.servers || Object.keys(SERVERS)).filter(server => SERVERS[server]);
+
+    const publisherClause = servers.map(server => `PUBLISHER:"${SERVERS[server]}"`).join(' OR ');
+    let searchQuery = `(${query}) AND SRC:PPR AND (${publisherClause})`;
+    if (options.dateClause) {
+      searchQuery += ` AND ${options.dateClause}`;
+    }
+
+    console.log(`Preprints: Searching ${servers.map(server => SERVERS[server]).join(' and ')} for "${query}"...`);
+
+    const response = await axios.get(EUROPE_PMC_SEARCH_URL, {
+      params: {
+        query: searchQuery,
+        format: 'json',
+        pageSize: limit,
+        cursorMark,
+        resultType: 'core',
+        sort: options.sort || 'relevance'
+      },
+      timeout: 15000
+    });
+
+    const results = response.data.resultList?.result || [];
+    const nextCursorMark = response.data.nextCursorMark;
+
+    const indexed = results.map(result => this.fromEuropePMC(result)).filter(preprint => preprint.doi);
+    const preprints = await Promise.all(indexed.map(async (preprint, i) => {
+      if (i >= MAX_ENRICHED_PREPRINTS) return preprint;
+      return (await this.getPreprint(preprint.doi, preprint.serverKey)) || preprint;
+    }));
+
+    console.log(`Preprints: Found ${preprints.length} preprints`);
+
+    return {
+      preprints,
+      total: response.data.hitCount ?? null,
+      nextCursorMark: results.length === limit && nextCursorMark && nextCursorMark !== cursorMark ? nextCursorMark : null
+    };
+  }
+
+  /**
+   * Get the latest version of a preprint by DOI
+   * @param {string} doi - Preprint DOI (10.1101/...)
+   * @param {string} server - 'medrxiv' or 'biorxiv' (both are tried when unknown)
+   * @returns {Promise<object|null>} Preprint, or null when not found or the API is unavailable
+   */
+  async getPreprint(doi, server = null) {
+    const servers = server && SERVERS[server] ? [server] : Object.keys(SERVERS);
+
+    for (const candidate of servers) {
+      try {
+        await this.respectRateLimit();
+
+        const response = await axios.get(`${this.baseUrl}/details/${candidate}/${doi}/na/json`, {
+          timeout: 10000
+        });
+
+        // One entry per version, oldest first
+        const versions = response.data.collection || [];
+        if (versions.length > 0) {
+          return this.normalizePreprint(versions[versions.length - 1], candidate);
+        }
+      } catch (error) {
+        // Try the other server before giving up
+        console.error(`Preprint getPreprint error (${candidate}, ${doi}):`, error.message);
+        continue;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that the medRxiv/bioRxiv API answers (fetches the most recent post)
+   */
+  async ping() {
+    await axios.get(`${this.baseUrl}/details/medrxiv/1/0/json`, { timeout: 5000 });
+  }
+
+  /**
+   * Normalize a medRxiv/bioRxiv API record
+   * @param {object} entry - Entry of the API's `collection`
+   * @param {string} serverKey - 'medrxiv' or 'biorxiv'
+   * @returns {object} Preprint
+   */
+  normalizePreprint(entry, serverKey) {
+    const key = SERVERS[String(entry.server || '').toLowerCase()] ? String(entry.server).toLowerCase() : serverKey;
+    const server = SERVERS[key];
+    const version = parseInt(entry.version, 10) || 1;
+    const contentUrl = `https://www.${key}.org/content/${entry.doi}v${version}`;
+
+    // "Smith, J.; Doe, A. B." -> "Smith J", "Doe AB"
+    const authors = String(entry.authors || '')
+      .split(';')
+      .map(name => name.trim())
+      .filter(Boolean)
+      .map(name => {
+        const [last, initials] = name.split(',').map(part => part.trim());
+        return initials ? `${last} ${initials.replace(/[.\s]/g, '')}` : last;
+      })
+      .map((name, i) => ({
+        name,
+        affiliation: i === 0 && entry.author_corresponding_institution ? entry.author_corresponding_institution : null
+      }));
+
+    return {
+      doi: entry.doi,
+      title: entry.title,
+      abstract: entry.abstract || null,
+      authors,
+      date: entry.date || null,
+      version,
+      category: entry.category || null,
+      license: entry.license || null,
+      server,
+      serverKey: key,
+      // "NA" until a journal version exists
+      publishedDoi: entry.published && entry.published !== 'NA' ? entry.published : null,
+      url: contentUrl,
+      pdfUrl: `${contentUrl}.full.pdf`
+    };
+  }
+
+  /**
+   * Preprint from Europe PMC's index (used when the medRxiv/bioRxiv API is unavailable)
+   * @param {object} result - Europe PMC core result
+   * @returns {object} Preprint
+   */
+  fromEuropePMC(result) {
+    const publisher = String(result.bookOrReportDetails?.publisher || '').toLowerCase();
+    const serverKey = SERVERS[publisher] ? publisher : 'medrxiv';
+
+    const authors = (result.authorList?.author || []).map(author => ({
+      name: author.fullName || `${author.lastName || ''} ${author.initials || ''}`.trim(),
+      affiliation: author.authorAffiliationDetailsList?.authorAffiliation?.[0]?.affiliation || null
+    }));
+
+    return {
+      doi: result.doi || null,
+      title: result.title,
+      abstract: result.abstractText || null,
+      authors,
+      date: result.firstPublicationDate || null,
+      version: null,
+      category: null,
+      license: result.license || null,
+      server: SERVERS[serverKey],
+      serverKey,
+      publishedDoi: null,
+      url: result.doi ? `https://doi.org/${result.doi}` : null,
+      pdfUrl: null
+    };
+  }
+}
+
+module.exports = new PreprintService();
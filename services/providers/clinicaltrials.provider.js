@@ -0,0 +1,51 @@
+/**
+ * ClinicalTrials.gov source provider
+ *
+ * Searches registered trials through clinicaltrials.service.js.
+ * Date windows become first-posted date filters (StudyFirstPostDate, the date
+ * the trial was first posted to the registry), not study start date filters.
+ *
+ * Pagination state: { offset, pageToken, total } (only the first page reports a total)
+ */
+
+const axios = require('axios');
+const SourceProvider = require('./source-provider');
+const clinicaltrialsService = require('../clinicaltrials.service');
+const dateWindowService = require('../date-window.service');
+
+class ClinicalTrialsProvider extends SourceProvider {
+  constructor() {
+    super({ name: 'clinicaltrials', label: 'ClinicalTrials.gov', requestsPerSecond: 5, defaultLimit: 15 });
+  }
+
+  async search(query, { limit, filters, strategy = {}, position }) {
+    const page = await clinicaltrialsService.searchTrialsPage(query, {
+      limit,
+      pageToken: position.pageToken,
+      ...dateWindowService.toClinicalTrialsOptions(this.dateWindow(filters, strategy))
+    });
+
+    // Only the first page reports a total, so later pages carry it forward
+    const total = page.total ?? position.total ?? null;
+    return {
+      records: page.trials,
+      total,
+      next: page.nextPageToken
+        ? { offset: position.offset + page.trials.length, pageToken: page.nextPageToken, total }
+        : null
+    };
+  }
+
+  async getById(id) {
+    const nctId = String(id).replace(/^nct:/i, '').toUpperCase();
+    if (!/^NCT\d{8}$/.test(nctId)) return null;
+
+    return clinicaltrialsService.getTrial(nctId);
+  }
+
+  async health() {
+    await axios.get(`${clinicaltrialsService.baseUrl}/version`, { timeout: 5000 });
+  }
+}
+
+module.exports = new ClinicalTrialsProvider();
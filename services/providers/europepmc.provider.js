@@ -0,0 +1,125 @@
+/**
+ * Europe PMC source provider
+ *
+ * Searches Europe PMC's REST API (core result type, which includes
+ * abstracts, MeSH headings, keywords and full-text links).
+ *
+ * Pagination state: { offset, cursorMark }
+ */
+
+const axios = require('axios');
+const SourceProvider = require('./source-provider');
+const dateWindowService = require('../date-window.service');
+const { retryWithBackoff } = require('../retry.service');
+
+const SEARCH_URL = 'https://www.ebi.ac.uk/europepmc/webservices/rest/search';
+
+class EuropePMCProvider extends SourceProvider {
+  constructor() {
+    super({ name: 'europepmc', label: 'Europe PMC', requestsPerSecond: 10 });
+
+    this.studyTypeTerms = {
+      meta_analysis: 'PUB_TYPE:"Meta-Analysis"',
+      systematic_review: 'PUB_TYPE:"Systematic Review"',
+      rct: 'PUB_TYPE:"Randomized Controlled Trial"',
+      clinical_trial: 'PUB_TYPE:"Clinical Trial"',
+      guideline: 'PUB_TYPE:"Guideline" OR PUB_TYPE:"Practice Guideline"',
+      review: 'PUB_TYPE:"Review"'
+    };
+  }
+
+  /**
+   * Build the Europe PMC query
+   * @param {string} query - Search query
+   * @param {object} filters - Search filters
+   * @param {object} strategy - Routing plan execution entry (filters, yearFrom)
+   * @returns {string} Europe PMC query
+   */
+  buildQuery(query, filters, strategy = {}) {
+    let searchQuery = `(${query})`;
+    let filterParams = '';
+
+    // Add date range filter (preset or custom window)
+    const dateClause = dateWindowService.toEuropePMCTerm(this.dateWindow(filters, strategy));
+    if (dateClause) {
+      filterParams += ` AND ${dateClause}`;
+    }
+
+    const strategyClause = this.strategyStudyTypeClause(filters, strategy);
+    if (strategyClause) {
+      filterParams += ` AND ${strategyClause}`;
+    }
+
+    // Add study type filter (UI values like 'meta' and 'rct')
+    const studyTypeClause = this.userStudyTypeClause(filters);
+    if (studyTypeClause) {
+      filterParams += ` AND ${studyTypeClause}`;
+    }
+
+    return searchQuery + filterParams;
+  }
+
+  async search(query, { limit, filters, strategy = {}, position }) {
+    const cursorMark = position.cursorMark || '*';
+    const response = await retryWithBackoff(() =>
+      axios.get(SEARCH_URL, {
+        params: {
+          query: this.buildQuery(query, filters, strategy),
+          format: 'json',
+          pageSize: limit,
+          cursorMark,
+          resultType: 'core',
+          sort: strategy.sort || 'relevance'
+        }
+      })
+    );
+
+    const records = response.data.resultList?.result || [];
+    // Europe PMC returns the same cursorMark once the results are exhausted
+    const nextCursorMark = response.data.nextCursorMark;
+    const hasMore = records.length === limit && nextCursorMark && nextCursorMark !== cursorMark;
+
+    return {
+      records,
+      total: response.data.hitCount ?? null,
+      next: hasMore ? { offset: position.offset + records.length, cursorMark: nextCursorMark } : null
+    };
+  }
+
+  /**
+   * Europe PMC query for an identifier (PMID, PMCID, DOI or Europe PMC ID like "PPR123")
+   * @param {string} id - Identifier
+   * @returns {string|null} Query, or null when the format is not recognised
+   */
+  buildIdQuery(id) {
+    const value = String(id).trim().replace(/^(pmid|pmcid|doi):/i, '');
+    if (/^\d+$/.test(value)) return `EXT_ID:${value} AND SRC:MED`;
+    if (/^PMC\d+$/i.test(value)) return `PMCID:${value.toUpperCase()}`;
+    if (value.startsWith('10.')) return `DOI:"${value}"`;
+    if (/^[A-Z]{3}\d+$/i.test(value)) return `EXT_ID:${value.toUpperCase()}`;
+    return null;
+  }
+
+  async getById(id) {
+    const query = this.buildIdQuery(id);
+    if (!query) return null;
+
+    const response = await retryWithBackoff(() =>
+      axios.get(SEARCH_URL, {
+        params: { query, format: 'json', pageSize: 1, resultType: 'core' },
+        timeout: 10000
+      })
+    );
+
+    return response.data.resultList?.result?.[0] || null;
+  }
+
+  async health() {
+    await axios.get(SEARCH_URL, {
+      params: { query: 'cancer', format: 'json', pageSize: 1, resultType: 'idlist' },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = new EuropePMCProvider();
@@ -0,0 +1,50 @@
+/**
+ * OpenAlex source provider
+ *
+ * Searches OpenAlex works through openalex.service.js. Routing strategies can
+ * set `sort`, `type` and `medicalOnly`; date windows become publication date filters.
+ *
+ * Pagination state: { offset, page }
+ */
+
+const axios = require('axios');
+const SourceProvider = require('./source-provider');
+const openalexService = require('../openalex.service');
+const dateWindowService = require('../date-window.service');
+
+class OpenAlexProvider extends SourceProvider {
+  constructor() {
+    super({ name: 'openalex', label: 'OpenAlex', requestsPerSecond: 10 });
+  }
+
+  async search(query, { limit, filters, strategy = {}, position }) {
+    const page = await openalexService.searchWorksPage(query, {
+      limit,
+      page: position.page || 1,
+      medicalOnly: strategy.medicalOnly,
+      sort: strategy.sort,
+      type: strategy.type,
+      ...dateWindowService.toOpenAlexOptions(this.dateWindow(filters, strategy))
+    });
+
+    return {
+      records: page.works,
+      total: page.total,
+      next: page.hasMore ? { offset: position.offset + page.works.length, page: page.page + 1 } : null
+    };
+  }
+
+  async getById(id) {
+    // Accepts OpenAlex IDs ("W123"), DOIs and PMIDs
+    return openalexService.getWork(String(id).replace(/^(openalex|doi|pmid):/i, ''));
+  }
+
+  async health() {
+    await axios.get(`${openalexService.baseUrl}/works`, {
+      params: { per_page: 1, mailto: openalexService.politeEmail },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = new OpenAlexProvider();
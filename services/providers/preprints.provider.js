@@ -0,0 +1,60 @@
+/**
+ * medRxiv/bioRxiv preprint source provider
+ *
+ * Searches preprints through preprint.service.js. Records are marked
+ * `peerReviewed: false` and carry the DOI of their journal version once
+ * one exists, which record linkage uses to merge the two.
+ *
+ * Pagination state: { offset, cursorMark }
+ */
+
+const axios = require('axios');
+const SourceProvider = require('./source-provider');
+const preprintService = require('../preprint.service');
+const dateWindowService = require('../date-window.service');
+
+class PreprintsProvider extends SourceProvider {
+  constructor() {
+    super({ name: 'preprints', label: 'medRxiv/bioRxiv', requestsPerSecond: 5, defaultLimit: 10 });
+
+    // Users who exclude preprints never get this source
+    this.preprintServer = true;
+  }
+
+  async search(query, { limit, filters, strategy = {}, position }) {
+    const cursorMark = position.cursorMark || '*';
+    const page = await preprintService.searchPreprints(query, {
+      limit,
+      cursorMark,
+      sort: strategy.sort,
+      dateClause: dateWindowService.toEuropePMCTerm(this.dateWindow(filters, strategy))
+    });
+
+    return {
+      records: page.preprints,
+      total: page.total,
+      next: page.nextCursorMark
+        ? { offset: position.offset + page.preprints.length, cursorMark: page.nextCursorMark }
+        : null
+    };
+  }
+
+  async getById(id) {
+    const doi = String(id).replace(/^doi:/i, '');
+    if (!doi.startsWith('10.')) return null;
+
+    return preprintService.getPreprint(doi);
+  }
+
+  async health() {
+    await Promise.all([
+      preprintService.ping(),
+      axios.get('https://www.ebi.ac.uk/europepmc/webservices/rest/search', {
+        params: { query: 'SRC:PPR', format: 'json', pageSize: 1, resultType: 'idlist' },
+        timeout: 5000
+      })
+    ]);
+  }
+}
+
+module.exports = new PreprintsProvider();
@@ -0,0 +1,145 @@
+/**
+ * PubMed source provider
+ *
+ * Searches PubMed through NCBI E-utilities: esearch for IDs (in PubMed's
+ * relevance or date order), esummary for citation metadata and efetch
+ * (pubmed.service.js) for abstracts, MeSH headings and publication types.
+ *
+ * Pagination state: { offset } (esearch retstart)
+ */
+
+const axios = require('axios');
+const SourceProvider = require('./source-provider');
+const pubmedService = require('../pubmed.service');
+const dateWindowService = require('../date-window.service');
+
+const EUTILS_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+
+class PubMedProvider extends SourceProvider {
+  constructor() {
+    // NCBI allows 3 requests/second without an API key, 10 with one
+    super({ name: 'pubmed', label: 'PubMed', requestsPerSecond: process.env.NCBI_API_KEY ? 10 : 3 });
+    // A search is up to three E-utilities requests; each one, and each retry,
+    // goes through throttledRequest
+    this.throttlesRequests = true;
+
+    this.studyTypeTerms = {
+      meta_analysis: 'Meta-Analysis[pt]',
+      systematic_review: 'Systematic Review[pt]',
+      rct: 'Randomized Controlled Trial[pt]',
+      clinical_trial: 'Clinical Trial[pt]',
+      guideline: 'Guideline[pt] OR Practice Guideline[pt]',
+      review: 'Review[pt]'
+    };
+  }
+
+  /**
+   * Build the esearch term
+   * @param {string} query - Search query
+   * @param {object} filters - Search filters
+   * @param {object} strategy - Routing plan execution entry (filters, yearFrom)
+   * @returns {string} PubMed search term
+   */
+  buildQuery(query, filters, strategy = {}) {
+    let searchTerm = query;
+
+    // Add date range filter (preset or custom window)
+    const dateClause = dateWindowService.toPubMedTerm(this.dateWindow(filters, strategy));
+    if (dateClause) {
+      searchTerm += ' AND ' + dateClause;
+    }
+
+    const strategyClause = this.strategyStudyTypeClause(filters, strategy);
+    if (strategyClause) {
+      searchTerm += ' AND ' + strategyClause;
+    }
+
+    // Add study type filter (UI values like 'meta' and 'rct')
+    const studyTypeClause = this.userStudyTypeClause(filters);
+    if (studyTypeClause) {
+      searchTerm += ' AND ' + studyTypeClause;
+    }
+
+    return searchTerm;
+  }
+
+  async search(query, { limit, filters, strategy = {}, position }) {
+    const searchResponse = await this.throttledRequest(() =>
+      axios.get(`${EUTILS_URL}/esearch.fcgi`, {
+        params: {
+          db: 'pubmed',
+          term: this.buildQuery(query, filters, strategy),
+          retmax: limit,
+          retstart: position.offset,
+          retmode: 'json',
+          sort: strategy.sort || 'relevance',
+          api_key: process.env.NCBI_API_KEY
+        }
+      })
+    );
+
+    const ids = searchResponse.data.esearchresult.idlist;
+    const total = parseInt(searchResponse.data.esearchresult.count, 10);
+    if (ids.length === 0) return { records: [], total, next: null };
+
+    const records = await this.fetchSummaries(ids);
+    const nextOffset = position.offset + ids.length;
+
+    return {
+      records,
+      total,
+      next: nextOffset < total ? { offset: nextOffset } : null
+    };
+  }
+
+  /**
+   * Fetch esummary records with efetch details, in the order of `ids`
+   * @param {Array<string>} ids - PMIDs
+   * @returns {Promise<Array>} esummary records with a `details` field
+   */
+  async fetchSummaries(ids) {
+    const summaryResponse = await this.throttledRequest(() =>
+      axios.get(`${EUTILS_URL}/esummary.fcgi`, {
+        params: {
+          db: 'pubmed',
+          id: ids.join(','),
+          retmode: 'json',
+          api_key: process.env.NCBI_API_KEY
+        }
+      })
+    );
+
+    // Abstracts, MeSH headings, keywords and publication types come from efetch
+    let detailsMap = {};
+    try {
+      detailsMap = await this.throttledRequest(() => pubmedService.fetchDetails(ids), 2, 1000);
+    } catch (err) {
+      console.warn('Failed to fetch PubMed abstracts:', err.message);
+      // Continue with summary data only
+    }
+
+    // Keep PubMed's relevance order; unknown PMIDs come back with an error field
+    return ids
+      .map(id => summaryResponse.data.result?.[id])
+      .filter(summary => summary && !summary.error)
+      .map(summary => ({ ...summary, details: detailsMap[summary.uid] || null }));
+  }
+
+  async getById(id) {
+    const pmid = String(id).replace(/^pmid:/i, '');
+    if (!/^\d+$/.test(pmid)) return null;
+
+    const [record] = await this.fetchSummaries([pmid]);
+    return record || null;
+  }
+
+  async health() {
+    await this.throttle();
+    await axios.get(`${EUTILS_URL}/einfo.fcgi`, {
+      params: { db: 'pubmed', retmode: 'json', api_key: process.env.NCBI_API_KEY },
+      timeout: 5000
+    });
+  }
+}
+
+module.exports = new PubMedProvider();
@@ -0,0 +1,156 @@
+/**
+ * Source Provider base class
+ *
+ * Every search source the routing plan can name is a provider module in this
+ * directory (`<name>.provider.js`) exporting an instance of a subclass.
+ * SourceRegistryService discovers them at startup, so adding a database is a
+ * new provider plus a routing rule in config/routing-rules.json.
+ *
+ * Provider interface:
+ * - name                 routing key ('pubmed'), used in rules, overrides and cursors
+ * - label                display name, matches canonical record `source` ('PubMed')
+ * - rateLimit            { requestsPerSecond } enforced by the registry, once
+ *                        per search()/getById() call by default
+ * - throttlesRequests    optional; true when the provider makes several HTTP
+ *                        requests per call and throttles each one itself
+ *                        (this.throttledRequest, which covers retries too),
+ *                        so the limit holds per request
+ * - defaultLimit         page size when the routing plan gives none
+ * - search(query, { limit, filters, strategy, position })
+ *     -> { records, total, next }   raw source records; `next` is the position of
+ *        the following page ({ offset, ...source-specific state }) or null
+ * - normalize(records)   -> canonical records (article-normalizer.service.js)
+ * - getById(id)          -> raw record or null
+ * - health()             resolves when the source answers, throws otherwise
+ * - preprintServer       optional; true when every record is a preprint, so
+ *                        routing skips the source for excludePreprints searches
+ */
+
+const articleNormalizer = require('../article-normalizer.service');
+const dateWindowService = require('../date-window.service');
+const evidenceGrading = require('../evidence-grading.service');
+const { retryWithBackoff } = require('../retry.service');
+
+class SourceProvider {
+  constructor({ name, label, requestsPerSecond = 5, defaultLimit = 20 }) {
+    this.name = name;
+    this.label = label;
+    this.rateLimit = { requestsPerSecond };
+    this.defaultLimit = defaultLimit;
+    this.throttlesRequests = false;
+
+    // Set by SourceRegistryService.register
+    this.limiter = null;
+
+    // Study type terms for routing strategy filters, keyed by evidence-grading
+    // design key (subclasses that support publication-type filters set this)
+    this.studyTypeTerms = {};
+  }
+
+  /**
+   * Search the source
+   * @param {string} query - Search query
+   * @param {object} options - { limit, filters, strategy, position }
+   * @returns {Promise<object>} { records, total, next }
+   */
+  async search(query, options) {
+    throw new Error(`${this.label} provider does not implement search()`);
+  }
+
+  /**
+   * Convert raw records to canonical records
+   * @param {Array} records - Raw records from search() or getById()
+   * @returns {Array} Canonical records
+   */
+  normalize(records) {
+    return articleNormalizer.normalizeMany(this.name, records);
+  }
+
+  /**
+   * Fetch a single raw record
+   * @param {string} id - Source identifier
+   * @returns {Promise<object|null>} Raw record or null when not found
+   */
+  async getById(id) {
+    throw new Error(`${this.label} provider does not implement getById()`);
+  }
+
+  /**
+   * Check that the source is reachable
+   * @returns {Promise<void>} Throws when it is not
+   */
+  async health() {
+    throw new Error(`${this.label} provider does not implement health()`);
+  }
+
+  /**
+   * Wait for this provider's next request slot (see throttlesRequests)
+   */
+  async throttle() {
+    if (this.limiter) await this.limiter();
+  }
+
+  /**
+   * Run a request with retries, waiting for a request slot before every
+   * attempt so retried requests count against the rate limit as well
+   * @param {Function} fn - Async function making one HTTP request
+   * @param {number} maxRetries - Total attempts (see retryWithBackoff)
+   * @param {number} initialDelay - Delay before the first retry (ms)
+   * @returns {Promise<*>} Result of fn
+   */
+  async throttledRequest(fn, maxRetries, initialDelay) {
+    return retryWithBackoff(async () => {
+      await this.throttle();
+      return fn();
+    }, maxRetries, initialDelay);
+  }
+
+  /**
+   * Date window for this source (user filters, else the strategy's yearFrom)
+   * @param {object} filters - Search filters
+   * @param {object} strategy - Routing plan execution entry
+   * @returns {object|null} Resolved window
+   */
+  dateWindow(filters, strategy) {
+    return dateWindowService.resolveForStrategy(filters, strategy);
+  }
+
+  /**
+   * Publication-type clause for a set of designs
+   * @param {Array<string>} designs - Evidence-grading design keys
+   * @returns {string|null} Clause like "(A OR B)", or null when none are supported
+   */
+  studyTypeClause(designs) {
+    const terms = designs.map(design => this.studyTypeTerms[design]).filter(Boolean);
+    return terms.length > 0 ? `(${terms.join(' OR ')})` : null;
+  }
+
+  /**
+   * Study type clause for the user's studyType filter ('meta', 'rct', 'review', ...)
+   * @param {object} filters - Search filters
+   * @returns {string|null} Clause or null
+   */
+  userStudyTypeClause(filters) {
+    return this.studyTypeClause(evidenceGrading.resolveStudyTypeFilter(filters?.studyType));
+  }
+
+  /**
+   * Study type clause a routing strategy asks for
+   * Skipped when the user picked a study type themselves
+   * @param {object} filters - Search filters
+   * @param {object} strategy - Routing plan execution entry (filters.studyType: comma-separated design keys)
+   * @returns {string|null} Clause or null
+   */
+  strategyStudyTypeClause(filters, strategy = {}) {
+    if (filters?.studyType && filters.studyType !== 'all') return null;
+
+    const designs = String(strategy?.filters?.studyType || '')
+      .split(',')
+      .map(type => type.trim())
+      .filter(Boolean);
+
+    return this.studyTypeClause(designs);
+  }
+}
+
+module.exports = SourceProvider;
@@ -0,0 +1,46 @@
+/**
+ * Synthesis evidence source provider
+ *
+ * Systematic reviews and meta-analyses from synthesis-evidence.service.js
+ * (Epistemonikos, or Europe PMC's systematic review subset without credentials).
+ *
+ * Pagination state: { offset, page } or { offset, cursorMark }, depending on the backend
+ */
+
+const SourceProvider = require('./source-provider');
+const synthesisEvidenceService = require('../synthesis-evidence.service');
+const dateWindowService = require('../date-window.service');
+
+class SynthesisProvider extends SourceProvider {
+  constructor() {
+    super({ name: 'synthesis', label: 'Systematic Reviews', requestsPerSecond: 2, defaultLimit: 10 });
+  }
+
+  async search(query, { limit, filters, strategy = {}, position }) {
+    const window = this.dateWindow(filters, strategy);
+    const page = await synthesisEvidenceService.searchReviews(query, {
+      limit,
+      page: position.page,
+      cursorMark: position.cursorMark,
+      yearFrom: window?.start ? window.start.getUTCFullYear() : null,
+      yearTo: window?.end ? window.end.getUTCFullYear() : null,
+      europePmcDateClause: dateWindowService.toEuropePMCTerm(window)
+    });
+
+    return {
+      records: page.reviews,
+      total: page.total,
+      next: page.next ? { offset: position.offset + page.reviews.length, ...page.next } : null
+    };
+  }
+
+  async getById(id) {
+    return synthesisEvidenceService.getReview(id);
+  }
+
+  async health() {
+    await synthesisEvidenceService.ping();
+  }
+}
+
+module.exports = new SynthesisProvider();
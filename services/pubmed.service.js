@@ -0,0 +1,146 @@
+/**
+ * PubMed Service
+ *
+ * Fetches full PubMed records through NCBI E-utilities efetch and parses the
+ * XML with a real XML parser, extracting what esummary does not provide:
+ * - Abstracts (including structured abstracts with section labels)
+ * - MeSH headings (with major-topic flags and qualifiers)
+ * - Author keywords
+ * - Publication types
+ *
+ * API: https://www.ncbi.nlm.nih.gov/books/NBK25499/
+ */
+
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+
+class PubMedService {
+  constructor() {
+    this.baseUrl = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils';
+    this.parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      textNodeName: '#text',
+      parseTagValue: false,
+      // Keep inline markup (<i>, <sup>, ...) inside these as raw text
+      stopNodes: ['*.AbstractText', '*.ArticleTitle', '*.Keyword'],
+      isArray: (name) => [
+        'PubmedArticle', 'AbstractText', 'PublicationType',
+        'MeshHeading', 'QualifierName', 'KeywordList', 'Keyword'
+      ].includes(name)
+    });
+  }
+
+  /**
+   * Fetch abstracts, MeSH headings, keywords and publication types
+   * @param {Array<string>} ids - PMIDs
+   * @returns {Promise<object>} Map of PMID -> { abstract, meshTerms, meshHeadings, keywords, publicationTypes }
+   */
+  async fetchDetails(ids) {
+    if (!ids || ids.length === 0) return {};
+
+    const response = await axios.get(`${this.baseUrl}/efetch.fcgi`, {
+      params: {
+        db: 'pubmed',
+        id: ids.join(','),
+        retmode: 'xml',
+        api_key: process.env.NCBI_API_KEY
+      },
+      timeout: 15000,
+      responseType: 'text'
+    });
+
+    return this.parseArticles(response.data);
+  }
+
+  /**
+   * Parse an efetch PubmedArticleSet document
+   * @param {string} xml - efetch XML
+   * @returns {object} Map of PMID -> details
+   */
+  parseArticles(xml) {
+    const doc = this.parser.parse(xml);
+    const articles = doc?.PubmedArticleSet?.PubmedArticle || [];
+    const details = {};
+
+    for (const entry of articles) {
+      const citation = entry.MedlineCitation || {};
+      const article = citation.Article || {};
+      const pmid = this.textOf(citation.PMID);
+      if (!pmid) continue;
+
+      const meshHeadings = (citation.MeshHeadingList?.MeshHeading || []).map(heading => ({
+        descriptor: this.textOf(heading.DescriptorName),
+        majorTopic: heading.DescriptorName?.['@_MajorTopicYN'] === 'Y',
+        qualifiers: (heading.QualifierName || []).map(q => this.textOf(q)).filter(Boolean)
+      })).filter(heading => heading.descriptor);
+
+      details[pmid] = {
+        abstract: this.parseAbstract(article.Abstract),
+        meshHeadings,
+        meshTerms: meshHeadings.map(heading => heading.descriptor),
+        keywords: (citation.KeywordList || [])
+          .flatMap(list => list.Keyword || [])
+          .map(keyword => this.cleanMarkup(this.textOf(keyword)))
+          .filter(Boolean),
+        publicationTypes: (article.PublicationTypeList?.PublicationType || [])
+          .map(type => this.textOf(type))
+          .filter(Boolean)
+      };
+    }
+
+    return details;
+  }
+
+  /**
+   * Join AbstractText sections, prefixing structured sections with their label
+   * @param {object} abstractNode - Parsed <Abstract> element
+   * @returns {string|null} Abstract text
+   */
+  parseAbstract(abstractNode) {
+    const sections = abstractNode?.AbstractText || [];
+
+    const parts = sections.map(section => {
+      const text = this.cleanMarkup(this.textOf(section));
+      if (!text) return null;
+      const label = typeof section === 'object' ? section['@_Label'] : null;
+      return label ? `${label}: ${text}` : text;
+    }).filter(Boolean);
+
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
+  /**
+   * Get the text content of a parsed node
+   * @param {any} node - Parsed node (string or object with #text)
+   * @returns {string|null} Text
+   */
+  textOf(node) {
+    if (node === undefined || node === null) return null;
+    if (typeof node === 'string' || typeof node === 'number') return String(node);
+    if (node['#text'] !== undefined) return String(node['#text']);
+    return null;
+  }
+
+  /**
+   * Strip inline tags and decode XML entities from raw stop-node content
+   * @param {string} text - Raw content
+   * @returns {string|null} Plain text
+   */
+  cleanMarkup(text) {
+    if (!text) return null;
+    return text
+      .replace(/<[^>]+>/g, '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+      .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = new PubMedService();
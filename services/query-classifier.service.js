@@ -0,0 +1,219 @@
+/**
+ * Query Classifier Service
+ *
+ * A small local model that predicts a query's routing type (trial, recent,
+ * synthesis, drug, condition, mechanism, guidelines, general) for
+ * SmartRoutingService. TF-IDF features over word-boundary tokens and bigrams
+ * feed a multinomial logistic regression trained at startup on the bundled
+ * labeled set (resources/labeled-queries.json) - no external service needed.
+ *
+ * Tokens are whole words, so "atrial" never looks like "trial" and "renewal"
+ * never looks like "new". Years are mapped to relative features (this year,
+ * last year, older) rather than hard-coded values.
+ *
+ * Evaluate with: npm run evaluate:classifier
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LABELED_QUERIES_PATH = path.join(__dirname, '..', 'resources', 'labeled-queries.json');
+
+// Training settings (batch gradient descent on softmax cross-entropy)
+const EPOCHS = 300;
+const LEARNING_RATE = 2;
+const L2_PENALTY = 0.001;
+
+// Below this probability the caller should fall back to keyword rules
+const MIN_CONFIDENCE = 0.2;
+
+class QueryClassifierService {
+  constructor() {
+    this.model = null;
+  }
+
+  /**
+   * Split a query into word-boundary tokens and bigrams
+   * @param {string} query - Search query
+   * @returns {Array<string>} Features
+   */
+  tokenize(query) {
+    const currentYear = new Date().getFullYear();
+    const words = (query || '').toLowerCase().match(/[a-z0-9]+(?:[-'][a-z0-9]+)*/g) || [];
+
+    const tokens = words.map(word => {
+      if (/^nct\d{8}$/.test(word)) return '__nct_id__';
+      if (/^(19|20)\d{2}$/.test(word)) {
+        const age = currentYear - parseInt(word, 10);
+        if (age <= 0) return '__year_current__';
+        if (age === 1) return '__year_last__';
+        return '__year_past__';
+      }
+      // Light plural stemming so "trials" matches "trial"
+      if (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('is')) {
+        return word.slice(0, -1);
+      }
+      return word;
+    });
+
+    const bigrams = tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`);
+    // Word prefixes generalize across inflections ("recommended" / "recommendations")
+    const prefixes = tokens.filter(token => token.length > 6 && !token.startsWith('__')).map(token => `${token.substring(0, 6)}~`);
+    return [...tokens, ...bigrams, ...prefixes];
+  }
+
+  /**
+   * Fit the vocabulary, IDF weights and regression weights
+   * @param {Array<object>} examples - [{ query, type }]
+   * @returns {object} Model { labels, vocabulary, idf, weights, bias }
+   */
+  train(examples) {
+    const labels = [...new Set(examples.map(example => example.type))].sort();
+    const documents = examples.map(example => this.tokenize(example.query));
+
+    // Vocabulary and document frequencies
+    const documentFrequency = new Map();
+    for (const tokens of documents) {
+      for (const token of new Set(tokens)) {
+        documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+      }
+    }
+    const vocabulary = new Map([...documentFrequency.keys()].map((token, i) => [token, i]));
+    const idf = new Float64Array(vocabulary.size);
+    for (const [token, index] of vocabulary) {
+      idf[index] = Math.log((1 + documents.length) / (1 + documentFrequency.get(token))) + 1;
+    }
+
+    const model = {
+      labels,
+      vocabulary,
+      idf,
+      weights: labels.map(() => new Float64Array(vocabulary.size)),
+      bias: new Float64Array(labels.length)
+    };
+
+    const vectors = documents.map(tokens => this.vectorize(tokens, model));
+    const targets = examples.map(example => labels.indexOf(example.type));
+
+    for (let epoch = 0; epoch < EPOCHS; epoch++) {
+      const weightGradients = labels.map(() => new Float64Array(vocabulary.size));
+      const biasGradients = new Float64Array(labels.length);
+
+      vectors.forEach((vector, i) => {
+        const probabilities = this.softmax(this.scores(vector, model));
+        probabilities.forEach((probability, k) => {
+          const error = probability - (k === targets[i] ? 1 : 0);
+          biasGradients[k] += error;
+          for (const [index, value] of vector) {
+            weightGradients[k][index] += error * value;
+          }
+        });
+      });
+
+      for (let k = 0; k < labels.length; k++) {
+        model.bias[k] -= LEARNING_RATE * biasGradients[k] / vectors.length;
+        for (let j = 0; j < vocabulary.size; j++) {
+          const gradient = weightGradients[k][j] / vectors.length + L2_PENALTY * model.weights[k][j];
+          model.weights[k][j] -= LEARNING_RATE * gradient;
+        }
+      }
+    }
+
+    return model;
+  }
+
+  /**
+   * L2-normalized sparse TF-IDF vector
+   * @param {Array<string>} tokens - Features
+   * @param {object} model - Trained model
+   * @returns {Map<number, number>} Feature index -> value (unknown tokens are dropped)
+   */
+  vectorize(tokens, model) {
+    const vector = new Map();
+    for (const token of tokens) {
+      const index = model.vocabulary.get(token);
+      if (index === undefined) continue;
+      vector.set(index, (vector.get(index) || 0) + model.idf[index]);
+    }
+
+    const norm = Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+    if (norm > 0) {
+      for (const [index, value] of vector) vector.set(index, value / norm);
+    }
+    return vector;
+  }
+
+  /**
+   * Linear score per label
+   * @param {Map<number, number>} vector - Sparse feature vector
+   * @param {object} model - Trained model
+   * @returns {Array<number>} Scores in model.labels order
+   */
+  scores(vector, model) {
+    return model.labels.map((label, k) => {
+      let score = model.bias[k];
+      for (const [index, value] of vector) score += model.weights[k][index] * value;
+      return score;
+    });
+  }
+
+  /**
+   * Convert scores to probabilities
+   * @param {Array<number>} scores - Label scores
+   * @returns {Array<number>} Probabilities summing to 1
+   */
+  softmax(scores) {
+    const max = Math.max(...scores);
+    const exps = scores.map(score => Math.exp(score - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return exps.map(value => value / sum);
+  }
+
+  /**
+   * Load the bundled labeled query set
+   * @returns {Array<object>} [{ query, type }]
+   */
+  loadExamples() {
+    return JSON.parse(fs.readFileSync(LABELED_QUERIES_PATH, 'utf8')).examples;
+  }
+
+  /**
+   * Train on the bundled set on first use
+   * @returns {object} Model
+   */
+  getModel() {
+    if (!this.model) {
+      const examples = this.loadExamples();
+      const started = Date.now();
+      this.model = this.train(examples);
+      console.log(`Query classifier trained on ${examples.length} labeled queries in ${Date.now() - started}ms`);
+    }
+    return this.model;
+  }
+
+  /**
+   * Predict a query's routing type
+   * @param {string} query - Search query
+   * @param {object} model - Model to use (defaults to the bundled one)
+   * @returns {object} { type, probability, ranked: [{ type, probability }], knownFeatures, confident }
+   */
+  classify(query, model = this.getModel()) {
+    const vector = this.vectorize(this.tokenize(query), model);
+    const probabilities = this.softmax(this.scores(vector, model));
+
+    const ranked = model.labels
+      .map((type, k) => ({ type, probability: Math.round(probabilities[k] * 1000) / 1000 }))
+      .sort((a, b) => b.probability - a.probability);
+
+    return {
+      type: ranked[0].type,
+      probability: ranked[0].probability,
+      ranked,
+      knownFeatures: vector.size,
+      // With no known words the prediction is just the class prior
+      confident: vector.size > 0 && ranked[0].probability >= MIN_CONFIDENCE
+    };
+  }
+}
+
+module.exports = new QueryClassifierService();
@@ -0,0 +1,201 @@
+/**
+ * Ranking Service
+ *
+ * Orders merged multi-source results with a weighted score fusion:
+ * - rrf: reciprocal rank fusion of each source's own result order
+ * - bm25: BM25 text match of the query against title (boosted) and abstract
+ * - recency: exponential decay on publication year
+ * - evidence: evidence level weight from evidence-grading.service.js
+ * - citations: log-scaled citation count
+ *
+ * Every component is normalized to 0-1 within the result set, so the final
+ * score is also 0-1. Each article gets a `ranking` breakdown explaining
+ * where it landed.
+ */
+
+const evidenceGrading = require('./evidence-grading.service');
+
+const DEFAULT_WEIGHTS = {
+  rrf: 0.3,
+  bm25: 0.3,
+  recency: 0.1,
+  evidence: 0.2,
+  citations: 0.1
+};
+
+// Standard RRF constant (Cormack et al., 2009)
+const RRF_K = 60;
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Title terms count this many times in the document
+const TITLE_BOOST = 3;
+// Score halves every this many years
+const RECENCY_HALF_LIFE_YEARS = 5;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'vs', 'versus', 'was', 'were',
+  'what', 'which', 'with', 'how', 'does', 'do', 'can', 'should'
+]);
+
+class RankingService {
+  constructor() {
+    this.weights = this.parseWeights(process.env.RANKING_WEIGHTS);
+  }
+
+  /**
+   * Parse weight overrides like "bm25=0.4,citations=0"
+   * @param {string} value - RANKING_WEIGHTS env var
+   * @returns {object} Weights
+   */
+  parseWeights(value) {
+    const weights = { ...DEFAULT_WEIGHTS };
+    if (!value) return weights;
+
+    for (const pair of value.split(',')) {
+      const [key, raw] = pair.split('=').map(part => part.trim());
+      const weight = parseFloat(raw);
+      if (key in weights && Number.isFinite(weight) && weight >= 0) {
+        weights[key] = weight;
+      } else {
+        console.warn(`Ignoring invalid RANKING_WEIGHTS entry: ${pair}`);
+      }
+    }
+
+    return weights;
+  }
+
+  /**
+   * Split text into lowercase terms (with term frequency preserved)
+   * @param {string} text - Text to tokenize
+   * @returns {Array<string>} Terms
+   */
+  tokenize(text) {
+    const words = (text || '').toLowerCase().match(/[a-z0-9][a-z0-9-]*/g) || [];
+    return words
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+      // Light plural stemming so "statins" matches "statin"
+      .map(word => (word.length > 4 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Reciprocal rank fusion over the ranks an article had in each source
+   * @param {object} sourceRanks - Map of source -> 1-based rank
+   * @returns {number} Raw RRF score
+   */
+  reciprocalRankFusion(sourceRanks) {
+    return Object.values(sourceRanks || {})
+      .reduce((sum, rank) => sum + 1 / (RRF_K + rank), 0);
+  }
+
+  /**
+   * BM25 scores of the query against every article, using the result set as the corpus
+   * @param {string} query - Search query
+   * @param {Array} articles - Articles
+   * @returns {Array<number>} Raw BM25 score per article
+   */
+  bm25Scores(query, articles) {
+    const queryTerms = [...new Set(this.tokenize(query))];
+    if (queryTerms.length === 0) return articles.map(() => 0);
+
+    const docs = articles.map(article => {
+      const titleTerms = this.tokenize(article.title);
+      const terms = [
+        ...Array(TITLE_BOOST).fill(titleTerms).flat(),
+        ...this.tokenize(article.abstract)
+      ];
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+      return { length: terms.length, frequencies };
+    });
+
+    const avgLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1) || 1;
+
+    const idf = {};
+    for (const term of queryTerms) {
+      const df = docs.filter(doc => doc.frequencies.has(term)).length;
+      idf[term] = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    }
+
+    return docs.map(doc => queryTerms.reduce((score, term) => {
+      const tf = doc.frequencies.get(term) || 0;
+      if (tf === 0) return score;
+      const norm = tf * (BM25_K1 + 1) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength));
+      return score + idf[term] * norm;
+    }, 0));
+  }
+
+  /**
+   * Recency score (1 = this year, 0.5 after one half-life)
+   * @param {number} year - Publication year
+   * @param {number} currentYear - Reference year
+   * @returns {number} 0-1, or 0 when the year is unknown
+   */
+  recencyScore(year, currentYear) {
+    if (!year) return 0;
+    const age = Math.max(0, currentYear - year);
+    return Math.pow(0.5, age / RECENCY_HALF_LIFE_YEARS);
+  }
+
+  /**
+   * Rank merged results
+   * @param {string} query - Search query
+   * @param {Array} articles - Deduplicated articles with `sourceRanks`
+   * @param {object} options - { weights } to override the configured weights
+   * @returns {Array} New array, best first, each article with a `ranking` breakdown:
+   *   { rank, score, components: { rrf, bm25, recency, evidence, citations }, weights }
+   */
+  rank(query, articles, options = {}) {
+    if (!articles || articles.length === 0) return [];
+
+    const weights = { ...this.weights, ...(options.weights || {}) };
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0) || 1;
+    const currentYear = new Date().getFullYear();
+
+    const rrf = articles.map(article => this.reciprocalRankFusion(article.sourceRanks));
+    const bm25 = this.bm25Scores(query, articles);
+    const citations = articles.map(article => Math.log1p(article.citationCount || 0));
+
+    // Scale raw scores to 0-1 by the best in the result set
+    const scale = values => {
+      const max = Math.max(...values);
+      return max > 0 ? values.map(value => value / max) : values.map(() => 0);
+    };
+    const rrfNorm = scale(rrf);
+    const bm25Norm = scale(bm25);
+    const citationsNorm = scale(citations);
+
+    const round = value => Math.round(value * 1000) / 1000;
+
+    const scored = articles.map((article, i) => {
+      const components = {
+        rrf: round(rrfNorm[i]),
+        bm25: round(bm25Norm[i]),
+        recency: round(this.recencyScore(article.year, currentYear)),
+        evidence: round(evidenceGrading.rankingWeight(article.evidence)),
+        citations: round(citationsNorm[i])
+      };
+
+      const score = Object.keys(weights)
+        .reduce((sum, key) => sum + weights[key] * components[key], 0) / totalWeight;
+
+      return {
+        ...article,
+        ranking: { rank: null, score: round(score), components, weights }
+      };
+    });
+
+    // Stable sort: ties keep source order
+    scored.sort((a, b) => b.ranking.score - a.ranking.score);
+    scored.forEach((article, i) => {
+      article.ranking.rank = i + 1;
+    });
+
+    return scored;
+  }
+}
+
+module.exports = new RankingService();
@@ -0,0 +1,305 @@
+/**
+ * Record Linkage Service
+ *
+ * Finds canonical records from different sources that describe the same work
+ * and merges each group into a single record.
+ *
+ * Records are linked when they share any identifier (PMID, PMCID, DOI,
+ * NCT ID), when a preprint names the DOI of its journal version, or - failing
+ * identifiers - when title, year and first author match fuzzily. Records with
+ * conflicting identifiers (two different PMIDs, DOIs or NCT IDs) are never
+ * linked.
+ *
+ * A trial's registry record is attached to one publication: the first one its
+ * registry entry lists by PMID or whose abstract names exactly its NCT ID.
+ * These references only attach the registry record - a results paper and its
+ * secondary analyses cite the same trial but stay separate records.
+ *
+ * Merging prefers fields from the most curated source (PubMed first), takes
+ * the longest abstract and highest citation count, unions keyword-style lists
+ * and keeps a `sources` array of every provider that returned the work.
+ * A preprint merged with its journal version counts as peer reviewed and
+ * keeps its preprint details.
+ */
+
+const articleNormalizer = require('./article-normalizer.service');
+
+// Earlier sources win when both records have a value
+const SOURCE_PRIORITY = [
+  'PubMed', 'Europe PMC', 'Europe PMC Reviews', 'Epistemonikos', 'OpenAlex',
+  'medRxiv', 'bioRxiv', 'ClinicalTrials.gov'
+];
+
+// Minimum title token overlap (Jaccard) for a fuzzy match
+const TITLE_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Disjoint-set over record indices
+ */
+class UnionFind {
+  constructor(size) {
+    this.parent = Array.from({ length: size }, (_, i) => i);
+  }
+
+  find(i) {
+    while (this.parent[i] !== i) {
+      this.parent[i] = this.parent[this.parent[i]];
+      i = this.parent[i];
+    }
+    return i;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    // Keep the earlier record as the root so groups stay in result order
+    if (rootA < rootB) this.parent[rootB] = rootA;
+    else if (rootB < rootA) this.parent[rootA] = rootB;
+  }
+}
+
+class RecordLinkageService {
+  /**
+   * Identifier keys a record can be linked on
+   * @param {object} record - Canonical record
+   * @returns {Array<string>} Keys like 'pmid:123' or 'doi:10.1/abc'
+   */
+  getLinkKeys(record) {
+    const keys = [];
+    if (record.pmid) keys.push(`pmid:${record.pmid}`);
+    if (record.pmcid) keys.push(`pmcid:${record.pmcid.toUpperCase()}`);
+    if (record.doi) keys.push(`doi:${record.doi.toLowerCase()}`);
+    if (record.nctId) keys.push(`nct:${record.nctId.toUpperCase()}`);
+
+    // Preprints name the DOI of their journal version once it is published
+    if (record.preprint?.publishedDoi) keys.push(`doi:${record.preprint.publishedDoi.toLowerCase()}`);
+
+    return keys;
+  }
+
+  /**
+   * Identifiers that must agree for records to be the same work
+   * @param {object} record - Canonical record
+   * @returns {object} { pmids, dois, ncts } - Sets
+   */
+  getIdentity(record) {
+    return {
+      pmids: new Set(record.pmid ? [String(record.pmid)] : []),
+      dois: new Set([record.doi, record.preprint?.publishedDoi].filter(Boolean).map(doi => doi.toLowerCase())),
+      ncts: new Set(record.nctId ? [record.nctId.toUpperCase()] : [])
+    };
+  }
+
+  /**
+   * Whether two groups' identifiers conflict (both have some and none are shared)
+   */
+  conflicts(a, b) {
+    return ['pmids', 'dois', 'ncts'].some(field =>
+      a[field].size > 0 && b[field].size > 0 && ![...a[field]].some(value => b[field].has(value)));
+  }
+
+  /**
+   * The trial a publication's abstract names, when it names exactly one
+   * @param {object} record - Canonical record
+   * @returns {string|null} NCT ID
+   */
+  getMentionedTrial(record) {
+    if (record.nctId || !record.abstract) return null;
+    const nctIds = new Set((record.abstract.match(/\bNCT\d{8}\b/gi) || []).map(id => id.toUpperCase()));
+    return nctIds.size === 1 ? [...nctIds][0] : null;
+  }
+
+  /**
+   * Lowercase title tokens without punctuation
+   * @param {string} title - Title
+   * @returns {Set<string>} Tokens
+   */
+  titleTokens(title) {
+    return new Set((title || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+  }
+
+  /**
+   * Name tokens of the first author (handles "Smith J" and "John Smith")
+   * @param {object} record - Canonical record
+   * @returns {Set<string>} Tokens longer than an initial
+   */
+  firstAuthorTokens(record) {
+    const name = record.authors?.[0]?.name || '';
+    return new Set((name.toLowerCase().match(/[a-zÀ-ɏ'-]+/g) || []).filter(token => token.length > 1));
+  }
+
+  /**
+   * Whether two records without a shared identifier are the same work
+   * @param {object} a - Candidate { record, tokens, authors }
+   * @param {object} b - Candidate { record, tokens, authors }
+   * @returns {boolean}
+   */
+  isFuzzyMatch(a, b) {
+    if (!a.record.year || !b.record.year || Math.abs(a.record.year - b.record.year) > 1) return false;
+    if (a.tokens.size === 0 || b.tokens.size === 0) return false;
+
+    const shared = [...a.tokens].filter(token => b.tokens.has(token)).length;
+    const similarity = shared / (a.tokens.size + b.tokens.size - shared);
+    if (similarity < TITLE_SIMILARITY_THRESHOLD) return false;
+
+    // Same title but no authors to compare - require the exact year
+    if (a.authors.size === 0 || b.authors.size === 0) {
+      return similarity === 1 && a.record.year === b.record.year;
+    }
+
+    return [...a.authors].some(token => b.authors.has(token));
+  }
+
+  /**
+   * Group records that describe the same work and merge each group
+   * @param {Array} records - Canonical records from every source, in result order
+   * @returns {Array} Merged records, in order of each group's first record
+   */
+  link(records) {
+    if (!records || records.length === 0) return [];
+
+    const groups = new UnionFind(records.length);
+
+    // Identifiers of each group, by root
+    const identities = records.map(record => this.getIdentity(record));
+    const tryUnion = (a, b) => {
+      const rootA = groups.find(a);
+      const rootB = groups.find(b);
+      if (rootA === rootB) return true;
+      if (this.conflicts(identities[rootA], identities[rootB])) return false;
+
+      groups.union(rootA, rootB);
+      const root = groups.find(rootA);
+      const other = root === rootA ? rootB : rootA;
+      for (const field of ['pmids', 'dois', 'ncts']) {
+        identities[other][field].forEach(value => identities[root][field].add(value));
+      }
+      return true;
+    };
+
+    // Identifier matches
+    const firstByKey = new Map();
+    records.forEach((record, i) => {
+      for (const key of this.getLinkKeys(record)) {
+        if (firstByKey.has(key)) tryUnion(firstByKey.get(key), i);
+        else firstByKey.set(key, i);
+      }
+    });
+
+    // Attach each registry record to one publication of its trial
+    const attached = new Set();
+    records.forEach((record, i) => {
+      if (!record.nctId || attached.has(groups.find(i))) return;
+
+      const nctId = record.nctId.toUpperCase();
+      const publicationPmids = new Set((record.trial?.publications || [])
+        .map(publication => publication.pmid && String(publication.pmid))
+        .filter(Boolean));
+
+      const publication = records.findIndex((candidate, j) =>
+        !candidate.nctId
+        && groups.find(j) !== groups.find(i)
+        && ((candidate.pmid && publicationPmids.has(String(candidate.pmid))) || this.getMentionedTrial(candidate) === nctId)
+        && !this.conflicts(identities[groups.find(j)], identities[groups.find(i)]));
+
+      if (publication !== -1 && tryUnion(i, publication)) {
+        attached.add(groups.find(i));
+      }
+    });
+
+    // Fuzzy title + year + first author matches (registry records have
+    // sponsor names as authors and registry titles, so they are skipped)
+    const candidates = records
+      .map((record, i) => ({
+        index: i,
+        record,
+        tokens: this.titleTokens(record.title),
+        authors: this.firstAuthorTokens(record)
+      }))
+      .filter(candidate => candidate.record.source !== 'ClinicalTrials.gov');
+
+    for (let i = 0; i < candidates.length; i++) {
+      for (let j = i + 1; j < candidates.length; j++) {
+        const a = candidates[i];
+        const b = candidates[j];
+        if (groups.find(a.index) === groups.find(b.index)) continue;
+        if (this.isFuzzyMatch(a, b)) tryUnion(a.index, b.index);
+      }
+    }
+
+    const grouped = new Map();
+    records.forEach((record, i) => {
+      const root = groups.find(i);
+      if (!grouped.has(root)) grouped.set(root, []);
+      grouped.get(root).push(record);
+    });
+
+    return [...grouped.values()].map(group => (group.length === 1 ? group[0] : this.merge(group)));
+  }
+
+  /**
+   * Merge records describing the same work into one canonical record
+   * @param {Array} group - Records to merge
+   * @returns {object} Merged record
+   */
+  merge(group) {
+    const priority = record => {
+      const index = SOURCE_PRIORITY.indexOf(record.source);
+      return index === -1 ? SOURCE_PRIORITY.length : index;
+    };
+    const ordered = [...group].sort((a, b) => priority(a) - priority(b));
+    const primary = ordered[0];
+
+    const first = field => ordered.map(record => record[field]).find(value => value !== null && value !== undefined) ?? null;
+    const union = field => [...new Set(ordered.flatMap(record => record[field] || []))];
+    const longest = (records, field) => records
+      .map(record => record[field])
+      .filter(Boolean)
+      .reduce((best, value) => (value.length > (best?.length || 0) ? value : best), null);
+
+    // Prefer a literature source's abstract and authors over a registry's summary and sponsor
+    const literature = ordered.filter(record => record.source !== 'ClinicalTrials.gov');
+    const authorSource = literature.find(record => record.authors?.length > 0) || primary;
+    const counts = ordered.map(record => record.citationCount).filter(count => typeof count === 'number');
+
+    const merged = {
+      ...primary,
+      pmid: first('pmid'),
+      pmcid: first('pmcid'),
+      doi: first('doi'),
+      nctId: first('nctId'),
+      openalexId: first('openalexId'),
+      abstract: longest(literature, 'abstract') || longest(ordered, 'abstract'),
+      authors: authorSource.authors,
+      authorString: authorSource.authorString,
+      journal: first('journal'),
+      publicationDate: first('publicationDate'),
+      year: first('year'),
+      publicationTypes: union('publicationTypes'),
+      keywords: union('keywords'),
+      meshTerms: union('meshTerms'),
+      citationCount: counts.length > 0 ? Math.max(...counts) : null,
+      access: {
+        isOpenAccess: ordered.some(record => record.access?.isOpenAccess),
+        fullTextUrl: ordered.map(record => record.access?.fullTextUrl).find(Boolean) || null,
+        pdfUrl: ordered.map(record => record.access?.pdfUrl).find(Boolean) || null,
+        license: ordered.map(record => record.access?.license).find(Boolean) || null
+      },
+      url: primary.url,
+      sources: [...new Set(ordered.flatMap(record => record.sources || [record.source]))],
+      trial: first('trial'),
+      // Peer reviewed as soon as any version is (the journal version of a preprint)
+      peerReviewed: ordered.some(record => record.peerReviewed !== false),
+      preprint: first('preprint')
+    };
+
+    // Keep every source's rank for rank fusion
+    if (group.some(record => record.sourceRanks)) {
+      merged.sourceRanks = Object.assign({}, ...[...group].reverse().map(record => record.sourceRanks || {}));
+    }
+
+    return articleNormalizer.finalizeRecord(merged);
+  }
+}
+
+module.exports = new RecordLinkageService();
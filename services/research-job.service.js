@@ -0,0 +1,227 @@
+/**
+ * Research Job Service
+ *
+ * Tracks long-running deep research runs as asynchronous jobs.
+ * Each job records stage-by-stage progress, can be followed live by
+ * subscribers (used for Server-Sent Events), cancelled mid-run, and
+ * keeps its final report for later retrieval until it expires.
+ *
+ * Jobs live in memory; finished jobs are cleared after RESEARCH_JOB_TTL_MINUTES
+ * (default: 60).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class ResearchJobService {
+  constructor() {
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.ttl = (parseInt(process.env.RESEARCH_JOB_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+    // Clear expired jobs every 10 minutes
+    setInterval(() => this.clearExpired(), 10 * 60 * 1000);
+  }
+
+  /**
+   * Create a new job
+   * @param {object} params - Job input (query, filters)
+   * @returns {object} Job
+   */
+  create(params) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      params,
+      status: 'queued',
+      stage: 'queued',
+      message: 'Waiting to start',
+      progress: 0,
+      events: [],
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {object|null} Job or null
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Run a job in the background
+   * @param {object} job - Job from create()
+   * @param {Function} runFn - async (job, reporter) => result
+   */
+  start(job, runFn) {
+    job.status = 'running';
+
+    const reporter = {
+      signal: job.controller.signal,
+      update: (stage, message, progress, details) => this.update(job.id, { stage, message, progress, details }),
+      throwIfCancelled: () => {
+        if (job.controller.signal.aborted) throw new JobCancelledError();
+      }
+    };
+
+    Promise.resolve()
+      .then(() => runFn(job, reporter))
+      .then(result => {
+        if (job.controller.signal.aborted) return;
+        job.result = result;
+        this.finish(job, 'completed', 'Research complete');
+      })
+      .catch(error => {
+        if (job.controller.signal.aborted) return;
+        console.error(`Research job ${job.id} failed:`, error.message);
+        job.error = {
+          error: error.message,
+          retryable: error.retryable !== undefined ? error.retryable : true
+        };
+        this.finish(job, 'failed', error.message);
+      });
+  }
+
+  /**
+   * Record progress for a running job
+   * @param {string} id - Job ID
+   * @param {object} update - { stage, message, progress (0-100), details }
+   */
+  update(id, { stage, message, progress, details }) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'running') return;
+
+    job.stage = stage;
+    job.message = message;
+    if (typeof progress === 'number') job.progress = progress;
+    job.updatedAt = new Date().toISOString();
+
+    const event = {
+      stage,
+      message,
+      progress: job.progress,
+      details: details || null,
+      at: job.updatedAt
+    };
+    job.events.push(event);
+
+    console.log(`🔬 Job ${id}: [${stage}] ${message}`);
+    this.events.emit(id, { type: 'progress', data: event });
+  }
+
+  /**
+   * Move a job into a terminal state and notify subscribers
+   * @param {object} job - Job
+   * @param {string} status - 'completed' | 'failed' | 'cancelled'
+   * @param {string} message - Final message
+   */
+  finish(job, status, message) {
+    job.status = status;
+    job.stage = status;
+    job.message = message;
+    if (status === 'completed') job.progress = 100;
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+
+    this.events.emit(job.id, { type: status, data: this.toPublic(job) });
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {object|null} Job or null if not found
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (!this.isFinished(job)) {
+      job.controller.abort();
+      this.finish(job, 'cancelled', 'Research cancelled');
+      console.log(`🔬 Job ${id} cancelled`);
+    }
+    return job;
+  }
+
+  /**
+   * Check whether a job has reached a terminal state
+   * @param {object} job - Job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return ['completed', 'failed', 'cancelled'].includes(job.status);
+  }
+
+  /**
+   * Subscribe to a job's progress and terminal events
+   * @param {string} id - Job ID
+   * @param {Function} listener - ({ type, data }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(id, listener) {
+    this.events.on(id, listener);
+    return () => this.events.off(id, listener);
+  }
+
+  /**
+   * Public view of a job (result only once completed)
+   * @param {object} job - Job
+   * @returns {object} Job status
+   */
+  toPublic(job) {
+    return {
+      jobId: job.id,
+      query: job.params.query,
+      status: job.status,
+      stage: job.stage,
+      message: job.message,
+      progress: job.progress,
+      events: job.events,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      finishedAt: job.finishedAt,
+      result: job.status === 'completed' ? job.result : null,
+      error: job.error
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  clearExpired() {
+    const now = Date.now();
+    let cleared = 0;
+
+    for (const [id, job] of this.jobs.entries()) {
+      if (job.finishedAt && now - new Date(job.finishedAt).getTime() > this.ttl) {
+        this.jobs.delete(id);
+        this.events.removeAllListeners(id);
+        cleared++;
+      }
+    }
+
+    if (cleared > 0) {
+      console.log(`Research jobs: Cleared ${cleared} expired jobs`);
+    }
+  }
+}
+
+module.exports = new ResearchJobService();
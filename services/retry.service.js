@@ -0,0 +1,46 @@
+/**
+ * Retry Service
+ *
+ * Shared retry helper for outbound API calls (search providers, Claude API).
+ * Retries network errors, 5xx responses and 429 rate limits with exponential
+ * backoff; other 4xx responses are returned to the caller immediately.
+ */
+
+/**
+ * Run a request, retrying transient failures with exponential backoff
+ * @param {Function} fn - Async function performing the request
+ * @param {number} maxRetries - Total attempts
+ * @param {number} initialDelay - Delay before the first retry (ms), doubled each time
+ * @returns {Promise<*>} Result of fn
+ */
+const retryWithBackoff = async (fn, maxRetries = 3, initialDelay = 1000) => {
+  let lastError;
+
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+
+      // Don't retry on client errors (4xx) except 429 (rate limit)
+      if (error.response?.status >= 400 && error.response?.status < 500 && error.response?.status !== 429) {
+        throw error;
+      }
+
+      // If this was the last attempt, throw the error
+      if (attempt === maxRetries - 1) {
+        throw error;
+      }
+
+      // Calculate delay with exponential backoff
+      const delay = initialDelay * Math.pow(2, attempt);
+      console.log(`Retry attempt ${attempt + 1}/${maxRetries} after ${delay}ms delay`);
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  throw lastError;
+};
+
+module.exports = { retryWithBackoff };
@@ -0,0 +1,257 @@
+/**
+ * RxNorm Service
+ *
+ * Resolves drug names to RxNorm concepts through the NLM RxNav API, so a
+ * brand name, a generic name or a misspelling all lead to the same drug.
+ * API: https://lhncbc.nlm.nih.gov/RxNav/APIs/RxNormAPIs.html
+ *
+ * Features:
+ * - Exact and normalized name matching, then approximate matching for typos
+ * - Ingredients, generic and brand names of the resolved concept itself: an
+ *   ingredient is not credited with the combination products that contain it
+ * - No API key required
+ *
+ * Backends (RXNORM_MODE):
+ * - 'rxnav' (default): the live RxNav API
+ * - 'fixture': RxNav answers from a local JSON file (RXNORM_FIXTURE_PATH,
+ *   default: resources/fixtures/rxnorm-concepts.json), for development and
+ *   demos without network access. Only exact names resolve.
+ *
+ * Resolved drugs are cached for 7 days.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cacheService = require('./cache.service');
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '..', 'resources', 'fixtures', 'rxnorm-concepts.json');
+
+// Term types: ingredient, multiple ingredients (a combination), brand name and
+// branded drug ("amlodipine 5 MG Oral Tablet [Norvasc]")
+const INGREDIENT_TYPE = 'IN';
+const MULTI_INGREDIENT_TYPE = 'MIN';
+const BRAND_TYPE = 'BN';
+const BRANDED_DRUG_TYPE = 'SBD';
+
+const DRUG_CACHE_TTL = 7 * 24 * 60 * 60;
+
+class RxNormService {
+  constructor() {
+    this.baseUrl = (process.env.RXNAV_URL || 'https://rxnav.nlm.nih.gov/REST').replace(/\/$/, '');
+    this.rateLimitDelay = 100; // 10 requests/second (RxNav allows 20)
+    this.lastRequestTime = 0;
+    this.mode = process.env.RXNORM_MODE === 'fixture' ? 'fixture' : 'rxnav';
+    this.fixturePath = process.env.RXNORM_FIXTURE_PATH || DEFAULT_FIXTURE_PATH;
+    this.fixture = null;
+  }
+
+  /**
+   * Rate limiting
+   */
+  async respectRateLimit() {
+    const now = Date.now();
+    const timeSinceLastRequest = now - this.lastRequestTime;
+    if (timeSinceLastRequest < this.rateLimitDelay) {
+      await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay - timeSinceLastRequest));
+    }
+    this.lastRequestTime = Date.now();
+  }
+
+  /**
+   * GET an RxNav endpoint
+   */
+  async request(endpoint, params = {}) {
+    if (this.mode === 'fixture') {
+      return this.fixtureRequest(endpoint, params);
+    }
+
+    await this.respectRateLimit();
+    const response = await axios.get(`${this.baseUrl}${endpoint}`, { params, timeout: 10000 });
+    return response.data;
+  }
+
+  /**
+   * Answer an RxNav request from the fixture, in the API's response shape
+   */
+  fixtureRequest(endpoint, params) {
+    if (!this.fixture) {
+      this.fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    }
+    const concepts = this.fixture.concepts || {};
+
+    if (endpoint === '/rxcui.json') {
+      const rxcui = Object.keys(concepts)
+        .find(id => concepts[id].name.toLowerCase() === String(params.name).toLowerCase());
+      return { idGroup: rxcui ? { rxnormId: [rxcui] } : {} };
+    }
+    if (endpoint === '/approximateTerm.json') {
+      return { approximateGroup: {} };
+    }
+
+    const [, rxcui, resource] = endpoint.match(/^\/rxcui\/([^/]+)\/(\w+)\.json$/) || [];
+    const concept = concepts[rxcui];
+    if (resource === 'properties') {
+      return concept ? { properties: { rxcui, name: concept.name, tty: concept.tty } } : {};
+    }
+    if (resource === 'related') {
+      const conceptGroup = String(params.tty || '').split(' ').map(tty => ({
+        tty,
+        conceptProperties: (concept?.related?.[tty] || []).map(name => ({ name, tty }))
+      }));
+      return { relatedGroup: { rxcui, conceptGroup } };
+    }
+
+    throw new Error(`RxNorm fixture has no answer for ${endpoint}`);
+  }
+
+  /**
+   * Resolve a drug name
+   * @param {string} name - Brand or generic name
+   * @returns {Promise<object|null>} { rxcui, name, tty, ingredients, combination, genericNames,
+   *   brandNames, matchType, url }, or null when RxNorm has no match
+   *   - ingredients are the concept's own ingredient (IN) names; combination is
+   *     true when there are several (a combination product was entered)
+   *   - genericNames are the ingredient name, or for a combination its MIN name
+   */
+  async resolveDrug(name) {
+    const term = String(name || '').trim();
+    if (!term) return null;
+
+    const cacheKey = `rxnorm:${term.toLowerCase()}`;
+    const cached = cacheService.get(cacheKey);
+    if (cached) return cached.notFound ? null : cached;
+
+    console.log(`RxNorm: Resolving "${term}"...`);
+
+    let matchType = 'exact';
+    let rxcui = await this.findRxcui(term);
+    if (!rxcui) {
+      matchType = 'approximate';
+      rxcui = await this.findApproximateRxcui(term);
+    }
+
+    if (!rxcui) {
+      console.log(`RxNorm: No concept found for "${term}"`);
+      cacheService.set(cacheKey, { notFound: true }, DRUG_CACHE_TTL);
+      return null;
+    }
+
+    const [properties, related] = await Promise.all([
+      this.getProperties(rxcui),
+      this.getRelatedNames(rxcui)
+    ]);
+
+    // An ingredient concept is its own ingredient; anything else (brand,
+    // precise ingredient, MIN, clinical drug) has its ingredients as IN relations
+    const ingredients = properties?.tty === INGREDIENT_TYPE
+      ? [properties.name]
+      : related.ingredients;
+    const combination = ingredients.length > 1;
+
+    // An ingredient is related to every MIN and brand that contains it, so only
+    // the MIN and branded drugs with the concept's own ingredients are kept
+    // (names may carry a salt or release prefix: "24 HR metformin hydrochloride")
+    const patterns = ingredients.map(ingredient =>
+      new RegExp(`\\b${ingredient.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i'));
+    const sameIngredients = components => components.length === ingredients.length
+      && patterns.every(pattern => components.some(component => pattern.test(component)));
+
+    let genericNames = ingredients;
+    if (combination) {
+      const ownMin = properties?.tty === MULTI_INGREDIENT_TYPE
+        ? [properties.name]
+        : related.multiIngredientNames.filter(name => sameIngredients(name.split(' / ')));
+      genericNames = ownMin.length > 0 ? ownMin : [ingredients.join(' / ')];
+    }
+
+    const brandNames = properties?.tty === BRAND_TYPE
+      ? [properties.name]
+      : related.brandedDrugs
+        .filter(drug => sameIngredients(drug.components))
+        .map(drug => drug.brand);
+
+    const drug = {
+      rxcui,
+      name: properties?.name || term,
+      tty: properties?.tty || null,
+      ingredients: [...new Set(ingredients)],
+      combination,
+      genericNames: [...new Set(genericNames)],
+      brandNames: [...new Set(brandNames)],
+      matchType,
+      url: `https://mor.nlm.nih.gov/RxNav/search?searchBy=RXCUI&searchTerm=${rxcui}`
+    };
+
+    console.log(`RxNorm: "${term}" -> ${drug.name} (RxCUI ${rxcui}, ${matchType} match)`);
+    cacheService.set(cacheKey, drug, DRUG_CACHE_TTL);
+    return drug;
+  }
+
+  /**
+   * RxCUI for an exact or normalized name match
+   */
+  async findRxcui(term) {
+    // search=2: exact match first, then normalized
+    const data = await this.request('/rxcui.json', { name: term, search: 2 });
+    return data.idGroup?.rxnormId?.[0] || null;
+  }
+
+  /**
+   * RxCUI for the best approximate match (misspellings, partial names)
+   */
+  async findApproximateRxcui(term) {
+    const data = await this.request('/approximateTerm.json', { term, maxEntries: 5 });
+    const candidates = data.approximateGroup?.candidate || [];
+    // Candidates from other vocabularies have no RxNorm concept
+    const candidate = candidates.find(entry => entry.rxcui && (!entry.source || entry.source === 'RXNORM'))
+      || candidates.find(entry => entry.rxcui);
+    return candidate?.rxcui || null;
+  }
+
+  /**
+   * Name and term type of a concept
+   */
+  async getProperties(rxcui) {
+    const data = await this.request(`/rxcui/${rxcui}/properties.json`);
+    return data.properties || null;
+  }
+
+  /**
+   * Ingredient, MIN and branded drug names related to a concept
+   * @returns {Promise<object>} { ingredients, multiIngredientNames, brandedDrugs: [{ brand, components }] }
+   *   - components are the ingredient parts of the branded drug's name
+   */
+  async getRelatedNames(rxcui) {
+    const data = await this.request(`/rxcui/${rxcui}/related.json`, {
+      tty: [INGREDIENT_TYPE, MULTI_INGREDIENT_TYPE, BRANDED_DRUG_TYPE].join(' ')
+    });
+
+    const related = { ingredients: [], multiIngredientNames: [], brandedDrugs: [] };
+    for (const group of data.relatedGroup?.conceptGroup || []) {
+      const names = (group.conceptProperties || []).map(concept => concept.name).filter(Boolean);
+      if (group.tty === INGREDIENT_TYPE) related.ingredients.push(...names);
+      if (group.tty === MULTI_INGREDIENT_TYPE) related.multiIngredientNames.push(...names);
+      if (group.tty === BRANDED_DRUG_TYPE) {
+        for (const name of names) {
+          // "amlodipine 5 MG / benazepril 10 MG Oral Capsule [Lotrel]"
+          const match = name.match(/^(.*)\[([^\]]+)\]\s*$/);
+          if (!match) continue;
+          const components = match[1].split(' / ').map(part => part.trim());
+          related.brandedDrugs.push({ brand: match[2], components });
+        }
+      }
+    }
+    return related;
+  }
+
+  /**
+   * Check that RxNav answers
+   */
+  async ping() {
+    if (this.mode === 'fixture') return;
+    await axios.get(`${this.baseUrl}/version.json`, { timeout: 5000 });
+  }
+}
+
+module.exports = new RxNormService();
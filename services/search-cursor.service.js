@@ -0,0 +1,77 @@
+/**
+ * Search Cursor Service
+ *
+ * Encodes multi-source pagination state into an opaque, URL-safe cursor.
+ * The cursor carries each source's position for the next page, as returned
+ * by its provider (services/providers), e.g.:
+ * - pubmed: { offset }                  (esearch retstart)
+ * - europepmc: { offset, cursorMark }
+ * - openalex: { offset, page }
+ * - clinicaltrials: { offset, pageToken, total }  (only the first page reports a total)
+ *
+ * `offset` is the number of results the source already returned, so ranks
+ * stay comparable across pages. Sources missing from a cursor are exhausted.
+ * Cursors are bound to the query and filters they were issued for.
+ */
+
+const crypto = require('crypto');
+
+const CURSOR_VERSION = 1;
+
+class SearchCursorService {
+  /**
+   * Fingerprint of the search a cursor belongs to
+   * @param {string} query - Search query
+   * @param {object} filters - Search filters
+   * @returns {string} Short hash
+   */
+  fingerprint(query, filters) {
+    return crypto
+      .createHash('sha1')
+      .update(JSON.stringify({ query, filters: filters || {} }))
+      .digest('hex')
+      .substring(0, 12);
+  }
+
+  /**
+   * Encode per-source pagination state
+   * @param {object} state - Map of source -> position
+   * @param {string} query - Search query
+   * @param {object} filters - Search filters
+   * @returns {string|null} Cursor, or null when every source is exhausted
+   */
+  encode(state, query, filters) {
+    if (!state || Object.keys(state).length === 0) return null;
+
+    const payload = { v: CURSOR_VERSION, h: this.fingerprint(query, filters), s: state };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor issued by encode()
+   * @param {string} cursor - Cursor from a previous response
+   * @param {string} query - Search query (must match the one the cursor was issued for)
+   * @param {object} filters - Search filters (must match as well)
+   * @returns {object|null} Per-source state, or null if the cursor is invalid
+   */
+  decode(cursor, query, filters) {
+    if (typeof cursor !== 'string' || cursor.length === 0) return null;
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload?.v !== CURSOR_VERSION || payload.h !== this.fingerprint(query, filters)) return null;
+    if (!payload.s || typeof payload.s !== 'object') return null;
+
+    const valid = Object.values(payload.s).every(position =>
+      position && Number.isInteger(position.offset) && position.offset >= 0);
+
+    return valid ? payload.s : null;
+  }
+}
+
+module.exports = new SearchCursorService();
@@ -0,0 +1,302 @@
+/**
+ * Semantic Scholar Service
+ *
+ * Semantic Scholar's Academic Graph covers 200M+ papers with citation
+ * context, so it can say which citations are influential and summarise a
+ * paper in one sentence.
+ * API: https://api.semanticscholar.org/api-docs/graph
+ *
+ * Features:
+ * - Batch lookup by PMID/DOI (one request for up to 500 papers)
+ * - Influential citation counts (citations that build on the paper, not just mention it)
+ * - TLDR summaries
+ * - Reference and citation lists
+ * - Optional API key (SEMANTIC_SCHOLAR_API_KEY) for a dedicated rate limit
+ *
+ * Lookups are cached per paper through cacheService.cacheArticle, including
+ * papers Semantic Scholar doesn't know, so repeat searches cost no requests.
+ * Search pages enrich within a time budget: a lookup that runs over it keeps
+ * going in the background and fills the cache for later searches.
+ *
+ * Enriched articles get a `semanticScholar` field:
+ *   { paperId, url, citationCount, influentialCitationCount, referenceCount, tldr, fieldsOfStudy }
+ */
+
+const axios = require('axios');
+const cacheService = require('./cache.service');
+
+const PAPER_FIELDS = [
+  'paperId', 'externalIds', 'url', 'title', 'year', 'citationCount',
+  'influentialCitationCount', 'referenceCount', 'tldr', 'fieldsOfStudy'
+].join(',');
+
+// Fields for papers in reference/citation lists
+const LINKED_PAPER_FIELDS = 'paperId,externalIds,title,year,venue,citationCount';
+
+// The batch endpoint accepts at most 500 IDs
+const BATCH_SIZE = 500;
+
+// Papers are cached for 7 days, misses for 1 day (they may be added later)
+const PAPER_CACHE_TTL = 7 * 24 * 60 * 60;
+const MISS_CACHE_TTL = 24 * 60 * 60;
+
+class SemanticScholarService {
+  constructor() {
+    this.baseUrl = 'https://api.semanticscholar.org/graph/v1';
+    this.apiKey = process.env.SEMANTIC_SCHOLAR_API_KEY || null;
+    this.rateLimitDelay = 1000; // 1 request/second (the keyed limit; the shared pool is stricter)
+    this.lastRequestTime = 0;
+    this.enabled = process.env.SEMANTIC_SCHOLAR_ENABLED !== 'false';
+  }
+
+  /**
+   * Rate limiting
+   * Each call reserves the next free slot, so concurrent searches stay spaced out.
+   */
+  async respectRateLimit() {
+    const now = Date.now();
+    const wait = Math.max(0, this.lastRequestTime + this.rateLimitDelay - now);
+    this.lastRequestTime = now + wait;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Request headers (API key when configured)
+   */
+  getHeaders() {
+    return this.apiKey ? { 'x-api-key': this.apiKey } : {};
+  }
+
+  /**
+   * Semantic Scholar ID for an article ("PMID:123" or "DOI:10.1/abc")
+   * @param {object} article - Canonical record (or { pmid, doi })
+   * @returns {string|null} Paper ID, or null without a PMID or DOI
+   */
+  getPaperId(article) {
+    if (article?.pmid) return `PMID:${article.pmid}`;
+    if (article?.doi) return `DOI:${article.doi.toLowerCase()}`;
+    return null;
+  }
+
+  /**
+   * Look up papers, using the cache where possible
+   * @param {Array<string>} ids - Paper IDs from getPaperId
+   * @returns {Promise<Map>} ID -> paper (or null when Semantic Scholar doesn't have it)
+   */
+  async batchLookup(ids) {
+    const { papers, uncached } = this.getCachedPapers(ids);
+
+    for (let i = 0; i < uncached.length; i += BATCH_SIZE) {
+      const batch = uncached.slice(i, i + BATCH_SIZE);
+      await this.respectRateLimit();
+
+      console.log(`Semantic Scholar: Looking up ${batch.length} papers...`);
+      const response = await axios.post(`${this.baseUrl}/paper/batch`, { ids: batch }, {
+        params: { fields: PAPER_FIELDS },
+        headers: this.getHeaders(),
+        timeout: 10000
+      });
+
+      // Results are in request order, with null for unknown IDs
+      batch.forEach((id, j) => {
+        const paper = response.data?.[j] ? this.normalizePaper(response.data[j]) : null;
+        papers.set(id, paper);
+        if (paper) {
+          cacheService.cacheArticle(`s2:${id}`, paper, PAPER_CACHE_TTL);
+        } else {
+          cacheService.cacheArticle(`s2:${id}`, { notFound: true }, MISS_CACHE_TTL);
+        }
+      });
+    }
+
+    return papers;
+  }
+
+  /**
+   * Papers already in the cache
+   * @param {Array<string>} ids - Paper IDs from getPaperId
+   * @returns {object} { papers: Map of cached ID -> paper (or null), uncached: IDs to look up }
+   */
+  getCachedPapers(ids) {
+    const papers = new Map();
+    const uncached = [];
+
+    for (const id of new Set(ids.filter(Boolean))) {
+      const cached = cacheService.getCachedArticle(`s2:${id}`);
+      if (cached) {
+        papers.set(id, cached.notFound ? null : cached);
+      } else {
+        uncached.push(id);
+      }
+    }
+    return { papers, uncached };
+  }
+
+  /**
+   * Get a single paper
+   * @param {string} id - Paper ID ("PMID:123", "DOI:10.1/abc" or a Semantic Scholar paper ID)
+   * @returns {Promise<object|null>} Paper, or null when not found
+   */
+  async getPaper(id) {
+    const papers = await this.batchLookup([id]);
+    return papers.get(id) || null;
+  }
+
+  /**
+   * Papers a paper cites
+   * @param {string} id - Paper ID
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<object>} { papers: [{ ...paper, isInfluential }], next }
+   */
+  async getReferences(id, options = {}) {
+    return this.getLinkedPapers(id, 'references', 'citedPaper', options);
+  }
+
+  /**
+   * Papers citing a paper
+   * @param {string} id - Paper ID
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<object>} { papers: [{ ...paper, isInfluential }], next }
+   */
+  async getCitations(id, options = {}) {
+    return this.getLinkedPapers(id, 'citations', 'citingPaper', options);
+  }
+
+  /**
+   * Fetch one page of a paper's references or citations
+   * @param {string} id - Paper ID
+   * @param {string} direction - 'references' or 'citations'
+   * @param {string} paperKey - Key holding the linked paper ('citedPaper' or 'citingPaper')
+   * @param {object} options - { limit, offset }
+   * @returns {Promise<object>} { papers, next } - next is the offset of the following page or null
+   */
+  async getLinkedPapers(id, direction, paperKey, options = {}) {
+    const limit = options.limit || 20;
+    const offset = options.offset || 0;
+    const cacheKey = `s2:${direction}:${id}:${offset}:${limit}`;
+
+    const cached = cacheService.getCachedArticle(cacheKey);
+    if (cached) return cached;
+
+    await this.respectRateLimit();
+
+    console.log(`Semantic Scholar: Fetching ${direction} of ${id}...`);
+    const response = await axios.get(`${this.baseUrl}/paper/${encodeURIComponent(id)}/${direction}`, {
+      params: { fields: `isInfluential,${LINKED_PAPER_FIELDS}`, limit, offset },
+      headers: this.getHeaders(),
+      timeout: 15000
+    });
+
+    const result = {
+      papers: (response.data.data || [])
+        .filter(entry => entry[paperKey]?.paperId)
+        .map(entry => ({
+          ...this.normalizeLinkedPaper(entry[paperKey]),
+          isInfluential: Boolean(entry.isInfluential)
+        })),
+      next: response.data.next ?? null
+    };
+
+    // Citation lists grow, so they are cached for a day
+    cacheService.cacheArticle(cacheKey, result, MISS_CACHE_TTL);
+    return result;
+  }
+
+  /**
+   * Add influential citation counts and TLDRs to articles
+   * Articles without a PMID/DOI, or unknown to Semantic Scholar, are returned unchanged.
+   * @param {Array} articles - Canonical records
+   * @param {object} options - { budgetMs }: when the lookup takes longer, only cached
+   *   papers are used and the lookup finishes in the background
+   * @returns {Promise<Array>} New array of articles
+   */
+  async enrichArticles(articles, options = {}) {
+    if (!this.enabled || !articles || articles.length === 0) {
+      return articles;
+    }
+
+    const ids = articles.map(article => this.getPaperId(article));
+    const lookup = this.batchLookup(ids);
+
+    let papers;
+    try {
+      papers = options.budgetMs
+        ? await Promise.race([lookup, new Promise(resolve => setTimeout(() => resolve(null), options.budgetMs))])
+        : await lookup;
+    } catch (error) {
+      // Don't fail the search if enrichment fails
+      console.warn('Semantic Scholar enrichment failed:', error.message);
+      return articles;
+    }
+
+    if (!papers) {
+      console.log(`Semantic Scholar: Lookup exceeded ${options.budgetMs}ms, using cached papers only`);
+      lookup.catch(error => console.warn('Semantic Scholar background lookup failed:', error.message));
+      papers = this.getCachedPapers(ids).papers;
+    }
+
+    let enrichedCount = 0;
+    const enriched = articles.map(article => {
+      const paper = papers.get(this.getPaperId(article));
+      if (!paper) return article;
+
+      enrichedCount++;
+      return {
+        ...article,
+        // Sources count citations differently; keep the highest
+        citationCount: Math.max(article.citationCount || 0, paper.citationCount || 0) || article.citationCount,
+        semanticScholar: {
+          paperId: paper.paperId,
+          url: paper.url,
+          citationCount: paper.citationCount,
+          influentialCitationCount: paper.influentialCitationCount,
+          referenceCount: paper.referenceCount,
+          tldr: paper.tldr,
+          fieldsOfStudy: paper.fieldsOfStudy
+        }
+      };
+    });
+
+    console.log(`Semantic Scholar: Enriched ${enrichedCount}/${articles.length} articles`);
+    return enriched;
+  }
+
+  /**
+   * Normalize a Semantic Scholar paper
+   */
+  normalizePaper(paper) {
+    return {
+      paperId: paper.paperId,
+      pmid: paper.externalIds?.PubMed || null,
+      doi: paper.externalIds?.DOI || null,
+      title: paper.title || null,
+      year: paper.year || null,
+      url: paper.url || `https://www.semanticscholar.org/paper/${paper.paperId}`,
+      citationCount: paper.citationCount ?? null,
+      influentialCitationCount: paper.influentialCitationCount ?? null,
+      referenceCount: paper.referenceCount ?? null,
+      tldr: paper.tldr?.text || null,
+      fieldsOfStudy: paper.fieldsOfStudy || []
+    };
+  }
+
+  /**
+   * Normalize a paper from a reference/citation list
+   */
+  normalizeLinkedPaper(paper) {
+    return {
+      paperId: paper.paperId,
+      pmid: paper.externalIds?.PubMed || null,
+      doi: paper.externalIds?.DOI || null,
+      title: paper.title || null,
+      year: paper.year || null,
+      venue: paper.venue || null,
+      citationCount: paper.citationCount ?? null,
+      url: `https://www.semanticscholar.org/paper/${paper.paperId}`
+    };
+  }
+}
+
+module.exports = new SemanticScholarService();
@@ -3,101 +3,310 @@
  *
  * Intelligently routes queries to the most appropriate data sources
  * based on query analysis, maximizing relevance while minimizing API calls
+ *
+ * Routing rules (query types, keywords, source priorities and per-source
+ * limits) are loaded from ROUTING_RULES_PATH (default: config/routing-rules.json),
+ * validated, and reloaded when the file changes. An invalid file is rejected
+ * and the previous rules stay active. Every source a rule names must have a
+ * registered provider (see source-registry.service.js).
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const queryClassifier = require('./query-classifier.service');
+const sourceRegistry = require('./source-registry.service');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'routing-rules.json');
+const RULES_POLL_INTERVAL_MS = 2000;
+
+// Strategy options a rules file may set per source
+const STRATEGY_OPTIONS = ['limit', 'primary', 'filters', 'sort', 'yearFrom', 'yearsBack', 'type', 'medicalOnly'];
+
 class SmartRoutingService {
   constructor() {
+    // 'keyword' (default) or 'model' (learned classifier with keyword fallback)
+    this.classifierMode = process.env.QUERY_CLASSIFIER === 'model' ? 'model' : 'keyword';
+    this.keywordPatterns = new Map();
+    if (this.classifierMode === 'model') {
+      // Train up front rather than on the first search
+      try {
+        queryClassifier.getModel();
+      } catch (error) {
+        console.error('Failed to train query classifier, using keyword rules:', error.message);
+        this.classifierMode = 'keyword';
+      }
+    }
+
+    this.rulesPath = path.resolve(process.env.ROUTING_RULES_PATH || DEFAULT_RULES_PATH);
+    this.rulesStatus = { path: this.rulesPath, loadedAt: null, checksum: null, lastError: null };
+
+    const result = this.reloadRules();
+    if (!result.loaded && this.rulesPath !== DEFAULT_RULES_PATH) {
+      console.error(`Falling back to bundled routing rules (${DEFAULT_RULES_PATH})`);
+      this.applyRules(this.readRulesFile(DEFAULT_RULES_PATH).rules, DEFAULT_RULES_PATH);
+    }
+
+    if (process.env.ROUTING_RULES_WATCH !== 'false') {
+      this.watchRules();
+    }
+  }
+
+  /**
+   * Read and parse a rules file
+   * @param {string} filePath - JSON rules file
+   * @returns {object} { rules, checksum }
+   */
+  readRulesFile(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return {
+      rules: JSON.parse(content),
+      checksum: crypto.createHash('sha1').update(content).digest('hex').substring(0, 12)
+    };
+  }
+
+  /**
+   * Validate a rules document
+   * @param {object} rules - Parsed rules
+   * @returns {Array<string>} Errors (empty when valid)
+   */
+  validateRules(rules) {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+    if (!isObject(rules)) return ['Rules must be a JSON object'];
+
+    if (!isStringArray(rules.sources) || rules.sources.length === 0) {
+      errors.push('sources must be a non-empty array of source names');
+    }
+    const sources = new Set(Array.isArray(rules.sources) ? rules.sources : []);
+    // Every routable source needs a provider module (services/providers)
+    const unregistered = [...sources].filter(source => !sourceRegistry.has(source));
+    if (unregistered.length > 0) {
+      errors.push(`sources: no search provider registered for ${unregistered.join(', ')} (available: ${sourceRegistry.list().map(provider => provider.name).join(', ')})`);
+    }
+
+    for (const key of ['defaultSourceLimit', 'maxSourceLimit']) {
+      if (rules[key] !== undefined && (!Number.isInteger(rules[key]) || rules[key] < 1)) {
+        errors.push(`${key} must be a positive integer`);
+      }
+    }
+
+    const validateStrategies = (strategies, where) => {
+      if (!isObject(strategies)) {
+        errors.push(`${where}.strategies must be an object of source -> options`);
+        return;
+      }
+      for (const [source, options] of Object.entries(strategies)) {
+        const at = `${where}.strategies.${source}`;
+        if (!sources.has(source)) errors.push(`${at}: unknown source`);
+        if (!isObject(options)) {
+          errors.push(`${at} must be an object`);
+          continue;
+        }
+        for (const option of Object.keys(options)) {
+          if (!STRATEGY_OPTIONS.includes(option)) errors.push(`${at}.${option}: unknown option`);
+        }
+        if (!Number.isInteger(options.limit) || options.limit < 1) errors.push(`${at}.limit must be a positive integer`);
+        if (options.primary !== undefined && typeof options.primary !== 'boolean') errors.push(`${at}.primary must be a boolean`);
+        if (options.filters !== undefined && !isObject(options.filters)) errors.push(`${at}.filters must be an object`);
+        for (const key of ['yearFrom', 'yearsBack']) {
+          if (options[key] !== undefined && (!Number.isInteger(options[key]) || options[key] < 0)) {
+            errors.push(`${at}.${key} must be a non-negative integer`);
+          }
+        }
+      }
+    };
+
+    const checkSources = (list, at) => {
+      if (!isStringArray(list)) {
+        errors.push(`${at} must be an array of source names`);
+        return;
+      }
+      list.filter(source => !sources.has(source)).forEach(source => errors.push(`${at}: unknown source ${source}`));
+    };
+
+    if (!isObject(rules.general)) {
+      errors.push('general must be an object with sources and strategies');
+    } else {
+      checkSources(rules.general.sources, 'general.sources');
+      validateStrategies(rules.general.strategies, 'general');
+    }
+
+    if (!isObject(rules.queryTypes) || Object.keys(rules.queryTypes).length === 0) {
+      errors.push('queryTypes must be a non-empty object');
+    } else {
+      for (const [type, config] of Object.entries(rules.queryTypes)) {
+        const at = `queryTypes.${type}`;
+        if (type === 'general') errors.push(`${at}: "general" is reserved for the fallback`);
+        if (!isObject(config)) {
+          errors.push(`${at} must be an object`);
+          continue;
+        }
+        checkSources(config.primary, `${at}.primary`);
+        checkSources(config.secondary || [], `${at}.secondary`);
+        if (!isStringArray(config.keywords) || config.keywords.length === 0) {
+          errors.push(`${at}.keywords must be a non-empty array of strings`);
+        }
+        validateStrategies(config.strategies, at);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Make validated rules active
+   * @param {object} rules - Valid rules
+   * @param {string} filePath - Where they came from
+   * @param {string} checksum - Content checksum
+   */
+  applyRules(rules, filePath, checksum = null) {
+    const currentYear = new Date().getFullYear();
+    const expandKeyword = keyword => keyword
+      .replace('{currentYear}', String(currentYear))
+      .replace('{lastYear}', String(currentYear - 1));
+
+    this.rules = rules;
+    this.supportedSources = [...rules.sources];
+    this.defaultSourceLimit = rules.defaultSourceLimit || 10;
+    this.maxSourceLimit = rules.maxSourceLimit || 100;
+
     // Source priorities by query type
-    this.routingRules = {
-      // Clinical trials
-      trial: {
-        primary: ['clinicaltrials'],
-        secondary: ['pubmed', 'openalex'],
-        keywords: [
-          'trial', 'trials', 'clinical trial', 'study protocol',
-          'recruiting', 'enrollment', 'NCT', 'phase 1', 'phase 2',
-          'phase 3', 'phase 4', 'randomized controlled', 'RCT',
-          'intervention study', 'treatment study', 'placebo',
-          'double blind', 'multicenter trial'
-        ]
-      },
-
-      // Recent research / cutting edge
-      recent: {
-        primary: ['openalex', 'europepmc'],
-        secondary: ['pubmed'],
-        keywords: [
-          'recent', 'latest', 'new', 'emerging', 'novel',
-          'current', '2024', '2025', 'up to date',
-          'breakthrough', 'advancement', 'innovation'
-        ]
-      },
-
-      // Meta-analysis / systematic reviews (high-quality evidence)
-      synthesis: {
-        primary: ['pubmed', 'europepmc'],
-        secondary: ['openalex'],
-        keywords: [
-          'meta-analysis', 'systematic review', 'cochrane',
-          'evidence synthesis', 'pooled analysis', 'literature review',
-          'consensus', 'guideline', 'best practice'
-        ]
-      },
-
-      // Drug/medication specific
-      drug: {
-        primary: ['pubmed', 'clinicaltrials'],
-        secondary: ['europepmc', 'openalex'],
-        keywords: [
-          'drug', 'medication', 'pharmaceutical', 'treatment',
-          'therapy', 'pharmacology', 'dosage', 'adverse effects',
-          'side effects', 'contraindication', 'prescription'
-        ]
-      },
-
-      // Disease/condition specific
-      condition: {
-        primary: ['pubmed', 'openalex'],
-        secondary: ['europepmc', 'clinicaltrials'],
-        keywords: [
-          'disease', 'condition', 'syndrome', 'disorder',
-          'pathology', 'diagnosis', 'symptoms', 'etiology',
-          'epidemiology', 'prevalence', 'incidence'
-        ]
-      },
-
-      // Mechanism / basic science
-      mechanism: {
-        primary: ['openalex', 'pubmed'],
-        secondary: ['europepmc'],
-        keywords: [
-          'mechanism', 'pathway', 'molecular', 'cellular',
-          'biochemistry', 'genetics', 'pathophysiology',
-          'receptor', 'signaling', 'gene expression',
-          'protein', 'enzyme', 'metabolism'
-        ]
-      },
-
-      // Clinical guidelines / practice
-      guidelines: {
-        primary: ['pubmed'],
-        secondary: ['openalex', 'europepmc'],
-        keywords: [
-          'guideline', 'recommendation', 'protocol',
-          'clinical practice', 'standard of care',
-          'treatment algorithm', 'management',
-          'diagnostic criteria', 'screening'
-        ]
+    this.routingRules = {};
+    for (const [type, config] of Object.entries(rules.queryTypes)) {
+      this.routingRules[type] = {
+        primary: config.primary,
+        secondary: config.secondary || [],
+        keywords: config.keywords.map(expandKeyword)
+      };
+    }
+    this.keywordPatterns.clear();
+
+    this.rulesStatus = {
+      path: filePath,
+      loadedAt: new Date().toISOString(),
+      checksum,
+      lastError: null
+    };
+  }
+
+  /**
+   * Load the rules file, keeping the current rules if it is invalid
+   * @returns {object} { loaded, errors }
+   */
+  reloadRules() {
+    let parsed;
+    try {
+      parsed = this.readRulesFile(this.rulesPath);
+    } catch (error) {
+      const message = `Failed to load routing rules from ${this.rulesPath}: ${error.message}`;
+      console.error(message);
+      this.rulesStatus.lastError = { message, at: new Date().toISOString() };
+      return { loaded: false, errors: [message] };
+    }
+
+    if (parsed.checksum === this.rulesStatus.checksum) {
+      return { loaded: true, errors: [], unchanged: true };
+    }
+
+    const errors = this.validateRules(parsed.rules);
+    if (errors.length > 0) {
+      console.error(`Invalid routing rules in ${this.rulesPath}, keeping current rules:`);
+      errors.forEach(error => console.error(`  - ${error}`));
+      this.rulesStatus.lastError = { message: 'Validation failed', errors, at: new Date().toISOString() };
+      return { loaded: false, errors };
+    }
+
+    this.applyRules(parsed.rules, this.rulesPath, parsed.checksum);
+    console.log(`🧭 Loaded routing rules (${Object.keys(this.routingRules).length} query types, checksum ${parsed.checksum}) from ${this.rulesPath}`);
+    return { loaded: true, errors: [] };
+  }
+
+  /**
+   * Reload the rules whenever the file changes
+   */
+  watchRules() {
+    // Polling survives editors that replace the file on save
+    const watcher = fs.watchFile(this.rulesPath, { interval: RULES_POLL_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        console.log('🧭 Routing rules file changed, reloading...');
+        this.reloadRules();
       }
+    });
+    // Don't keep scripts that only import this service alive
+    watcher.unref();
+  }
+
+  /**
+   * Active rules and load status (for the admin endpoint)
+   * @returns {object} { status, rules }
+   */
+  getActiveRules() {
+    return {
+      status: this.rulesStatus,
+      classifierMode: this.classifierMode,
+      rules: this.rules
     };
   }
 
   /**
    * Analyze query and determine which sources to use
+   * Uses the learned classifier when QUERY_CLASSIFIER=model, falling back
+   * to keyword rules when it isn't confident
    * @param {string} query - User's search query
    * @returns {object} Routing decision with sources and strategy
    */
   analyzeQuery(query) {
+    if (this.classifierMode === 'model') {
+      try {
+        const analysis = this.analyzeQueryWithModel(query);
+        if (analysis) return analysis;
+      } catch (error) {
+        console.error('Query classifier failed, using keyword rules:', error.message);
+      }
+    }
+
+    return this.analyzeQueryWithKeywords(query);
+  }
+
+  /**
+   * Classify with the learned model
+   * @param {string} query - User's search query
+   * @returns {object|null} Routing decision, or null when the model isn't confident
+   */
+  analyzeQueryWithModel(query) {
+    const prediction = queryClassifier.classify(query);
+    if (!prediction.confident) return null;
+
+    const alternativeTypes = prediction.ranked
+      .slice(1, 3)
+      .filter(entry => entry.probability >= 0.1 && entry.type !== 'general')
+      .map(entry => entry.type);
+
+    // Recency words qualify the topic ("latest meta-analysis"), so keep them as a modifier
+    const lowerQuery = query.toLowerCase();
+    const mentionsRecency = (this.routingRules.recent?.keywords || []).some(keyword => this.keywordPattern(keyword).test(lowerQuery));
+    if (mentionsRecency && prediction.type !== 'recent' && !alternativeTypes.includes('recent')) {
+      alternativeTypes.push('recent');
+    }
+
+    const percent = Math.round(prediction.probability * 100);
+    return this.buildAnalysis(prediction.type, {
+      confidence: prediction.probability >= 0.5 ? 'high' : prediction.probability >= 0.3 ? 'medium' : 'low',
+      reasoning: `Classifier predicted ${prediction.type} query (${percent}%)`,
+      alternativeTypes,
+      classifier: 'model'
+    });
+  }
+
+  /**
+   * Classify with keyword rules (whole-word matches)
+   * @param {string} query - User's search query
+   * @returns {object} Routing decision
+   */
+  analyzeQueryWithKeywords(query) {
     const lowerQuery = query.toLowerCase();
     const scores = {};
 
@@ -106,7 +315,7 @@ class SmartRoutingService {
       scores[type] = 0;
 
       for (const keyword of config.keywords) {
-        if (lowerQuery.includes(keyword)) {
+        if (this.keywordPattern(keyword).test(lowerQuery)) {
           // Longer keywords get higher scores (more specific)
           scores[type] += keyword.split(' ').length;
         }
@@ -120,114 +329,222 @@ class SmartRoutingService {
 
     // If no specific type detected, use default comprehensive search
     if (sortedTypes.length === 0) {
-      return {
-        queryType: 'general',
-        sources: ['pubmed', 'europepmc', 'openalex'],
-        strategy: 'comprehensive',
+      return this.buildAnalysis('general', {
         confidence: 'low',
-        reasoning: 'No specific query type detected, using all sources'
-      };
+        reasoning: 'No specific query type detected, using all sources',
+        alternativeTypes: [],
+        classifier: 'keyword'
+      });
     }
 
     // Get the best matching type
     const [bestType, bestScore] = sortedTypes[0];
-    const config = this.routingRules[bestType];
 
     // Determine confidence based on score
     let confidence = 'medium';
     if (bestScore >= 3) confidence = 'high';
     else if (bestScore === 1) confidence = 'low';
 
+    return this.buildAnalysis(bestType, {
+      confidence,
+      reasoning: `Detected ${bestType} query (score: ${bestScore})`,
+      alternativeTypes: sortedTypes.slice(1, 3).map(([type]) => type),
+      classifier: 'keyword'
+    });
+  }
+
+  /**
+   * Whole-word, case-insensitive pattern for a routing keyword
+   * @param {string} keyword - Keyword or phrase
+   * @returns {RegExp}
+   */
+  keywordPattern(keyword) {
+    if (!this.keywordPatterns.has(keyword)) {
+      const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      this.keywordPatterns.set(keyword, new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`));
+    }
+    return this.keywordPatterns.get(keyword);
+  }
+
+  /**
+   * Build a routing decision for a query type
+   * @param {string} queryType - Detected type ('general' when none)
+   * @param {object} details - { confidence, reasoning, alternativeTypes, classifier }
+   * @returns {object} Routing decision with sources and strategy
+   */
+  buildAnalysis(queryType, details) {
+    const config = this.routingRules[queryType];
+
+    if (!config) {
+      return {
+        queryType: 'general',
+        sources: [...this.rules.general.sources],
+        strategy: 'comprehensive',
+        confidence: details.confidence,
+        reasoning: details.reasoning,
+        alternativeTypes: details.alternativeTypes,
+        classifier: details.classifier
+      };
+    }
+
     // Always include both primary and secondary sources for reliability
     // Even with high confidence, we want comprehensive results
-    const sources = [...config.primary, ...config.secondary];
+    const sources = [...new Set([...config.primary, ...config.secondary])];
 
     return {
-      queryType: bestType,
-      sources: [...new Set(sources)], // Remove duplicates
+      queryType,
+      sources,
       strategy: 'balanced',
-      confidence,
-      reasoning: `Detected ${bestType} query (score: ${bestScore}), using ${sources.join(', ')}`,
-      alternativeTypes: sortedTypes.slice(1, 3).map(([type]) => type)
+      confidence: details.confidence,
+      reasoning: `${details.reasoning}, using ${sources.join(', ')}`,
+      alternativeTypes: details.alternativeTypes,
+      classifier: details.classifier
     };
   }
 
   /**
    * Get search strategy for each source
+   * `sort` values are native to each source's API; `filters.studyType` uses
+   * evidence-grading design keys (comma-separated)
    * @param {string} queryType - The detected query type
    * @returns {object} Search parameters for each source
    */
   getSearchStrategies(queryType) {
-    const strategies = {
-      trial: {
-        clinicaltrials: { limit: 15, primary: true },
-        pubmed: { limit: 10, filters: { studyType: 'clinical_trial' } },
-        openalex: { limit: 5, type: 'article' }
-      },
-      recent: {
-        openalex: { limit: 15, sort: 'publication_date:desc', yearFrom: new Date().getFullYear() - 2, primary: true },
-        europepmc: { limit: 10, primary: true },
-        pubmed: { limit: 5 }
-      },
-      synthesis: {
-        pubmed: { limit: 15, filters: { studyType: 'meta_analysis,systematic_review' }, primary: true },
-        europepmc: { limit: 10, primary: true },
-        openalex: { limit: 5 }
-      },
-      drug: {
-        pubmed: { limit: 12, primary: true },
-        clinicaltrials: { limit: 8, primary: true },
-        europepmc: { limit: 5 },
-        openalex: { limit: 5 }
-      },
-      condition: {
-        pubmed: { limit: 12, primary: true },
-        openalex: { limit: 10, primary: true },
-        europepmc: { limit: 5 },
-        clinicaltrials: { limit: 3 }
-      },
-      mechanism: {
-        openalex: { limit: 15, medicalOnly: true, primary: true },
-        pubmed: { limit: 10, primary: true },
-        europepmc: { limit: 5 }
-      },
-      guidelines: {
-        pubmed: { limit: 15, primary: true },
-        openalex: { limit: 8 },
-        europepmc: { limit: 7 }
-      },
-      general: {
-        pubmed: { limit: 10, primary: true },
-        europepmc: { limit: 8, primary: true },
-        openalex: { limit: 7 }
+    const config = this.rules.queryTypes[queryType] || this.rules.general;
+    const currentYear = new Date().getFullYear();
+
+    const strategies = {};
+    for (const [source, options] of Object.entries(config.strategies)) {
+      // yearsBack is relative, so it stays correct across a new year
+      const { yearsBack, ...strategy } = options;
+      if (yearsBack !== undefined) strategy.yearFrom = currentYear - yearsBack;
+      strategies[source] = strategy;
+    }
+
+    return strategies;
+  }
+
+  /**
+   * Pick the per-source strategies for an analysis
+   * "Recent" describes when, not what: combined with another query type
+   * (e.g. "latest meta-analysis") that type's strategy is used, with the
+   * recent strategy's sort and year window layered on top, and that type's
+   * primary and secondary sources are always queried
+   * @param {object} analysis - Result of analyzeQuery
+   * @returns {object} { strategyType, strategies, modifiers, sources }
+   */
+  resolveStrategies(analysis) {
+    const alternatives = analysis.alternativeTypes || [];
+    const isRecent = Boolean(this.routingRules.recent) &&
+      (analysis.queryType === 'recent' || alternatives.includes('recent'));
+    const baseType = analysis.queryType === 'recent' ? alternatives[0] : analysis.queryType;
+
+    if (!isRecent || !baseType) {
+      return {
+        strategyType: analysis.queryType,
+        strategies: this.getSearchStrategies(analysis.queryType),
+        modifiers: [],
+        sources: analysis.sources
+      };
+    }
+
+    const recent = this.getSearchStrategies('recent');
+    const strategies = {};
+    for (const [source, strategy] of Object.entries(this.getSearchStrategies(baseType))) {
+      const { sort, yearFrom } = recent[source] || {};
+      strategies[source] = {
+        ...strategy,
+        ...(sort ? { sort } : {}),
+        ...(yearFrom ? { yearFrom } : {})
+      };
+    }
+
+    const baseConfig = this.routingRules[baseType] || { primary: [], secondary: [] };
+    const sources = [...new Set([...analysis.sources, ...baseConfig.primary, ...(baseConfig.secondary || [])])];
+
+    return { strategyType: baseType, strategies, modifiers: ['recent'], sources };
+  }
+
+  /**
+   * Validate user source overrides
+   * @param {object} userFilters - { sources: [source], sourceLimits: { source: limit } }
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateOverrides(userFilters = {}) {
+    const { sources, sourceLimits } = userFilters;
+
+    if (sources !== undefined) {
+      if (!Array.isArray(sources) || sources.length === 0) {
+        return 'sources must be a non-empty array';
       }
-    };
+      const unknown = sources.filter(source => !this.supportedSources.includes(source));
+      if (unknown.length > 0) {
+        return `Unknown sources: ${unknown.join(', ')}. Supported: ${this.supportedSources.join(', ')}`;
+      }
+    }
 
-    return strategies[queryType] || strategies.general;
+    if (sourceLimits !== undefined) {
+      if (!sourceLimits || typeof sourceLimits !== 'object' || Array.isArray(sourceLimits)) {
+        return 'sourceLimits must be an object of source -> limit';
+      }
+      for (const [source, limit] of Object.entries(sourceLimits)) {
+        if (!this.supportedSources.includes(source)) {
+          return `Unknown source in sourceLimits: ${source}`;
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > this.maxSourceLimit) {
+          return `sourceLimits.${source} must be an integer between 1 and ${this.maxSourceLimit}`;
+        }
+      }
+    }
+
+    return null;
   }
 
   /**
    * Determine optimal source combination for a query
    * @param {string} query - Search query
-   * @returns {object} Complete routing plan
+   * @param {object} userFilters - User filters, including optional sources and sourceLimits overrides
+   * @returns {object} Complete routing plan (excludedSources lists sources dropped by the filters)
    */
-  route(query) {
+  route(query, userFilters = {}) {
     const analysis = this.analyzeQuery(query);
-    const strategies = this.getSearchStrategies(analysis.queryType);
+    const { strategyType, strategies, modifiers, sources } = this.resolveStrategies(analysis);
+    const sourceLimits = userFilters.sourceLimits || {};
 
     // Build execution plan
     const plan = {
       ...analysis,
-      execution: []
+      strategyType,
+      modifiers,
+      execution: [],
+      excludedSources: [],
+      overrides: {
+        sources: userFilters.sources || null,
+        sourceLimits: userFilters.sourceLimits || null
+      }
     };
 
-    for (const source of analysis.sources) {
-      if (strategies[source]) {
-        plan.execution.push({
-          source,
-          ...strategies[source]
-        });
+    // Explicitly requested sources are queried even if the query type wouldn't pick them
+    const candidates = [...new Set([...sources, ...(userFilters.sources || [])])];
+
+    for (const source of candidates) {
+      if (!this.shouldIncludeSource(source, userFilters)) {
+        plan.excludedSources.push({ source, reason: 'Excluded by user filters' });
+        continue;
       }
+
+      const strategy = strategies[source] || { limit: this.defaultSourceLimit };
+      plan.execution.push({
+        source,
+        ...strategy,
+        ...(sourceLimits[source] ? { limit: sourceLimits[source] } : {}),
+        addedByUser: !sources.includes(source)
+      });
+    }
+
+    plan.sources = plan.execution.map(execution => execution.source);
+    if (userFilters.sources) {
+      plan.reasoning += `; user selected ${userFilters.sources.join(', ')}`;
     }
 
     // Sort by primary sources first
@@ -236,7 +553,7 @@ class SmartRoutingService {
     console.log('Smart Routing Decision:');
     console.log(`  Query Type: ${analysis.queryType} (${analysis.confidence} confidence)`);
     console.log(`  Strategy: ${analysis.strategy}`);
-    console.log(`  Sources: ${analysis.sources.join(', ')}`);
+    console.log(`  Sources: ${plan.sources.join(', ')}`);
     console.log(`  Reasoning: ${analysis.reasoning}`);
 
     return plan;
@@ -249,13 +566,18 @@ class SmartRoutingService {
    * @returns {boolean}
    */
   shouldIncludeSource(source, userFilters = {}) {
+    // Preprint servers only return non-peer-reviewed work
+    if (userFilters.excludePreprints && sourceRegistry.get(source)?.preprintServer) {
+      return false;
+    }
+
     // If user explicitly selected sources, respect that
     if (userFilters.sources && Array.isArray(userFilters.sources)) {
       return userFilters.sources.includes(source);
     }
 
     // If user filtered by study type, adjust sources
-    if (userFilters.studyType === 'clinical_trial') {
+    if (['clinical', 'clinical_trial'].includes(userFilters.studyType)) {
       return ['clinicaltrials', 'pubmed'].includes(source);
     }
 
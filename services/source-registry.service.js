@@ -0,0 +1,212 @@
+/**
+ * Source Registry Service
+ *
+ * Discovers the search source providers in services/providers
+ * (`<name>.provider.js`, see providers/source-provider.js for the interface)
+ * and runs every call to them through one place:
+ * - per-provider rate limiting (requests are spaced by the provider's rateLimit;
+ *   providers making several requests per call throttle each one themselves)
+ * - timing and logging
+ * - errors become a failed result instead of failing the whole search
+ *
+ * performSearchPage queries each source in the routing plan through
+ * search(), and SmartRoutingService only accepts rules naming registered providers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDERS_DIR = path.join(__dirname, 'providers');
+const PROVIDER_FILE_SUFFIX = '.provider.js';
+
+// Health checks slower than this count as down
+const HEALTH_TIMEOUT_MS = 8000;
+
+class SourceRegistryService {
+  constructor() {
+    this.providers = new Map();
+    // Earliest time the next request to each provider may start
+    this.nextRequestAt = new Map();
+
+    this.discover(PROVIDERS_DIR);
+  }
+
+  /**
+   * Register every provider module in a directory
+   * @param {string} dir - Directory to scan
+   */
+  discover(dir) {
+    const files = fs.readdirSync(dir).filter(file => file.endsWith(PROVIDER_FILE_SUFFIX)).sort();
+    for (const file of files) {
+      try {
+        this.register(require(path.join(dir, file)));
+      } catch (error) {
+        console.error(`Failed to register source provider ${file}: ${error.message}`);
+      }
+    }
+    console.log(`Source providers: ${this.list().map(provider => provider.name).join(', ')}`);
+  }
+
+  /**
+   * Add a provider after checking it implements the interface
+   * @param {object} provider - Provider instance
+   */
+  register(provider) {
+    const missing = [];
+    if (typeof provider?.name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(provider.name)) missing.push('name');
+    if (typeof provider?.label !== 'string' || provider.label.trim() === '') missing.push('label');
+    for (const method of ['search', 'getById', 'normalize', 'health']) {
+      if (typeof provider?.[method] !== 'function') missing.push(`${method}()`);
+    }
+    const requestsPerSecond = provider?.rateLimit?.requestsPerSecond;
+    if (typeof requestsPerSecond !== 'number' || !(requestsPerSecond > 0)) missing.push('rateLimit.requestsPerSecond');
+
+    if (missing.length > 0) {
+      throw new Error(`Invalid source provider${provider?.name ? ` "${provider.name}"` : ''}: missing or invalid ${missing.join(', ')}`);
+    }
+    if (this.providers.has(provider.name)) {
+      throw new Error(`Source provider "${provider.name}" is already registered`);
+    }
+
+    provider.limiter = () => this.throttle(provider);
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {boolean} Whether a provider is registered
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {object|null} Provider, or null when unknown
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Registered providers
+   * @returns {Array<object>} [{ name, label, rateLimit, defaultLimit }]
+   */
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      rateLimit: { ...provider.rateLimit },
+      defaultLimit: provider.defaultLimit || null
+    }));
+  }
+
+  /**
+   * Wait for the provider's next request slot
+   * Slots are reserved up front so concurrent calls are spaced as well.
+   * @param {object} provider - Provider
+   */
+  async throttle(provider) {
+    const interval = 1000 / provider.rateLimit.requestsPerSecond;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt.get(provider.name) || 0);
+    this.nextRequestAt.set(provider.name, slot + interval);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Search one source
+   * @param {string} name - Provider name
+   * @param {string} query - Search query
+   * @param {object} options - { limit, filters, strategy, position }
+   * @returns {Promise<object>} { source, position, articles, total, next, error?, durationMs }
+   *   - never throws; failures carry `error`
+   */
+  async search(name, query, options = {}) {
+    const position = options.position || { offset: 0 };
+    const provider = this.get(name);
+
+    if (!provider) {
+      console.warn(`No search provider for routed source "${name}"`);
+      return {
+        source: name, position, articles: [], total: null, next: null, durationMs: 0,
+        error: `No search provider for source "${name}"`
+      };
+    }
+
+    const limit = options.limit || provider.defaultLimit || 20;
+    const started = Date.now();
+
+    try {
+      if (!provider.throttlesRequests) await this.throttle(provider);
+      console.log(`Searching ${provider.label} with limit ${limit} (offset ${position.offset})...`);
+
+      const { records, total, next } = await provider.search(query, {
+        limit,
+        filters: options.filters || {},
+        strategy: options.strategy || {},
+        position
+      });
+      const articles = provider.normalize(records || []);
+      const durationMs = Date.now() - started;
+
+      console.log(`${provider.label} returned ${articles.length} articles in ${durationMs}ms`);
+      return { source: name, position, articles, total: total ?? null, next: next || null, durationMs };
+    } catch (error) {
+      const durationMs = Date.now() - started;
+      console.warn(`${provider.label} search failed after ${durationMs}ms:`, error.message);
+      return { source: name, position, articles: [], total: null, next: null, durationMs, error: error.message };
+    }
+  }
+
+  /**
+   * Fetch one record from a source
+   * @param {string} name - Provider name
+   * @param {string} id - Source identifier
+   * @returns {Promise<object|null>} Canonical record, or null when not found
+   * @throws {Error} When the provider is unknown or the lookup fails
+   */
+  async getById(name, id) {
+    const provider = this.get(name);
+    if (!provider) {
+      throw new Error(`Unknown source "${name}"`);
+    }
+
+    if (!provider.throttlesRequests) await this.throttle(provider);
+    const record = await provider.getById(id);
+    if (!record) return null;
+
+    return provider.normalize([record])[0] || null;
+  }
+
+  /**
+   * Check every provider
+   * @returns {Promise<object>} Map of name -> { label, status: 'ok'|'down', latencyMs, error }
+   */
+  async health() {
+    const checks = [...this.providers.values()].map(async provider => {
+      const started = Date.now();
+      let timer;
+      try {
+        await Promise.race([
+          provider.health(),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`No response within ${HEALTH_TIMEOUT_MS}ms`)), HEALTH_TIMEOUT_MS);
+          })
+        ]);
+        return [provider.name, { label: provider.label, status: 'ok', latencyMs: Date.now() - started, error: null }];
+      } catch (error) {
+        return [provider.name, { label: provider.label, status: 'down', latencyMs: Date.now() - started, error: error.message }];
+      } finally {
+        clearTimeout(timer);
+      }
+    });
+
+    return Object.fromEntries(await Promise.all(checks));
+  }
+}
+
+module.exports = new SourceRegistryService();
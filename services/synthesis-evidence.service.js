@@ -0,0 +1,259 @@
+/**
+ * Synthesis Evidence Service
+ *
+ * Searches indexes dedicated to evidence syntheses - systematic reviews,
+ * meta-analyses and overviews of reviews - so synthesis queries always
+ * include them.
+ *
+ * Backends:
+ * - Epistemonikos (https://www.epistemonikos.org), used when
+ *   EPISTEMONIKOS_API_KEY or SYNTHESIS_EVIDENCE_URL is set.
+ *   SYNTHESIS_EVIDENCE_URL points the client at any server speaking the same
+ *   API - e.g. the local fixture server (npm run fixtures:synthesis) in tests.
+ * - Europe PMC's systematic review / meta-analysis / Cochrane Library subset,
+ *   used otherwise so the source works without credentials.
+ *
+ * Epistemonikos-style API contract:
+ *   GET {baseUrl}/documents/search?q=<query>&p=<page>&classification=systematic-review
+ *   -> { search_info: { total_results, page, pages },
+ *        results: [{ id, title, abstract, authors, journal, year, publication_date,
+ *                    doi, pmid, classification, url, included_studies }] }
+ */
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.epistemonikos.org/v1';
+const EUROPE_PMC_SEARCH_URL = 'https://www.ebi.ac.uk/europepmc/webservices/rest/search';
+
+// Epistemonikos document classifications -> publication types used for evidence grading
+const CLASSIFICATION_TYPES = {
+  'systematic-review': 'Systematic Review',
+  'broad-synthesis': 'Systematic Review',
+  'overview': 'Systematic Review',
+  'structured-summary': 'Review'
+};
+
+const COCHRANE_JOURNAL = /cochrane database of systematic reviews|cochrane database syst rev/i;
+
+class SynthesisEvidenceService {
+  constructor() {
+    this.baseUrl = (process.env.SYNTHESIS_EVIDENCE_URL || DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.apiKey = process.env.EPISTEMONIKOS_API_KEY || null;
+    this.backend = process.env.SYNTHESIS_EVIDENCE_URL || this.apiKey ? 'epistemonikos' : 'europepmc';
+    this.rateLimitDelay = 500; // 2 requests/second
+    this.lastRequestTime = 0;
+  }
+
+  /**
+   * Rate limiting
+   */
+  async respectRateLimit() {
+    const now = Date.now();
+    const timeSinceLastRequest = now - this.lastRequestTime;
+    if (timeSinceLastRequest < this.rateLimitDelay) {
+      await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay - timeSinceLastRequest));
+    }
+    this.lastRequestTime = Date.now();
+  }
+
+  /**
+   * Display name of the active backend (the `source` of its records)
+   */
+  getSourceLabel() {
+    return this.backend === 'epistemonikos' ? 'Epistemonikos' : 'Europe PMC Reviews';
+  }
+
+  /**
+   * Search for systematic reviews and meta-analyses
+   * @param {string} query - Search query
+   * @param {object} options - { limit, page (Epistemonikos), cursorMark (Europe PMC), yearFrom, yearTo, europePmcDateClause }
+   * @returns {Promise<object>} { reviews, total, next } - next is { page } or { cursorMark }, or null
+   */
+  async searchReviews(query, options = {}) {
+    await this.respectRateLimit();
+
+    return this.backend === 'epistemonikos'
+      ? this.searchEpistemonikos(query, options)
+      : this.searchEuropePMC(query, options);
+  }
+
+  /**
+   * Search an Epistemonikos-style API
+   */
+  async searchEpistemonikos(query, options) {
+    const limit = options.limit || 10;
+    const page = options.page || 1;
+
+    console.log(`Synthesis evidence: Searching ${this.baseUrl} for "${query}" (page ${page})...`);
+
+    const response = await axios.get(`${this.baseUrl}/documents/search`, {
+      params: {
+        q: query,
+        p: page,
+        classification: 'systematic-review',
+        per_page: limit,
+        year_from: options.yearFrom || undefined,
+        year_to: options.yearTo || undefined
+      },
+      headers: this.apiKey ? { Authorization: `Token token="${this.apiKey}"` } : {},
+      timeout: 15000
+    });
+
+    const info = response.data.search_info || {};
+    const reviews = (response.data.results || []).slice(0, limit).map(result => this.normalizeEpistemonikos(result));
+    const total = info.total_results ?? null;
+    const hasMore = info.pages ? page < info.pages : reviews.length === limit && (total === null || page * limit < total);
+
+    console.log(`Synthesis evidence: Found ${reviews.length} reviews${total !== null ? ` of ${total}` : ''}`);
+    return { reviews, total, next: hasMore ? { page: page + 1 } : null };
+  }
+
+  /**
+   * Search Europe PMC's systematic review / meta-analysis / Cochrane subset
+   */
+  async searchEuropePMC(query, options) {
+    const limit = options.limit || 10;
+    const cursorMark = options.cursorMark || '*';
+
+    let searchQuery = `(${query}) AND (PUB_TYPE:"Systematic Review" OR PUB_TYPE:"Meta-Analysis" OR JOURNAL:"Cochrane Database Syst Rev")`;
+    if (options.europePmcDateClause) {
+      searchQuery += ` AND ${options.europePmcDateClause}`;
+    }
+
+    console.log(`Synthesis evidence: Searching Europe PMC reviews for "${query}"...`);
+
+    const response = await axios.get(EUROPE_PMC_SEARCH_URL, {
+      params: {
+        query: searchQuery,
+        format: 'json',
+        pageSize: limit,
+        cursorMark,
+        resultType: 'core',
+        sort: 'relevance'
+      },
+      timeout: 15000
+    });
+
+    const results = response.data.resultList?.result || [];
+    const nextCursorMark = response.data.nextCursorMark;
+    const reviews = results.map(result => this.normalizeEuropePMC(result));
+
+    console.log(`Synthesis evidence: Found ${reviews.length} reviews`);
+    return {
+      reviews,
+      total: response.data.hitCount ?? null,
+      next: results.length === limit && nextCursorMark && nextCursorMark !== cursorMark ? { cursorMark: nextCursorMark } : null
+    };
+  }
+
+  /**
+   * Get a single review by ID (Epistemonikos document ID, or PMID/DOI on the Europe PMC backend)
+   * @param {string} id - Review ID
+   * @returns {Promise<object|null>} Review, or null when not found
+   */
+  async getReview(id) {
+    try {
+      await this.respectRateLimit();
+
+      if (this.backend === 'epistemonikos') {
+        const response = await axios.get(`${this.baseUrl}/documents/${encodeURIComponent(id)}`, {
+          headers: this.apiKey ? { Authorization: `Token token="${this.apiKey}"` } : {},
+          timeout: 10000
+        });
+        const document = response.data.document || response.data;
+        return document?.id ? this.normalizeEpistemonikos(document) : null;
+      }
+
+      const value = String(id).replace(/^(pmid|doi):/i, '');
+      const query = /^\d+$/.test(value) ? `EXT_ID:${value} AND SRC:MED` : `DOI:"${value}"`;
+      const response = await axios.get(EUROPE_PMC_SEARCH_URL, {
+        params: { query, format: 'json', pageSize: 1, resultType: 'core' },
+        timeout: 10000
+      });
+      const result = response.data.resultList?.result?.[0];
+      return result ? this.normalizeEuropePMC(result) : null;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error(`Synthesis evidence getReview error (${id}):`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Check that the active backend answers
+   */
+  async ping() {
+    if (this.backend === 'epistemonikos') {
+      await axios.get(`${this.baseUrl}/documents/search`, {
+        params: { q: 'cancer', p: 1 },
+        headers: this.apiKey ? { Authorization: `Token token="${this.apiKey}"` } : {},
+        timeout: 5000
+      });
+      return;
+    }
+
+    await axios.get(EUROPE_PMC_SEARCH_URL, {
+      params: { query: 'PUB_TYPE:"Systematic Review"', format: 'json', pageSize: 1, resultType: 'idlist' },
+      timeout: 5000
+    });
+  }
+
+  /**
+   * Normalize an Epistemonikos document
+   */
+  normalizeEpistemonikos(result) {
+    const authors = (Array.isArray(result.authors) ? result.authors : String(result.authors || '').split(/;|,(?= )/))
+      .map(author => (typeof author === 'string' ? author : author?.name || ''))
+      .map(name => name.trim())
+      .filter(Boolean);
+    const classification = result.classification || 'systematic-review';
+    const journal = result.journal || result.publication?.journal || null;
+
+    return {
+      id: String(result.id),
+      title: result.title,
+      abstract: result.abstract || null,
+      authors,
+      journal,
+      year: parseInt(result.year, 10) || null,
+      publicationDate: result.publication_date || null,
+      doi: result.doi || result.ids?.doi || null,
+      pmid: result.pmid ? String(result.pmid) : (result.ids?.pubmed ? String(result.ids.pubmed) : null),
+      classification,
+      publicationTypes: [CLASSIFICATION_TYPES[classification] || 'Systematic Review'],
+      isCochrane: COCHRANE_JOURNAL.test(journal || ''),
+      includedStudies: Number.isInteger(result.included_studies) ? result.included_studies : null,
+      url: result.url || `https://www.epistemonikos.org/documents/${result.id}`,
+      source: 'Epistemonikos'
+    };
+  }
+
+  /**
+   * Normalize a Europe PMC review
+   */
+  normalizeEuropePMC(result) {
+    const journal = result.journalInfo?.journal?.title || result.journalTitle || null;
+
+    return {
+      id: result.pmid || result.doi || result.id,
+      title: result.title,
+      abstract: result.abstractText || null,
+      authors: (result.authorList?.author || []).map(author => author.fullName).filter(Boolean),
+      journal,
+      year: parseInt(result.pubYear, 10) || null,
+      publicationDate: result.firstPublicationDate || null,
+      doi: result.doi || null,
+      pmid: result.pmid || null,
+      pmcid: result.pmcid || null,
+      classification: 'systematic-review',
+      publicationTypes: result.pubTypeList?.pubType || ['Systematic Review'],
+      isCochrane: COCHRANE_JOURNAL.test(journal || ''),
+      includedStudies: null,
+      url: result.pmid ? `https://europepmc.org/article/MED/${result.pmid}` : (result.doi ? `https://doi.org/${result.doi}` : null),
+      source: 'Europe PMC Reviews'
+    };
+  }
+}
+
+module.exports = new SynthesisEvidenceService();
@@ -45,6 +45,13 @@ class UnpaywallService {
           openAccessType: this.getOAType(data),
           license: bestOA.license || article.license,
           isOpenAccess: data.is_oa || false,
+          access: {
+            ...article.access,
+            isOpenAccess: data.is_oa || false,
+            fullTextUrl: bestOA.url_for_landing_page || bestOA.url || article.access?.fullTextUrl || null,
+            pdfUrl: bestOA.url_for_pdf || article.access?.pdfUrl || null,
+            license: bestOA.license || article.access?.license || null
+          },
           oaStatus: data.oa_status,
           // Additional OA locations
           allOALocations: data.oa_locations?.map(loc => ({